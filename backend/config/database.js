@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// MongoDB connection with timeout and retry logic (non-blocking)
+export const connectDB = async () => {
+  const maxRetries = 5;
+  const retryDelay = 5000; // 5 seconds
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/onalog';
+      
+      await mongoose.connect(mongoUri, {
+        serverSelectionTimeoutMS: 10000, // 10 second timeout
+        socketTimeoutMS: 45000, // 45 second socket timeout
+        connectTimeoutMS: 10000, // 10 second connection timeout
+      });
+      
+      console.log('✅ MongoDB connected');
+      return true;
+    } catch (err) {
+      console.error(`❌ MongoDB connection error (attempt ${attempt}/${maxRetries}):`, err.message);
+      
+      if (attempt === maxRetries) {
+        console.error('❌ Failed to connect to MongoDB after all retries');
+        // Don't exit - let server start anyway for health checks
+        return false;
+      }
+      
+      console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+  }
+  
+  return false;
+};
+
+// Close MongoDB connection (Mongoose 8.x uses Promises, not callbacks)
+export const disconnectDB = async () => {
+  await mongoose.connection.close();
+  console.log('✅ MongoDB connection closed');
+};
@@ -1,32 +1,42 @@
 import { authenticate } from './auth.js';
+import AdminAudit from '../models/AdminAudit.js';
 
-// Allowed admin usernames (case-insensitive) - matches frontend
-const ALLOWED_ADMIN_USERS = ['chuks', 'olamide', 'ola'];
+/**
+ * Record a platform admin request once the response is sent (never throws)
+ */
+function auditAdminRequest(req, res, startedAt) {
+  AdminAudit.create({
+    userId: req.user._id,
+    email: req.user.email,
+    via: req.apiKey ? 'api_key' : 'jwt',
+    apiKeyId: req.apiKey?._id || null,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    query: req.query,
+    statusCode: res.statusCode,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    durationMs: Date.now() - startedAt
+  }).catch(err => {
+    console.error('[ADMIN] ❌ Failed to write audit entry:', err.message);
+  });
+}
 
 /**
- * Admin-only middleware - username-based
- * Requires user to be authenticated AND username must match allowed admin users
+ * Platform admin middleware
+ * Requires a JWT (or an API key with the admin:read scope) for a user whose platformRole is 'admin'.
+ * Every authenticated request is audited, including denied ones.
  */
-export const requireAdmin = [
+export const requirePlatformAdmin = [
   authenticate,
-  async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({ error: 'Authentication required' });
-      }
-      
-      // Check if user's name matches allowed admin usernames
-      const userName = req.user.name?.toLowerCase().trim();
-      const isAuthorized = userName && ALLOWED_ADMIN_USERS.includes(userName);
-      
-      if (!isAuthorized) {
-        return res.status(403).json({ error: 'Admin access required' });
-      }
-      
-      next();
-    } catch (error) {
-      res.status(500).json({ error: 'Authorization error' });
+  (req, res, next) => {
+    const startedAt = Date.now();
+    res.on('finish', () => auditAdminRequest(req, res, startedAt));
+
+    if (req.user.platformRole !== 'admin') {
+      console.warn(`[ADMIN] ⛔ Denied ${req.method} ${req.originalUrl} for ${req.user.email}`);
+      return res.status(403).json({ error: 'Platform admin access required' });
     }
+    next();
   }
 ];
-
@@ -1,29 +1,102 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import {
+  isApiKey,
+  findActiveApiKey,
+  requiredScope,
+  checkRateLimit,
+  recordApiKeyAudit,
+  recordApiKeyRequest
+} from '../services/apiKeys.js';
+
+/**
+ * Decode a request's credentials to { userId }
+ * API key requests (already checked by apiKeyAuth) act as the key's creator; anything else must
+ * be a valid JWT. Throws on an invalid token.
+ * @param {Object} req
+ * @param {string} token - Bearer token (or ?token= for EventSource)
+ * @param {string} secret - JWT secret (defaults to the auth routes' secret)
+ */
+export function verifyRequestToken(req, token, secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production') {
+  if (req.apiKey) return { userId: req.user._id };
+  return jwt.verify(token, secret);
+}
+
+/**
+ * API key middleware (mounted before the routes)
+ * Requests with `Authorization: Bearer onk_...` are checked for a valid key, the scope the endpoint
+ * needs and the key's rate limit, then run as the key's creator (req.user, req.apiKey).
+ * Other requests pass through untouched.
+ */
+export async function apiKeyAuth(req, res, next) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!isApiKey(token)) return next();
+
+  try {
+    const apiKey = await findActiveApiKey(token);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+    }
+
+    const audit = { method: req.method, path: req.originalUrl.split('?')[0], ip: req.ip };
+    const scope = requiredScope(req.method, req.originalUrl);
+    if (!scope || !apiKey.scopes.includes(scope)) {
+      const error = scope ? `API key is missing the "${scope}" scope` : 'API keys cannot access this endpoint';
+      recordApiKeyAudit(apiKey, 'denied', { ...audit, statusCode: 403, detail: error });
+      return res.status(403).json({ error });
+    }
+
+    const rate = checkRateLimit(apiKey);
+    res.set('X-RateLimit-Limit', String(rate.limit));
+    res.set('X-RateLimit-Remaining', String(rate.remaining));
+    if (!rate.allowed) {
+      res.set('Retry-After', String(rate.retryAfterSec));
+      recordApiKeyAudit(apiKey, 'rate_limited', { ...audit, statusCode: 429 });
+      return res.status(429).json({ error: `Rate limit exceeded (${rate.limit} requests per minute)` });
+    }
+
+    // Keys stop working if their creator leaves the company
+    const user = await User.findById(apiKey.createdBy);
+    if (!user || String(user.companyId) !== String(apiKey.companyId)) {
+      return res.status(401).json({ error: 'API key owner is no longer a member of this company' });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    res.on('finish', () => {
+      recordApiKeyRequest(apiKey, req, res.statusCode);
+    });
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
 
 /**
  * Authentication middleware
  */
 export async function authenticate(req, res, next) {
+  // Already authenticated by apiKeyAuth
+  if (req.apiKey) return next();
+
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Authentication required' });
     }
-    
-    const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-    const decoded = jwt.verify(token, secret);
+
+    const decoded = verifyRequestToken(req, token);
     const user = await User.findById(decoded.userId);
-    
+
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
-    
+
     req.user = user;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Invalid token' });
   }
 }
-
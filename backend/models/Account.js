@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+/**
+ * Account - One company master record per customer company, keyed on the normalized website domain
+ * Every lead found for the same domain (across all searches) links here and its contacts,
+ * decision makers and enrichment are merged in, so the account keeps growing over time.
+ */
+const accountSchema = new mongoose.Schema({
+  // Owning customer company (accounts are never shared across companies)
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // normalizeUrl(website), e.g. 'acme.com'
+  domain: {
+    type: String,
+    required: true
+  },
+
+  name: String,
+  website: String,
+  address: String,
+
+  emails: [{
+    _id: false,
+    email: String,
+    source: String,
+    confidence: Number,
+    deliverability: {
+      score: Number,
+      status: String,
+      reason: String,
+      checkedAt: Date,
+      method: String
+    },
+    lastSeenAt: Date
+  }],
+  phoneNumbers: [{
+    _id: false,
+    phone: String,
+    country: String,
+    formatted: String,
+    source: String,
+    confidence: Number,
+    lastSeenAt: Date
+  }],
+  socials: {
+    linkedin: String,
+    twitter: String,
+    facebook: String,
+    instagram: String
+  },
+  decisionMakers: [{
+    _id: false,
+    name: String,
+    title: String,
+    email: String,
+    source: String,
+    confidence: Number,
+    lastSeenAt: Date
+  }],
+
+  // Latest AI enrichment (same shape as Lead.enrichment), newer lead enrichment wins field by field
+  enrichment: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  enrichmentUpdatedAt: Date,
+
+  // Best quality score seen across leads
+  qualityScore: {
+    type: Number,
+    default: null
+  },
+
+  // History
+  leadCount: {
+    type: Number,
+    default: 0
+  },
+  searchIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Search'
+  }],
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+accountSchema.index({ companyId: 1, domain: 1 }, { unique: true });
+accountSchema.index({ companyId: 1, lastSeenAt: -1 });
+accountSchema.index({ companyId: 1, name: 1 });
+
+export default mongoose.model('Account', accountSchema);
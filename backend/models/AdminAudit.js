@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * AdminAudit - One entry per request to the platform admin API (/api/admin), including denied ones
+ * Entries expire after one year.
+ */
+const adminAuditSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: String,
+  // How the request authenticated
+  via: {
+    type: String,
+    enum: ['jwt', 'api_key'],
+    required: true
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  method: String,
+  path: String,
+  query: mongoose.Schema.Types.Mixed,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  durationMs: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+adminAuditSchema.index({ createdAt: -1 });
+adminAuditSchema.index({ userId: 1, createdAt: -1 });
+adminAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+export default mongoose.model('AdminAudit', adminAuditSchema);
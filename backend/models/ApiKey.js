@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+/**
+ * ApiKey - Company API key for scripts and integrations (see services/apiKeys.js)
+ * Only a SHA-256 hash of the key is stored; the key itself is shown once, when created.
+ * Requests made with a key act as the user who created it.
+ */
+const apiKeySchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key (e.g. 'onk_3f9a1c2b'), to tell keys apart in the UI and logs
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // admin:read (platform admin API) can only be granted by platform admins
+  scopes: {
+    type: [{
+      type: String,
+      enum: ['search:read', 'search:write', 'leads:read', 'leads:write', 'export', 'admin:read']
+    }],
+    default: []
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    min: 1,
+    max: 1000,
+    default: 60
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Usage
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// Note: keyHash already has unique: true which creates an index automatically
+apiKeySchema.index({ companyId: 1, createdAt: -1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
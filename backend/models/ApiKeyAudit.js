@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * ApiKeyAudit - Audit trail for API keys: lifecycle (created/revoked) and every request made with a key
+ * Entries expire after 90 days.
+ */
+const apiKeyAuditSchema = new mongoose.Schema({
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['created', 'revoked', 'request', 'rate_limited', 'denied'],
+    required: true
+  },
+  // Who created/revoked the key (lifecycle events)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Request events
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  detail: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+apiKeyAuditSchema.index({ apiKeyId: 1, createdAt: -1 });
+apiKeyAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('ApiKeyAudit', apiKeyAuditSchema);
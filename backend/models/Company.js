@@ -40,7 +40,129 @@ const companySchema = new mongoose.Schema({
     shareTemplates: {
       type: Boolean,
       default: true
+    },
+    // Search providers this company has switched off (keys from providerRegistry)
+    disabledProviders: {
+      type: [String],
+      default: []
+    }
+  },
+  
+  // Extra lead attributes defined by the company (values live in Lead.customFields, see services/customFields.js)
+  customFields: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'boolean', 'select', 'multiselect', 'date'],
+      required: true
+    },
+    // Allowed values for select/multiselect
+    options: {
+      type: [String],
+      default: []
+    },
+    // Natural-language question answered per lead by AI from its website (see services/aiAttributes.js)
+    question: {
+      type: String,
+      default: null
     }
+  }],
+  
+  // Ideal customer profile - leads are scored against it (Lead.icpFitScore, see utils/icpScoring.js)
+  // Empty lists mean "any"; only configured criteria count towards the score.
+  icp: {
+    industries: { type: [String], default: [] },
+    employeeRanges: { type: [String], default: [] }, // Lead.enrichment.employeeCountRange values
+    revenueBrackets: { type: [String], default: [] }, // Lead.enrichment.revenueBracket values
+    countries: { type: [String], default: [] }, // ISO codes (NG) or names
+    hiring: {
+      type: String,
+      enum: ['any', 'hiring', 'not_hiring'],
+      default: 'any'
+    },
+    keywords: { type: [String], default: [] },
+    // Free-text description, also used for outreach lines
+    description: { type: String, default: null },
+    updatedAt: { type: Date, default: null }
+  },
+  
+  // Lead scoring rules (see utils/qualityScoring.js and utils/verificationScoring.js)
+  // Weights are relative (0-10); the defaults score every criterion equally.
+  scoring: {
+    qualityWeights: {
+      companyName: { type: Number, default: 1 },
+      website: { type: Number, default: 1 },
+      contact: { type: Number, default: 1 },
+      decisionMaker: { type: Number, default: 1 },
+      additional: { type: Number, default: 1 }
+    },
+    verificationWeights: {
+      nameMatch: { type: Number, default: 1 },
+      linkedin: { type: Number, default: 1 },
+      decisionMakerMatch: { type: Number, default: 1 },
+      emailVerified: { type: Number, default: 1 },
+      additionalSignals: { type: Number, default: 1 }
+    },
+    // Leads missing any of these get a quality score of 0
+    requiredFields: {
+      type: [String],
+      enum: ['companyName', 'website', 'email', 'phone', 'decisionMaker', 'address', 'socials', 'aboutText'],
+      default: []
+    },
+    updatedAt: { type: Date, default: null }
+  },
+  
+  // Outbound CRM connection (see services/crmAdapters.js)
+  integrations: {
+    crm: {
+      provider: {
+        type: String,
+        enum: ['hubspot', 'pipedrive', 'mock', null],
+        default: null
+      },
+      // Private app token / API token - never returned by default
+      apiKey: {
+        type: String,
+        default: null,
+        select: false
+      },
+      // Pipedrive company domain (acme -> acme.pipedrive.com)
+      apiDomain: {
+        type: String,
+        default: null
+      },
+      lastSyncAt: {
+        type: Date,
+        default: null
+      }
+    }
+  },
+  
+  // Plan tier (see services/plans.js) - set by platform admins
+  plan: {
+    tier: {
+      type: String,
+      enum: ['free', 'pro', 'business'],
+      default: null // PLAN_DEFAULT
+    },
+    changedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Searches started this month, counted against the plan (reset when the period changes)
+  planUsage: {
+    period: { type: String, default: null }, // YYYY-MM (UTC)
+    searches: { type: Number, default: 0 }
   },
   
   // Credits for enrichment (company-scoped)
@@ -64,13 +186,14 @@ const companySchema = new mongoose.Schema({
     taxInfo: { type: Object, default: {} },
     address: { type: Object, default: {} }
   },
-  // Lightweight ledger (append-only)
+  // Legacy embedded ledger - credit movements now live in LedgerEntry. Moved over (and emptied)
+  // by the reconciliation job, which sets ledgerMigratedAt.
   ledger: {
     type: [
       {
         ts: { type: Date, default: Date.now },
         delta: { type: Number, required: true }, // +credits or -credits
-        reason: { type: String, required: true }, // purchase, reserve, consume, refund_invalid, adjust
+        reason: { type: String, required: true }, // purchase, reserve, consume, refund_invalid, payment_refund, adjust
         byUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         searchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Search' },
         leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
@@ -81,6 +204,11 @@ const companySchema = new mongoose.Schema({
     ],
     default: []
   },
+  // Set when the company is created (nothing to move); null only on companies from before LedgerEntry
+  ledgerMigratedAt: {
+    type: Date,
+    default: null
+  },
   
   // Member count
   memberCount: {
@@ -104,5 +232,12 @@ const companySchema = new mongoose.Schema({
 // Note: normalizedName already has unique: true which creates an index automatically
 companySchema.index({ adminId: 1 });
 
+// New companies start on the ledger collection - the migration must not treat them as legacy,
+// or it could write an opening_balance while their signup bonus is half applied
+companySchema.pre('save', function(next) {
+  if (this.isNew && !this.ledgerMigratedAt) this.ledgerMigratedAt = new Date();
+  next();
+});
+
 export default mongoose.model('Company', companySchema);
 
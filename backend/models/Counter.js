@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter - Named sequence, incremented atomically (e.g. invoice-2026 for invoice numbers)
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Document the current seq was handed to, until it has recorded it (invoice numbering)
+  pendingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+});
+
+/**
+ * Next value of a sequence (1 for a new one)
+ * @param {string} name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
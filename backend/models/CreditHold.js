@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * CreditHold - Credits set aside for one search while it runs
+ * Placed when the search starts (a 'hold' ledger entry takes them off the balance). Each lead
+ * takes a slot before it is enriched and gives it back if it turns out unusable. When the search
+ * is finalized the hold is settled against the leads actually delivered and the rest is released
+ * back to the balance ('hold_release'). See services/billing.js.
+ */
+const creditHoldSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  searchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Search',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Credits taken off the balance for this search
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Leads currently holding a slot (at most `amount`)
+  leadIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['active', 'settled'],
+    default: 'active'
+  },
+  settled: {
+    type: Number,
+    default: 0
+  },
+  released: {
+    type: Number,
+    default: 0
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+// Note: searchId already has unique: true which creates an index automatically
+creditHoldSchema.index({ companyId: 1, status: 1 });
+
+export default mongoose.model('CreditHold', creditHoldSchema);
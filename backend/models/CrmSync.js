@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * CrmSync - One CRM push of selected leads, run by the worker (see services/crmSync.js)
+ * Created queued by POST /api/crm/push; each lead's outcome is written to `results` as soon as it
+ * is pushed, so the client can follow progress. Records expire after 30 days.
+ */
+const crmSyncSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // One per lead, in push order; status 'pending' until that lead has been pushed
+  results: [{
+    _id: false,
+    leadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+    companyName: String,
+    status: {
+      type: String,
+      enum: ['pending', 'created', 'updated', 'failed'],
+      default: 'pending'
+    },
+    companyExternalId: { type: String, default: null },
+    contactsPushed: { type: Number, default: 0 },
+    contactErrors: { type: Number, default: 0 },
+    error: { type: String, default: null }
+  }],
+  summary: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    partial: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Requested leads left out (unknown or not accessible to the requester)
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // While running: when the worker's claim lapses and another worker may pick the push up
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+crmSyncSchema.index({ status: 1, createdAt: 1 });
+crmSyncSchema.index({ companyId: 1, createdAt: -1 });
+crmSyncSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('CrmSync', crmSyncSchema);
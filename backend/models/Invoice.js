@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * Invoice - Receipt for one credit purchase (one per 'purchase' ledger entry)
+ * Seller, buyer and prices are copied in when it is issued, so later changes to the company's
+ * billing details or to the pack prices don't alter invoices already filed.
+ * Numbers are sequential per year (INV-2026-00001); see services/invoices.js.
+ */
+const invoiceSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Set right after the invoice is created (null only if that step was interrupted)
+  number: {
+    type: String,
+    default: null
+  },
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry',
+    required: true,
+    unique: true
+  },
+  paymentReference: {
+    type: String,
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  packId: {
+    type: String,
+    default: null
+  },
+  credits: {
+    type: Number,
+    required: true
+  },
+  // Currency charged and the total in it (major units, e.g. 29.00)
+  currency: {
+    type: String,
+    enum: ['usd', 'ngn'],
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Pack list prices in both currencies at the time of purchase (getCreditPacks)
+  amounts: {
+    usd: { type: Number, default: null },
+    ngn: { type: Number, default: null }
+  },
+  seller: {
+    name: String,
+    address: String,
+    taxId: String
+  },
+  // From Company.billing.taxInfo / address
+  buyer: {
+    name: String,
+    taxInfo: { type: Object, default: {} },
+    address: { type: Object, default: {} }
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the credits were bought
+  purchasedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Indexes
+// Note: ledgerEntryId already has unique: true which creates an index automatically
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: 'string' } } });
+invoiceSchema.index({ companyId: 1, issuedAt: -1 });
+
+export default mongoose.model('Invoice', invoiceSchema);
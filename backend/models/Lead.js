@@ -13,6 +13,9 @@ const leadSchema = new mongoose.Schema({
     default: null
   },
   
+  // Search provider that returned this result (see providerRegistry)
+  sourceProvider: String,
+  
   // Raw extraction data
   rawTitle: String,
   rawSnippet: String,
@@ -34,9 +37,10 @@ const leadSchema = new mongoose.Schema({
     confidence: Number,
     deliverability: { // NEW: Email deliverability scoring
       score: Number, // 0-100, deliverability score
-      status: String, // 'valid', 'invalid', 'risky', 'unknown'
+      status: String, // 'valid', 'invalid', 'risky', 'catch_all', 'unknown'
+      reason: String,
       checkedAt: Date,
-      method: String // 'syntax', 'api', 'unknown'
+      method: String // 'syntax', 'smtp', 'api', 'unknown'
     }
   }],
   phoneNumbers: [{
@@ -59,6 +63,11 @@ const leadSchema = new mongoose.Schema({
   
   // Content
   aboutText: String,
+  // Visible homepage text, kept for answering AI questions (not returned by default)
+  pageText: {
+    type: String,
+    select: false
+  },
   categorySignals: [String],
   
   // Decision makers extracted from website
@@ -122,6 +131,73 @@ const leadSchema = new mongoose.Schema({
     default: null
   },
   
+  // Why the lead got its quality and verification scores (see services/leadScoring.js)
+  scoreBreakdown: {
+    quality: {
+      criteria: [{
+        _id: false,
+        key: String,
+        label: String,
+        weight: Number,
+        credit: Number, // 0-1 share of the weight earned
+        detail: String
+      }],
+      missingRequired: [String]
+    },
+    verification: {
+      criteria: [{
+        _id: false,
+        key: String,
+        label: String,
+        weight: Number,
+        credit: Number
+      }]
+    },
+    computedAt: Date
+  },
+  
+  // Fit against the company's ICP (0-100, null when the company has no ICP - see utils/icpScoring.js)
+  icpFitScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  icpFit: {
+    matched: [{
+      _id: false,
+      criterion: String, // 'industry', 'employees', 'revenue', 'country', 'hiring', 'keywords'
+      detail: String
+    }],
+    unmatched: [{
+      _id: false,
+      criterion: String,
+      detail: String
+    }],
+    computedAt: Date
+  },
+  
+  // Similarity to a lookalike search's seed companies (0-100, lookalike searches only - see services/lookalike.js)
+  similarityScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  similarity: {
+    matched: [{
+      _id: false,
+      criterion: String,
+      detail: String
+    }],
+    unmatched: [{
+      _id: false,
+      criterion: String,
+      detail: String
+    }],
+    computedAt: Date
+  },
+  
   // Distance from search location (in kilometers)
   distanceKm: {
     type: Number,
@@ -139,6 +215,110 @@ const leadSchema = new mongoose.Schema({
     enum: ['pending', 'enriching', 'enriched', 'failed', 'skipped'],
     default: 'pending'
   },
+  // Sales pipeline (mini-CRM)
+  pipelineStage: {
+    type: String,
+    enum: ['new', 'contacted', 'replied', 'meeting', 'won', 'lost'],
+    default: 'new'
+  },
+  pipelineStageChangedAt: Date,
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: [{
+    body: {
+      type: String,
+      required: true
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Who changed what, newest last
+  activity: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['stage_changed', 'owner_changed', 'note_added', 'note_deleted']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    from: String,
+    to: String,
+    noteId: mongoose.Schema.Types.ObjectId,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Values for the company's custom fields, keyed by field key (see Company.customFields)
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // How AI-answered custom fields were answered, one per field key (removed when a value is edited by hand)
+  aiAttributes: [{
+    _id: false,
+    key: String,
+    question: String, // question as asked
+    answer: mongoose.Schema.Types.Mixed, // raw model answer
+    evidence: String,
+    confidence: Number, // 0-100
+    answeredAt: Date
+  }],
+  
+  // Duplicates folded into this lead (see services/leadMerger.js), newest last
+  mergeLog: [{
+    _id: false,
+    fromLeadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+    mergedAt: Date,
+    added: {
+      emails: [String],
+      phoneNumbers: [String],
+      decisionMakers: [String],
+      whatsappLinks: [String],
+      socials: [String],
+      address: String
+    },
+    qualityScore: { before: Number, after: Number },
+    verificationScore: { before: Number, after: Number }
+  }],
+  
+  // Records this lead was pushed to in external CRMs (see services/crmSync.js), one per provider
+  crmRecords: [{
+    _id: false,
+    provider: String, // 'hubspot', 'pipedrive', 'mock'
+    companyExternalId: String,
+    contacts: [{
+      _id: false,
+      key: String, // lowercased email, or normalized name when there's no email
+      externalId: String
+    }],
+    status: {
+      type: String,
+      enum: ['synced', 'partial', 'failed']
+    },
+    error: String,
+    syncedAt: Date
+  }],
+  
+  // Company master record shared by every lead for the same domain (see models/Account.js)
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    default: null
+  },
   isDuplicate: {
     type: Boolean,
     default: false
@@ -165,7 +345,10 @@ const leadSchema = new mongoose.Schema({
 leadSchema.index({ searchId: 1, createdAt: -1 });
 leadSchema.index({ companyName: 1 });
 leadSchema.index({ website: 1 });
+leadSchema.index({ accountId: 1, createdAt: -1 });
+leadSchema.index({ ownerId: 1, pipelineStage: 1 });
 leadSchema.index({ 'enrichment.signalStrength': -1 });
+leadSchema.index({ icpFitScore: -1 });
 leadSchema.index({ extractionStatus: 1, enrichmentStatus: 1 });
 
 export default mongoose.model('Lead', leadSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * LedgerEntry - One credit movement for a company (append-only)
+ * Company.creditBalance is kept in step with the sum of a company's entries by
+ * services/billing.js; services/creditReconciliation.js checks the two agree.
+ * Entries with an idempotencyKey (e.g. hold:<searchId>) are written at most once.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  delta: {
+    type: Number,
+    required: true // +credits or -credits
+  },
+  // purchase, signup_bonus, hold, hold_release, payment_refund, opening_balance, and from before
+  // search holds: reserve, refund_invalid, refund_error, refund_requeue
+  reason: {
+    type: String,
+    required: true
+  },
+  idempotencyKey: {
+    type: String,
+    default: undefined
+  },
+  byUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  searchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Search',
+    default: null
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  currency: {
+    type: String,
+    enum: ['usd', 'ngn'],
+    default: 'usd'
+  },
+  packId: {
+    type: String,
+    default: null
+  },
+  meta: {
+    type: Object,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+ledgerEntrySchema.index({ companyId: 1, createdAt: -1 });
+ledgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+ledgerEntrySchema.index({ reason: 1, createdAt: -1 });
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
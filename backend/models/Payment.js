@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+
+/**
+ * Payment - One credit pack checkout with a payment provider (see services/paymentProviders.js)
+ * Created pending when checkout starts; provider webhooks mark it paid (crediting the company
+ * once) and record refunds. Processed webhook event IDs are kept so replays are ignored.
+ */
+const paymentSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  provider: {
+    type: String,
+    enum: ['stripe', 'paystack'],
+    required: true
+  },
+  // Our reference, sent to the provider and echoed back in its webhooks
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  packId: {
+    type: String,
+    required: true
+  },
+  credits: {
+    type: Number,
+    required: true
+  },
+  // Smallest currency unit (cents / kobo)
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    enum: ['usd', 'ngn'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'partially_refunded', 'refunded'],
+    default: 'pending'
+  },
+  checkoutUrl: {
+    type: String,
+    default: null
+  },
+  // Stripe checkout session ID (Paystack uses our reference)
+  providerSessionId: {
+    type: String,
+    default: null
+  },
+  // Stripe payment intent / Paystack transaction ID - refunds point at this
+  providerPaymentId: {
+    type: String,
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    _id: false,
+    eventId: String,
+    amount: Number, // smallest currency unit
+    credits: Number, // credits taken back
+    refundedAt: Date
+  }],
+  processedEvents: {
+    type: [String],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+// Note: reference already has unique: true which creates an index automatically
+paymentSchema.index({ companyId: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+paymentSchema.index({ provider: 1, providerSessionId: 1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * ProviderHealth - Daily call stats per search provider
+ * One document per provider per day, updated with $inc so every worker can write
+ * without coordination. The registry sums the last few days to score providers.
+ */
+const providerHealthSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // UTC day bucket, e.g. '2025-01-31'
+  day: {
+    type: String,
+    required: true
+  },
+  calls: {
+    type: Number,
+    default: 0
+  },
+  successes: {
+    type: Number,
+    default: 0
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  timeouts: {
+    type: Number,
+    default: 0
+  },
+  emptyResults: {
+    type: Number,
+    default: 0
+  },
+  totalLatencyMs: {
+    type: Number,
+    default: 0
+  },
+  totalResults: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  lastSuccessAt: Date,
+  lastFailureAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+providerHealthSchema.index({ provider: 1, day: 1 }, { unique: true });
+// Keep a month of history
+providerHealthSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('ProviderHealth', providerHealthSchema);
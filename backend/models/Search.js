@@ -21,6 +21,49 @@ const searchSchema = new mongoose.Schema({
     enum: [50, 100, 200]
   },
   
+  // 'import' searches skip discovery and process rows from an uploaded company list,
+  // 'lookalike' searches derive their query from seed companies (see services/lookalike.js)
+  source: {
+    type: String,
+    enum: ['search', 'import', 'lookalike'],
+    default: 'search'
+  },
+  importFile: {
+    name: String,
+    totalRows: Number,
+    acceptedRows: Number,
+    // Rows that could not be mapped to a company name or website (capped)
+    rowErrors: [{
+      _id: false,
+      row: Number,
+      error: String
+    }]
+  },
+  
+  lookalike: {
+    seeds: [{
+      _id: false,
+      website: String,
+      companyName: String,
+      industry: String,
+      employeeCountRange: String,
+      revenueBracket: String,
+      categorySignals: [String],
+      error: String // set when the seed couldn't be analyzed
+    }],
+    // What discovered leads are compared against (same shape as Company.icp)
+    profile: {
+      industries: [String],
+      employeeRanges: [String],
+      revenueBrackets: [String],
+      keywords: [String]
+    },
+    // Synthesized queries (the first becomes the search query) and provider terms
+    queries: [String],
+    terms: [String],
+    analyzedAt: Date
+  },
+  
   // Status tracking
   status: {
     type: String,
@@ -29,7 +72,7 @@ const searchSchema = new mongoose.Schema({
   },
   
   // Queue priority (higher = processed first)
-  // Default: 0 (free users), Premium: 10 (paying users)
+  // From the company's plan (free 0, pro 10, business 20 - see services/plans.js); at least 10 once credits were bought
   priority: {
     type: Number,
     default: 0,
@@ -41,6 +84,33 @@ const searchSchema = new mongoose.Schema({
   totalResults: Number,
   extractedCount: Number,
   enrichedCount: Number,
+  reasonShortfall: String,
+  error: String,
+  
+  // Provenance: result counts per provider (shape kept for the dashboard)
+  providers: {
+    overpass: { type: Number, default: 0 },
+    searxng: { type: Number, default: 0 },
+    osm: { type: Number, default: 0 },
+    bing: { type: Number, default: 0 },
+    customSearch: { type: Number, default: 0 },
+    ddg: { type: Number, default: 0 },
+    places: { type: Number, default: 0 }
+  },
+  // One entry per provider considered for this search (ran or skipped, and why)
+  providerRuns: [{
+    _id: false,
+    provider: String,
+    ran: Boolean,
+    terms: [String],
+    resultCount: Number,
+    latencyMs: Number,
+    timedOut: Boolean,
+    error: String,
+    skippedReason: String // disabled, not_configured, not_applicable, rate_limited, circuit_open, enough_results, not_needed
+  }],
+  // Terms from buildAdaptiveExpansions used by term-by-term providers
+  expansionTerms: [String],
   
   // Saved search template
   isTemplate: {
@@ -49,6 +119,32 @@ const searchSchema = new mongoose.Schema({
   },
   templateName: String,
   
+  // Recurring schedule (templates only). Cron in UTC, see utils/cronParser.js
+  schedule: {
+    enabled: { type: Boolean, default: false },
+    cron: String,
+    nextRunAt: Date,
+    lastRunAt: Date,
+    lastRunSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Search' },
+    runCount: { type: Number, default: 0 }
+  },
+  // Set on searches started by a template's schedule
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Search',
+    default: null
+  },
+  // "New leads only" digest for scheduled runs: companies not seen in any earlier run of the template
+  digest: {
+    newLeadIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Lead' }],
+    newCount: Number,
+    knownCount: Number,
+    comparedRuns: Number,
+    generatedAt: Date
+  },
+  // Set once completion hooks (digest, ...) have run
+  finalizedAt: Date,
+  
   // Timestamps
   startedAt: Date,
   completedAt: Date,
@@ -66,6 +162,8 @@ const searchSchema = new mongoose.Schema({
 
 // Indexes
 searchSchema.index({ userId: 1, createdAt: -1 });
+searchSchema.index({ 'schedule.enabled': 1, 'schedule.nextRunAt': 1 });
+searchSchema.index({ templateId: 1, createdAt: -1 });
 searchSchema.index({ isTemplate: 1, userId: 1 });
 
 export default mongoose.model('Search', searchSchema);
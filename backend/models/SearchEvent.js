@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * SearchEvent - Progress events for a search (lead extracted/enriched/duplicate/rejected, provider telemetry)
+ * Written by the worker that runs the search and tailed by GET /api/search/:id/stream.
+ * Events expire after a day; the Search and Lead documents remain the source of truth.
+ */
+const searchEventSchema = new mongoose.Schema({
+  searchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Search',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['lead', 'providers', 'lookalike'],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+searchEventSchema.index({ searchId: 1, _id: 1 });
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('SearchEvent', searchEventSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * SearchJob - Persistent queue entry for a Search
+ * One job per search. Workers lease jobs and keep the lease alive with heartbeats,
+ * so a crashed process only holds a search until its lease expires.
+ */
+const searchJobSchema = new mongoose.Schema({
+  searchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Search',
+    required: true,
+    unique: true
+  },
+  // Round-robin key: user ID as string, or 'anonymous'
+  userKey: {
+    type: String,
+    required: true,
+    default: 'anonymous'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // 'search' while the initial batch runs, 'backfill' once the queue has moved on
+  phase: {
+    type: String,
+    enum: ['search', 'backfill'],
+    default: 'search'
+  },
+
+  // Lease
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: Date,
+  heartbeatAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+
+  // Checkpoint so a re-leased job resumes where the previous worker stopped
+  results: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  processedLinks: {
+    type: [String],
+    default: []
+  },
+
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+searchJobSchema.index({ status: 1, userKey: 1, priority: -1, queuedAt: 1 });
+searchJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+export default mongoose.model('SearchJob', searchJobSchema);
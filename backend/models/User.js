@@ -32,6 +32,18 @@ const userSchema = new mongoose.Schema({
     default: 'member',
     required: true
   },
+  // Platform-wide role (Onalog staff), separate from the company role above
+  // Set from PLATFORM_ADMIN_EMAILS on startup, for verified emails only (never at signup)
+  platformRole: {
+    type: String,
+    enum: ['admin', null],
+    default: null
+  },
+  // When the user was confirmed to own their email (scripts/verifyEmail.js)
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   
   // User role/position (optional, for personalization)
   userRole: {
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * Webhook - A company's endpoint for outgoing event notifications (see services/webhooks.js)
+ */
+const webhookSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: ['search.completed', 'lead.created', 'lead.enriched', 'credits.low']
+    }],
+    default: []
+  },
+  // lead.enriched only fires for leads with at least this qualityScore (0-5, null = every lead)
+  minQualityScore: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: null
+  },
+  // HMAC-SHA256 signing secret for the X-Onalog-Signature header
+  secret: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Delivery health
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSchema.index({ companyId: 1, enabled: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
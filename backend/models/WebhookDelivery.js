@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * WebhookDelivery - One event sent (or being retried) to one webhook, kept as the delivery log
+ * The payload is stored so retries send exactly the same body. Logs expire after 30 days.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When a pending delivery is next tried (also pushed forward while an attempt is in flight)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last attempt
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  isTest: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,85 @@
+import express from 'express';
+import Account from '../models/Account.js';
+import { authenticate } from '../middleware/auth.js';
+import { getAccountHistory } from '../services/accountService.js';
+import { getVisibleSearchIds } from '../services/leadAccess.js';
+
+const router = express.Router();
+
+/**
+ * Only the searches the user may see, so an account doesn't reveal teammates' searches
+ * while the company doesn't share leads
+ */
+function visibleAccount(account, visibleIds) {
+  const data = account.toObject();
+  data.searchIds = (data.searchIds || []).filter(id => visibleIds.has(String(id)));
+  return data;
+}
+
+/**
+ * GET /api/accounts - List the company's accounts (company master records)
+ * Accounts seen in at least one search whose leads the user may see (all company searches
+ * when the company shares leads, otherwise the user's own).
+ * Query params: q (name or domain), page, limit
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const searchIds = await getVisibleSearchIds(req.user);
+    const visibleIds = new Set(searchIds.map(String));
+    const query = { companyId: req.user.companyId, searchIds: { $in: searchIds } };
+    if (req.query.q && req.query.q.trim()) {
+      const pattern = new RegExp(req.query.q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { domain: pattern }];
+    }
+
+    const [accounts, total] = await Promise.all([
+      Account.find(query)
+        .sort({ lastSeenAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('name domain website qualityScore leadCount searchIds firstSeenAt lastSeenAt'),
+      Account.countDocuments(query)
+    ]);
+
+    res.json({
+      accounts: accounts.map(account => visibleAccount(account, visibleIds)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Accounts list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/accounts/:id - Account with its lead history across the searches the user may see
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const searchIds = await getVisibleSearchIds(req.user);
+    const account = await Account.findOne({
+      _id: req.params.id,
+      companyId: req.user.companyId,
+      searchIds: { $in: searchIds }
+    });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const history = await getAccountHistory(account._id, { searchIds });
+    res.json({ account: visibleAccount(account, new Set(searchIds.map(String))), history });
+  } catch (error) {
+    console.error('Account fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
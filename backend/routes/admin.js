@@ -1,11 +1,14 @@
 import express from 'express';
 import User from '../models/User.js';
 import Company from '../models/Company.js';
+import LedgerEntry from '../models/LedgerEntry.js';
 import Search from '../models/Search.js';
 import Lead from '../models/Lead.js';
-import { requireAdmin } from '../middleware/admin.js';
-import { requireAdminUsername } from '../middleware/adminUsername.js';
+import { requirePlatformAdmin } from '../middleware/admin.js';
+import AdminAudit from '../models/AdminAudit.js';
 import { getCreditPacks, billingEnabled, defaultCurrency } from '../services/billing.js';
+import { listProviders } from '../services/providerRegistry.js';
+import { PLANS, PLAN_KEYS, plansEnabled } from '../services/plans.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -13,9 +16,9 @@ const router = express.Router();
 /**
  * GET /api/admin/metrics
  * Get comprehensive platform metrics
- * Requires admin username (username-only authentication)
+ * Requires platform admin
  */
-router.get('/metrics', requireAdminUsername, async (req, res) => {
+router.get('/metrics', requirePlatformAdmin, async (req, res) => {
   try {
     const { period = 'all', startDate, endDate } = req.query;
     
@@ -115,38 +118,40 @@ router.get('/metrics', requireAdminUsername, async (req, res) => {
     
     // Credit/Revenue Metrics
     const creditPacks = getCreditPacks();
-    const allCompanies = await Company.find({}).lean();
+    const [ledgerTotals, balanceTotals] = await Promise.all([
+      LedgerEntry.aggregate([
+        { $group: { _id: { reason: '$reason', packId: '$packId', currency: '$currency' }, delta: { $sum: '$delta' }, count: { $sum: 1 } } }
+      ]),
+      Company.aggregate([
+        { $group: { _id: null, creditBalance: { $sum: '$creditBalance' } } }
+      ])
+    ]);
     
     let totalCreditsPurchased = 0;
     let totalCreditsConsumed = 0;
     let totalCreditsRefunded = 0;
     let totalRevenueUSD = 0;
     let totalRevenueNGN = 0;
-    let activeCredits = 0;
-    
-    allCompanies.forEach(company => {
-      const ledger = company.ledger || [];
-      const currency = company.billing?.currency || defaultCurrency();
-      
-      ledger.forEach(entry => {
-        if (entry.reason === 'purchase') {
-          totalCreditsPurchased += entry.delta;
-          const pack = creditPacks.find(p => p.id === entry.packId);
-          if (pack) {
-            if (currency === 'usd') {
-              totalRevenueUSD += pack.price.usd;
-            } else {
-              totalRevenueNGN += pack.price.ngn;
-            }
+    const activeCredits = balanceTotals[0]?.creditBalance || 0;
+    
+    ledgerTotals.forEach(({ _id: { reason, packId, currency }, delta, count }) => {
+      if (reason === 'purchase') {
+        totalCreditsPurchased += delta;
+        const pack = creditPacks.find(p => p.id === packId);
+        if (pack) {
+          if (currency === 'ngn') {
+            totalRevenueNGN += pack.price.ngn * count;
+          } else {
+            totalRevenueUSD += pack.price.usd * count;
           }
-        } else if (entry.reason === 'reserve' || entry.reason === 'consume') {
-          totalCreditsConsumed += Math.abs(entry.delta);
-        } else if (entry.reason === 'refund_invalid' || entry.reason === 'refund') {
-          totalCreditsRefunded += entry.delta;
         }
-      });
-      
-      activeCredits += company.creditBalance || 0;
+      } else if (reason === 'reserve' || reason === 'consume' || reason === 'hold') {
+        totalCreditsConsumed += Math.abs(delta);
+      } else if (reason === 'hold_release') {
+        totalCreditsConsumed -= delta;
+      } else if (reason === 'refund' || reason.startsWith('refund_')) {
+        totalCreditsRefunded += delta;
+      }
     });
     
     // Growth Trends (last 30 days)
@@ -306,6 +311,54 @@ router.get('/metrics', requireAdminUsername, async (req, res) => {
     const avgCompletionTimeMs = avgCompletionTime[0]?.avgDuration || 0;
     const avgCompletionTimeMinutes = avgCompletionTimeMs > 0 ? Math.round(avgCompletionTimeMs / 60000) : 0;
     
+    // Provider provenance: how each provider performed across searches in the period
+    const providerRunStats = await Search.aggregate([
+      { $match: { ...dateFilter, 'providerRuns.0': { $exists: true } } },
+      { $unwind: '$providerRuns' },
+      {
+        $group: {
+          _id: '$providerRuns.provider',
+          runs: { $sum: { $cond: ['$providerRuns.ran', 1, 0] } },
+          skipped: { $sum: { $cond: ['$providerRuns.ran', 0, 1] } },
+          results: { $sum: { $ifNull: ['$providerRuns.resultCount', 0] } },
+          timeouts: { $sum: { $cond: ['$providerRuns.timedOut', 1, 0] } },
+          errors: { $sum: { $cond: [{ $and: ['$providerRuns.ran', { $gt: ['$providerRuns.error', null] }] }, 1, 0] } },
+          avgLatencyMs: { $avg: { $cond: ['$providerRuns.ran', '$providerRuns.latencyMs', null] } }
+        }
+      }
+    ]);
+    // Leads each provider contributed (non-duplicates) and how many got enriched
+    const providerLeadStats = await Lead.aggregate([
+      { $match: { ...dateFilter, isDuplicate: { $ne: true }, sourceProvider: { $exists: true, $ne: null } } },
+      {
+        $group: {
+          _id: '$sourceProvider',
+          leads: { $sum: 1 },
+          enriched: { $sum: { $cond: [{ $eq: ['$enrichmentStatus', 'enriched'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const providerHealth = await listProviders();
+    const providerMetrics = providerHealth.map(p => {
+      const runStats = providerRunStats.find(r => r._id === p.key) || {};
+      const leadStats = providerLeadStats.find(l => l._id === p.key) || {};
+      return {
+        provider: p.key,
+        label: p.label,
+        cost: p.cost,
+        configured: p.configured,
+        runs: runStats.runs || 0,
+        skipped: runStats.skipped || 0,
+        results: runStats.results || 0,
+        timeouts: runStats.timeouts || 0,
+        errors: runStats.errors || 0,
+        avgLatencyMs: runStats.avgLatencyMs ? Math.round(runStats.avgLatencyMs) : null,
+        leads: leadStats.leads || 0,
+        enrichedLeads: leadStats.enriched || 0,
+        health: p.health
+      };
+    });
+    
     // Response
     res.json({
       period,
@@ -381,6 +434,9 @@ router.get('/metrics', requireAdminUsername, async (req, res) => {
         daily: dailyStats
       },
       
+      // Search provider provenance
+      providers: providerMetrics,
+      
       // Top Users
       topUsers: topUsers.map(user => ({
         name: user.name,
@@ -435,9 +491,9 @@ router.get('/metrics', requireAdminUsername, async (req, res) => {
 /**
  * GET /api/admin/users
  * Get user list with pagination
- * Requires admin authentication
+ * Requires platform admin
  */
-router.get('/users', requireAdmin, async (req, res) => {
+router.get('/users', requirePlatformAdmin, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
@@ -471,9 +527,9 @@ router.get('/users', requireAdmin, async (req, res) => {
 /**
  * GET /api/admin/companies
  * Get company list with pagination
- * Requires admin authentication
+ * Requires platform admin
  */
-router.get('/companies', requireAdmin, async (req, res) => {
+router.get('/companies', requirePlatformAdmin, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
@@ -520,12 +576,77 @@ router.get('/companies', requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/admin/companies/:id/plan
+ * Move a company to another plan tier
+ * Body: { plan: 'free' | 'pro' | 'business' }
+ * Requires platform admin
+ */
+router.put('/companies/:id/plan', requirePlatformAdmin, async (req, res) => {
+  try {
+    const { plan } = req.body;
+    if (!PLAN_KEYS.includes(plan)) {
+      return res.status(400).json({ error: `plan must be one of: ${PLAN_KEYS.join(', ')}` });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid company id' });
+    }
+    
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      { $set: { 'plan.tier': plan, 'plan.changedAt': new Date() } },
+      { new: true }
+    ).select('name plan planUsage').lean();
+    if (!company) return res.status(404).json({ error: 'Company not found' });
+    
+    console.log(`[ADMIN] ${req.user.email} moved company ${company._id} to the ${plan} plan`);
+    res.json({ success: true, company });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update plan', details: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Admin request audit log, newest first
+ * Query params: page, limit (default 50, max 200), userId
+ * Requires platform admin
+ */
+router.get('/audit', requirePlatformAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const filter = {};
+    if (req.query.userId && mongoose.Types.ObjectId.isValid(req.query.userId)) {
+      filter.userId = req.query.userId;
+    }
+
+    const [entries, total] = await Promise.all([
+      AdminAudit.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AdminAudit.countDocuments(filter)
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch audit log', details: error.message });
+  }
+});
+
 /**
  * GET /api/admin/config
  * Get platform configuration (from .env)
- * Requires admin username (username-only authentication)
+ * Requires platform admin
  */
-router.get('/config', requireAdminUsername, async (req, res) => {
+router.get('/config', requirePlatformAdmin, async (req, res) => {
   try {
     res.json({
       billing: {
@@ -534,6 +655,10 @@ router.get('/config', requireAdminUsername, async (req, res) => {
         creditPacks: getCreditPacks(),
         ngnPerUsd: Number(process.env.NGN_PER_USD || 1600)
       },
+      plans: {
+        enabled: plansEnabled(),
+        tiers: PLANS
+      },
       features: {
         puppeteer: !!process.env.PUPPETEER_EXECUTABLE_PATH,
         openai: !!process.env.OPENAI_API_KEY,
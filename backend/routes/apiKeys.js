@@ -0,0 +1,139 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import ApiKeyAudit from '../models/ApiKeyAudit.js';
+import { authenticate } from '../middleware/auth.js';
+import { grantableScopes, generateApiKey, recordApiKeyAudit } from '../services/apiKeys.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/api-keys - Company API keys (never the keys themselves) and available scopes (admin only)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage API keys' });
+    }
+    const apiKeys = await ApiKey.find({ companyId: req.user.companyId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+    res.json({ apiKeys, scopes: grantableScopes(req.user) });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/api-keys - Create a key (admin only)
+ * Body: { name, scopes: [...], rateLimitPerMinute?, expiresAt? }
+ * The key is only returned here - store it now.
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage API keys' });
+    }
+
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'scopes must be a non-empty array' });
+    }
+    const allowedScopes = grantableScopes(req.user);
+    const unknown = scopes.filter(s => !allowedScopes.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown or not allowed scopes: ${unknown.join(', ')}` });
+    }
+    if (rateLimitPerMinute !== undefined && (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1 || rateLimitPerMinute > 1000)) {
+      return res.status(400).json({ error: 'rateLimitPerMinute must be an integer from 1 to 1000' });
+    }
+    let expires = null;
+    if (expiresAt) {
+      expires = new Date(expiresAt);
+      if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt must be a future date' });
+      }
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = new ApiKey({
+      companyId: req.user.companyId,
+      createdBy: req.user._id,
+      name: String(name).trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt: expires
+    });
+    await apiKey.save();
+    await recordApiKeyAudit(apiKey, 'created', { userId: req.user._id, ip: req.ip, detail: apiKey.scopes.join(',') });
+
+    const created = apiKey.toObject();
+    delete created.keyHash;
+    res.status(201).json({ apiKey: created, key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id - Revoke a key (admin only). Revoked keys stay listed for the audit trail.
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage API keys' });
+    }
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, companyId: req.user.companyId });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ error: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+    await recordApiKeyAudit(apiKey, 'revoked', { userId: req.user._id, ip: req.ip });
+
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/api-keys/:id/audit - Audit trail for a key, newest first (admin only)
+ * Query params: limit (default 50, max 200)
+ */
+router.get('/:id/audit', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage API keys' });
+    }
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, companyId: req.user.companyId });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const entries = await ApiKeyAudit.find({ apiKeyId: apiKey._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('userId', 'name email');
+    res.json({ entries });
+  } catch (error) {
+    console.error('API key audit error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -3,7 +3,8 @@ import User from '../models/User.js';
 import Company from '../models/Company.js';
 import jwt from 'jsonwebtoken';
 import { normalizeCompanyName, findSimilarCompanies } from '../utils/companyMatcher.js';
-import { defaultCurrency } from '../services/billing.js';
+import { defaultCurrency, applyLedgerEntry } from '../services/billing.js';
+import { reserveMemberSeat, releaseMemberSeat } from '../services/plans.js';
 
 const router = express.Router();
 
@@ -51,9 +52,12 @@ router.post('/signup', async (req, res) => {
       if (!company) {
         return res.status(400).json({ error: 'Company not found' });
       }
-      // Increment member count
-      company.memberCount += 1;
-      await company.save();
+      try {
+        await reserveMemberSeat(company);
+      } catch (planError) {
+        if (planError.status) return res.status(planError.status).json({ error: planError.message, ...planError.details });
+        throw planError;
+      }
     } else {
       // Check for similar companies
       const matchResult = await findSimilarCompanies(companyName, Company);
@@ -61,8 +65,12 @@ router.post('/signup', async (req, res) => {
       if (matchResult.type === 'exact') {
         // Exact match - join existing company
         company = matchResult.match;
-        company.memberCount += 1;
-        await company.save();
+        try {
+          await reserveMemberSeat(company);
+        } catch (planError) {
+          if (planError.status) return res.status(planError.status).json({ error: planError.message, ...planError.details });
+          throw planError;
+        }
       } else if (matchResult.type === 'similar' && matchResult.similarity >= 0.85) {
         // Similar company found - return suggestion
         return res.status(200).json({
@@ -108,23 +116,23 @@ router.post('/signup', async (req, res) => {
         },
         memberCount: 1
       });
+      await company.save();
+      
       // Seed free credits for new companies
       try {
         const freeCredits = parseInt(process.env.FREE_CREDITS_NEW || '0', 10);
         if (freeCredits > 0) {
-          company.creditBalance = (company.creditBalance || 0) + freeCredits;
-          if (!company.billing) company.billing = {};
-          if (!company.billing.currency) company.billing.currency = defaultCurrency();
-          company.ledger = company.ledger || [];
-          company.ledger.push({
+          await applyLedgerEntry(company._id, {
             delta: freeCredits,
             reason: 'signup_bonus',
+            idempotencyKey: `signup_bonus:${company._id}`,
             byUserId: user._id,
-            currency: company.billing.currency
+            currency: company.billing?.currency || defaultCurrency()
           });
         }
-      } catch {}
-      await company.save();
+      } catch (bonusError) {
+        console.error('Signup bonus error:', bonusError.message);
+      }
       
       // Update user with companyId
       user.companyId = company._id;
@@ -132,7 +140,13 @@ router.post('/signup', async (req, res) => {
     } else {
       // For existing companies, set companyId before saving
       user.companyId = company._id;
-      await user.save();
+      try {
+        await user.save();
+      } catch (saveError) {
+        // The seat taken above goes back
+        await releaseMemberSeat(company).catch(() => {});
+        throw saveError;
+      }
     }
     
     // Generate token
@@ -145,6 +159,7 @@ router.post('/signup', async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        platformRole: user.platformRole || null,
         userRole: user.userRole || null,
         companyId: company._id,
         companyName: company.name,
@@ -200,6 +215,7 @@ router.post('/login', async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        platformRole: user.platformRole || null,
         userRole: user.userRole || null,
         companyId: user.companyId,
         companyName: company?.name,
@@ -238,6 +254,7 @@ router.get('/me', async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        platformRole: user.platformRole || null,
         userRole: user.userRole || null,
         companyId: user.companyId?._id,
         companyName: user.companyId?.name,
@@ -1,15 +1,49 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { authenticate } from '../middleware/auth.js';
 import Company from '../models/Company.js';
-import { billingEnabled, getCreditPacks, getCompanyUsage, mockAddCredits, defaultCurrency } from '../services/billing.js';
+import {
+  billingEnabled,
+  getCreditPacks,
+  getCompanyUsage,
+  mockAddCredits,
+  defaultCurrency,
+  startCheckout,
+  handlePaymentWebhook,
+  listCompanyPayments
+} from '../services/billing.js';
+import { listPaymentProviders } from '../services/paymentProviders.js';
+import { getPlanUsage } from '../services/plans.js';
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+import {
+  INVOICE_TAX_FIELDS,
+  INVOICE_ADDRESS_FIELDS,
+  listCompanyInvoices,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} from '../services/invoices.js';
 
 const router = express.Router();
 
-// List packs and current balance
+// Keep only the known string fields of a taxInfo/address object from the request
+function pickFields(input, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (typeof input?.[field] === 'string') {
+      const value = input[field].trim().slice(0, 200);
+      if (value) out[field] = value;
+    }
+  }
+  return out;
+}
+
+// List packs, current balance and ledger history (?page=&limit=, newest first)
 router.get('/usage', authenticate, async (req, res) => {
   try {
     if (!billingEnabled()) return res.json({ balance: null, ledger: [], currency: null, packs: [], enabled: false });
-    const usage = await getCompanyUsage(req.user.companyId);
+    const { page = 1, limit = 50 } = req.query;
+    const usage = await getCompanyUsage(req.user.companyId, { page, limit });
     res.json({ ...usage, packs: getCreditPacks(), enabled: true });
   } catch (e) {
     console.error('Billing usage error:', e);
@@ -17,6 +51,18 @@ router.get('/usage', authenticate, async (req, res) => {
   }
 });
 
+// Plan tier, its limits and this month's usage
+router.get('/plan', authenticate, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId).select('name plan planUsage').lean();
+    if (!company) return res.status(404).json({ error: 'Company not found' });
+    res.json(await getPlanUsage(company));
+  } catch (e) {
+    console.error('Billing plan error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Get/set billing profile (company)
 router.get('/profile', authenticate, async (req, res) => {
   try {
@@ -24,9 +70,16 @@ router.get('/profile', authenticate, async (req, res) => {
     if (!company) return res.status(404).json({ error: 'Company not found' });
     const profile = {
       currency: company.billing?.currency || defaultCurrency(),
-      provider: company.billing?.provider || 'mock'
+      provider: company.billing?.provider || 'mock',
+      taxInfo: company.billing?.taxInfo || {},
+      address: company.billing?.address || {}
     };
-    res.json({ enabled: billingEnabled(), profile, providerEnv: process.env.BILLING_PROVIDER || 'mock' });
+    res.json({
+      enabled: billingEnabled(),
+      profile,
+      providerEnv: process.env.BILLING_PROVIDER || 'mock',
+      providers: listPaymentProviders()
+    });
   } catch (e) {
     console.error('Billing profile error:', e);
     res.status(500).json({ error: e.message });
@@ -39,23 +92,46 @@ router.put('/profile', authenticate, async (req, res) => {
     if (!company) return res.status(404).json({ error: 'Company not found' });
     // Only admin can change
     if (req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can update billing profile' });
-    const { currency, provider } = req.body || {};
+    const { currency, provider, taxInfo, address } = req.body || {};
     if (!company.billing) company.billing = {};
     if (currency && ['usd','ngn'].includes(String(currency).toLowerCase())) {
       company.billing.currency = String(currency).toLowerCase();
     }
     if (provider && ['mock','stripe','paystack'].includes(String(provider).toLowerCase())) {
-      company.billing.provider = String(provider).toLowerCase();
+      const key = String(provider).toLowerCase();
+      const adapter = listPaymentProviders().find(p => p.key === key);
+      if (adapter && !adapter.configured) {
+        return res.status(400).json({ error: `${adapter.label} is not configured on this server` });
+      }
+      company.billing.provider = key;
+    }
+    // Printed on invoices issued from now on (earlier invoices keep the details they were issued with)
+    if (taxInfo && typeof taxInfo === 'object') {
+      company.billing.taxInfo = pickFields(taxInfo, INVOICE_TAX_FIELDS);
+      company.markModified('billing.taxInfo');
+    }
+    if (address && typeof address === 'object') {
+      company.billing.address = pickFields(address, INVOICE_ADDRESS_FIELDS);
+      company.markModified('billing.address');
     }
     await company.save();
-    res.json({ success: true, profile: { currency: company.billing.currency, provider: company.billing.provider } });
+    res.json({
+      success: true,
+      profile: {
+        currency: company.billing.currency,
+        provider: company.billing.provider,
+        taxInfo: company.billing.taxInfo || {},
+        address: company.billing.address || {}
+      }
+    });
   } catch (e) {
     console.error('Billing profile update error:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Start a purchase (mock provider adds credits immediately)
+// Start a purchase (mock provider adds credits immediately; Stripe/Paystack return a checkout URL
+// and credits arrive with the provider's webhook)
 router.post('/purchase-intent', authenticate, async (req, res) => {
   try {
     if (!billingEnabled()) return res.status(400).json({ error: 'Billing disabled' });
@@ -63,17 +139,77 @@ router.post('/purchase-intent', authenticate, async (req, res) => {
     const company = await Company.findById(req.user.companyId);
     if (!company) return res.status(404).json({ error: 'Company not found' });
     if ((company.billing?.provider || 'mock') !== 'mock') {
-      // In real providers, we would create a checkout session and return its URL
-      return res.status(400).json({ error: 'Non-mock provider not configured yet' });
+      const { checkoutUrl, reference } = await startCheckout(company, req.user, packId);
+      return res.json({ success: true, checkoutUrl, reference });
     }
     const resp = await mockAddCredits(company._id, packId, req.user._id);
     res.json({ success: true, creditBalance: resp.creditBalance });
   } catch (e) {
     console.error('Purchase intent error:', e);
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
+// Recent checkouts for the company
+router.get('/payments', authenticate, async (req, res) => {
+  try {
+    const payments = await listCompanyPayments(req.user.companyId);
+    res.json({ payments });
+  } catch (e) {
+    console.error('Billing payments error:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
+// Invoices for the company's credit purchases, newest first
+router.get('/invoices', authenticate, async (req, res) => {
+  try {
+    const invoices = await listCompanyInvoices(req.user.companyId);
+    res.json({ invoices });
+  } catch (e) {
+    console.error('Billing invoices error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Download an invoice (?format=pdf|html)
+router.get('/invoices/:id/download', authenticate, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!['pdf', 'html'].includes(format)) return res.status(400).json({ error: 'format must be pdf or html' });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Invoice not found' });
+    const invoice = await Invoice.findOne({ _id: req.params.id, companyId: req.user.companyId }).lean();
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+    const payment = invoice.paymentReference
+      ? await Payment.findOne({ reference: invoice.paymentReference, companyId: req.user.companyId })
+        .select('amount currency refundedAmount').lean()
+      : null;
+
+    const filename = `${invoice.number || invoice._id}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'html') {
+      res.type('html').send(renderInvoiceHtml(invoice, payment));
+    } else {
+      res.type('application/pdf').send(renderInvoicePdf(invoice, payment));
+    }
+  } catch (e) {
+    console.error('Invoice download error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Payment provider webhooks (no auth - verified by signature over the raw body, see server.js)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const outcome = await handlePaymentWebhook(req.params.provider, req.rawBody, req.headers);
+    res.json({ received: true, ...outcome });
+  } catch (e) {
+    if (!e.status || e.status >= 500) console.error('Payment webhook error:', e);
+    res.status(e.status || 500).json({ error: e.message });
+  }
+});
+
 export default router;
 
 
@@ -2,6 +2,13 @@ import express from 'express';
 import Company from '../models/Company.js';
 import User from '../models/User.js';
 import { authenticate } from '../middleware/auth.js';
+import { listProviders, PROVIDER_KEYS } from '../services/providerRegistry.js';
+import { CUSTOM_FIELD_TYPES, validateCustomFieldDefinitions } from '../services/customFields.js';
+import { ICP_HIRING_OPTIONS, validateIcp, rescoreCompanyLeads } from '../services/icpFit.js';
+import { EMPLOYEE_RANGES, REVENUE_BRACKETS } from '../utils/icpScoring.js';
+import { validateScoringRules, recomputeCompanyScores, MAX_SCORING_WEIGHT } from '../services/leadScoring.js';
+import { QUALITY_CRITERIA, QUALITY_REQUIRED_FIELDS } from '../utils/qualityScoring.js';
+import { VERIFICATION_CRITERIA } from '../utils/verificationScoring.js';
 
 const router = express.Router();
 
@@ -77,6 +84,237 @@ router.put('/settings', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/company/providers - Search providers with capabilities, health and company enablement
+ */
+router.get('/providers', authenticate, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    const providers = await listProviders(company.settings?.disabledProviders || []);
+    res.json({ providers });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/company/providers - Enable/disable search providers for the company (admin only)
+ * Body: { disabledProviders: ['bing', 'places'] }
+ */
+router.put('/providers', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can update company settings' });
+    }
+    
+    const { disabledProviders } = req.body;
+    if (!Array.isArray(disabledProviders)) {
+      return res.status(400).json({ error: 'disabledProviders must be an array' });
+    }
+    const unknown = disabledProviders.filter(k => !PROVIDER_KEYS.includes(k));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown providers: ${unknown.join(', ')}` });
+    }
+    
+    const company = await Company.findById(req.user.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    company.settings.disabledProviders = [...new Set(disabledProviders)];
+    await company.save();
+    
+    const providers = await listProviders(company.settings.disabledProviders);
+    res.json({ providers });
+  } catch (error) {
+    console.error('Update providers error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/company/custom-fields - Custom lead field definitions and the available field types
+ */
+router.get('/custom-fields', authenticate, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId).select('customFields');
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    res.json({ fields: company.customFields, types: CUSTOM_FIELD_TYPES });
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/company/custom-fields - Replace the custom lead field definitions (admin only)
+ * Body: { fields: [{ key?, label, type, options? }] }
+ * Keys are derived from labels for new fields; values of removed fields stay on leads but are hidden.
+ */
+router.put('/custom-fields', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can update company settings' });
+    }
+    
+    const { fields, error } = validateCustomFieldDefinitions(req.body.fields);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const company = await Company.findById(req.user.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    company.customFields = fields;
+    await company.save();
+    
+    res.json({ fields: company.customFields, types: CUSTOM_FIELD_TYPES });
+  } catch (error) {
+    console.error('Update custom fields error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const ICP_OPTIONS = {
+  employeeRanges: EMPLOYEE_RANGES,
+  revenueBrackets: REVENUE_BRACKETS,
+  hiring: ICP_HIRING_OPTIONS
+};
+
+/**
+ * GET /api/company/icp - Ideal customer profile and the allowed values for its fixed lists
+ */
+router.get('/icp', authenticate, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId).select('icp');
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    res.json({ icp: company.icp, options: ICP_OPTIONS });
+  } catch (error) {
+    console.error('Get ICP error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/company/icp - Replace the ideal customer profile (admin only)
+ * Body: { industries, employeeRanges, revenueBrackets, countries, hiring, keywords, description }
+ * Every lead from the company's searches is re-scored in the background.
+ */
+router.put('/icp', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can update company settings' });
+    }
+    
+    const { icp, error } = validateIcp(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const company = await Company.findById(req.user.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    company.icp = { ...icp, updatedAt: new Date() };
+    await company.save();
+    
+    // Don't block the response on re-scoring
+    rescoreCompanyLeads(company._id);
+    
+    res.json({ icp: company.icp, options: ICP_OPTIONS });
+  } catch (error) {
+    console.error('Update ICP error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const SCORING_OPTIONS = {
+  qualityCriteria: QUALITY_CRITERIA,
+  verificationCriteria: VERIFICATION_CRITERIA,
+  requiredFields: QUALITY_REQUIRED_FIELDS,
+  maxWeight: MAX_SCORING_WEIGHT
+};
+
+/**
+ * GET /api/company/scoring - Lead scoring rules and the criteria they weight
+ */
+router.get('/scoring', authenticate, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId).select('scoring');
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    res.json({ scoring: company.scoring, options: SCORING_OPTIONS });
+  } catch (error) {
+    console.error('Get scoring rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/company/scoring - Replace the lead scoring rules (admin only)
+ * Body: { qualityWeights, verificationWeights, requiredFields }
+ * Existing leads keep their scores until POST /api/company/scoring/recompute.
+ */
+router.put('/scoring', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can update company settings' });
+    }
+    
+    const { rules, error } = validateScoringRules(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const company = await Company.findById(req.user.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    
+    company.scoring = { ...rules, updatedAt: new Date() };
+    await company.save();
+    
+    res.json({ scoring: company.scoring, options: SCORING_OPTIONS });
+  } catch (error) {
+    console.error('Update scoring rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/company/scoring/recompute - Rescore every lead from the company's searches
+ * with the current rules (admin only)
+ */
+router.post('/scoring/recompute', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can update company settings' });
+    }
+    
+    const rescored = await recomputeCompanyScores(req.user.companyId);
+    res.json({ rescored });
+  } catch (error) {
+    console.error('Recompute scores error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/company/stats - Get dashboard statistics
  */
@@ -109,7 +347,7 @@ router.get('/stats', authenticate, async (req, res) => {
     const recentSearches = await Search.find(searchQuery)
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('query country location status createdAt totalResults extractedCount enrichedCount');
+      .select('query country location status createdAt totalResults extractedCount enrichedCount templateId digest.newCount');
     
     // Lead stats
     const leadSearchIds = await Search.find(searchQuery).select('_id');
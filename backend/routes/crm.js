@@ -0,0 +1,167 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Company from '../models/Company.js';
+import Lead from '../models/Lead.js';
+import { authenticate } from '../middleware/auth.js';
+import { CRM_PROVIDER_KEYS, getCrmAdapter, listCrmAdapters } from '../services/crmAdapters.js';
+import CrmSync from '../models/CrmSync.js';
+import { getCrmConnection, queueCrmPush, describeCrmSync, CRM_PUSH_MAX_LEADS } from '../services/crmSync.js';
+import { canAccessLead } from '../services/leadAccess.js';
+
+const router = express.Router();
+
+function describeConnection(company) {
+  const crm = company?.integrations?.crm || {};
+  const adapter = getCrmAdapter(crm.provider);
+  return {
+    provider: crm.provider || null,
+    label: adapter?.label || null,
+    hasApiKey: !!crm.apiKey,
+    apiDomain: crm.apiDomain || null,
+    configured: !!adapter && adapter.isConfigured(crm),
+    lastSyncAt: crm.lastSyncAt || null
+  };
+}
+
+/**
+ * GET /api/crm - The company's CRM connection and the available CRMs
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.companyId).select('+integrations.crm.apiKey');
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    res.json({ connection: describeConnection(company), adapters: listCrmAdapters() });
+  } catch (error) {
+    console.error('Get CRM connection error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/crm - Connect, reconfigure or disconnect (provider: null) the CRM (admin only)
+ * Body: { provider, apiKey?, apiDomain? } - omit apiKey to keep the stored one
+ */
+router.put('/', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can update company settings' });
+    }
+
+    const { provider, apiKey, apiDomain } = req.body;
+    if (provider !== null && !CRM_PROVIDER_KEYS.includes(provider)) {
+      return res.status(400).json({ error: `provider must be one of: ${CRM_PROVIDER_KEYS.join(', ')} (or null to disconnect)` });
+    }
+    if (provider && !listCrmAdapters().find(a => a.key === provider)?.available) {
+      return res.status(400).json({ error: `${getCrmAdapter(provider).label} is not available on this server` });
+    }
+    if (apiDomain && !/^[a-z0-9-]+$/i.test(apiDomain)) {
+      return res.status(400).json({ error: 'apiDomain must be your Pipedrive subdomain (e.g. "acme" for acme.pipedrive.com)' });
+    }
+
+    const company = await Company.findById(req.user.companyId).select('+integrations.crm.apiKey');
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    if (provider === null) {
+      company.set('integrations.crm', { provider: null, apiKey: null, apiDomain: null, lastSyncAt: null });
+    } else {
+      // Switching CRMs never carries one CRM's key over to another
+      if (provider !== company.integrations?.crm?.provider) {
+        company.set('integrations.crm.apiKey', null);
+        company.set('integrations.crm.apiDomain', null);
+      }
+      company.set('integrations.crm.provider', provider);
+      if (apiKey !== undefined) {
+        company.set('integrations.crm.apiKey', apiKey ? String(apiKey).trim() : null);
+      }
+      if (apiDomain !== undefined) {
+        company.set('integrations.crm.apiDomain', apiDomain ? String(apiDomain).trim().toLowerCase() : null);
+      }
+    }
+    await company.save();
+
+    res.json({ connection: describeConnection(company), adapters: listCrmAdapters() });
+  } catch (error) {
+    console.error('Update CRM connection error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/crm/push - Queue a push of selected leads (company + contacts) to the connected CRM
+ * Body: { leadIds: [...] }
+ * Answers 202 with the sync record; the worker pushes the leads (follow it with GET /api/crm/syncs/:id).
+ * Leads pushed before are updated, not re-created.
+ */
+router.post('/push', authenticate, async (req, res) => {
+  try {
+    const { leadIds } = req.body;
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({ error: 'leadIds must be a non-empty array' });
+    }
+    if (leadIds.length > CRM_PUSH_MAX_LEADS) {
+      return res.status(400).json({ error: `You can push at most ${CRM_PUSH_MAX_LEADS} leads at a time` });
+    }
+
+    const connection = await getCrmConnection(req.user.companyId);
+    if (connection.error) {
+      return res.status(400).json({ error: connection.error });
+    }
+
+    const validIds = leadIds.filter(id => mongoose.isValidObjectId(id));
+    const leads = await Lead.find({ _id: { $in: validIds } });
+    const accessible = [];
+    for (const lead of leads) {
+      if (await canAccessLead(req.user, lead)) accessible.push(lead);
+    }
+    if (accessible.length === 0) {
+      return res.status(404).json({ error: 'No accessible leads found' });
+    }
+
+    const sync = await queueCrmPush(req.user.companyId, req.user._id, connection, accessible, leadIds.length - accessible.length);
+    res.status(202).json({ sync: describeCrmSync(sync) });
+  } catch (error) {
+    console.error('CRM push error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crm/syncs - The company's recent pushes (newest first, without per-lead results)
+ */
+router.get('/syncs', authenticate, async (req, res) => {
+  try {
+    const syncs = await CrmSync.find({ companyId: req.user.companyId })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.json({ syncs: syncs.map(sync => ({ ...describeCrmSync(sync), results: undefined })) });
+  } catch (error) {
+    console.error('List CRM syncs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crm/syncs/:id - One push with the status of each lead
+ */
+router.get('/syncs/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Sync not found' });
+    }
+    const sync = await CrmSync.findOne({ _id: req.params.id, companyId: req.user.companyId }).lean();
+    if (!sync) {
+      return res.status(404).json({ error: 'Sync not found' });
+    }
+    res.json({ sync: describeCrmSync(sync) });
+  } catch (error) {
+    console.error('Get CRM sync error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+
+const router = express.Router();
+
+/**
+ * Local mock CRM - a tiny in-memory subset of HubSpot's object API, so CRM pushes can be
+ * tried end to end without a real account. Only mounted when mockCrmEnabled() (see server.js).
+ * State lives in this process and is lost on restart.
+ */
+const store = {
+  companies: new Map(),
+  contacts: new Map(),
+  associations: []
+};
+let nextId = 1;
+// Failure injection: the next `count` requests answer with `status`
+let failures = { count: 0, status: 500 };
+
+router.use((req, res, next) => {
+  if (failures.count > 0 && !req.path.startsWith('/_')) {
+    failures.count--;
+    return res.status(failures.status).json({ message: `Mock CRM injected failure (${failures.status})` });
+  }
+  next();
+});
+
+function getCollection(req, res) {
+  const collection = store[req.params.type];
+  if (!collection || req.params.type === 'associations') {
+    res.status(404).json({ message: `Unknown object type ${req.params.type}` });
+    return null;
+  }
+  return collection;
+}
+
+/**
+ * POST /api/crm-mock/crm/v3/objects/:type/search - Exact match on one property
+ */
+router.post('/crm/v3/objects/:type/search', (req, res) => {
+  const collection = getCollection(req, res);
+  if (!collection) return;
+  const filter = req.body?.filterGroups?.[0]?.filters?.[0];
+  const results = [...collection.values()].filter(record =>
+    filter && String(record.properties[filter.propertyName] || '').toLowerCase() === String(filter.value || '').toLowerCase()
+  );
+  res.json({ total: results.length, results: results.slice(0, req.body?.limit || 10) });
+});
+
+/**
+ * POST /api/crm-mock/crm/v3/objects/:type - Create a record
+ */
+router.post('/crm/v3/objects/:type', (req, res) => {
+  const collection = getCollection(req, res);
+  if (!collection) return;
+  const now = new Date().toISOString();
+  const record = { id: String(nextId++), properties: req.body?.properties || {}, createdAt: now, updatedAt: now };
+  collection.set(record.id, record);
+  res.status(201).json(record);
+});
+
+/**
+ * PATCH /api/crm-mock/crm/v3/objects/:type/:id - Update a record's properties
+ */
+router.patch('/crm/v3/objects/:type/:id', (req, res) => {
+  const collection = getCollection(req, res);
+  if (!collection) return;
+  const record = collection.get(req.params.id);
+  if (!record) {
+    return res.status(404).json({ message: 'Object not found' });
+  }
+  record.properties = { ...record.properties, ...(req.body?.properties || {}) };
+  record.updatedAt = new Date().toISOString();
+  res.json(record);
+});
+
+/**
+ * PUT /api/crm-mock/crm/v4/objects/contacts/:id/associations/default/companies/:companyId
+ */
+router.put('/crm/v4/objects/contacts/:id/associations/default/companies/:companyId', (req, res) => {
+  const { id, companyId } = req.params;
+  if (!store.contacts.has(id) || !store.companies.has(companyId)) {
+    return res.status(404).json({ message: 'Object not found' });
+  }
+  if (!store.associations.some(a => a.contactId === id && a.companyId === companyId)) {
+    store.associations.push({ contactId: id, companyId });
+  }
+  res.json({ status: 'COMPLETE' });
+});
+
+/**
+ * GET /api/crm-mock/_records - Everything pushed so far
+ */
+router.get('/_records', (req, res) => {
+  res.json({
+    companies: [...store.companies.values()],
+    contacts: [...store.contacts.values()],
+    associations: store.associations
+  });
+});
+
+/**
+ * DELETE /api/crm-mock/_records - Reset the mock
+ */
+router.delete('/_records', (req, res) => {
+  store.companies.clear();
+  store.contacts.clear();
+  store.associations = [];
+  failures = { count: 0, status: 500 };
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/crm-mock/_fail - Make the next requests fail
+ * Body: { count: 3, status: 429 }
+ */
+router.post('/_fail', (req, res) => {
+  failures = {
+    count: Math.max(parseInt(req.body?.count, 10) || 1, 0),
+    status: parseInt(req.body?.status, 10) || 500
+  };
+  res.json(failures);
+});
+
+export default router;
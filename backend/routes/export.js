@@ -3,6 +3,7 @@ import Lead from '../models/Lead.js';
 import createCsvWriter from 'csv-writer';
 import XLSX from 'xlsx';
 import { Readable } from 'stream';
+import { getCompanyCustomFields, getLeadCompanyId, formatCustomFieldValue } from '../services/customFields.js';
 
 const router = express.Router();
 
@@ -10,7 +11,7 @@ const router = express.Router();
  * Helper function to format lead data for export
  * Returns a consistent object structure for both CSV and Excel
  */
-function formatLeadForExport(lead) {
+function formatLeadForExport(lead, customFields = []) {
   // Format emails with deliverability
   const emails = (lead.emails || []).map(e => {
     const email = e.email || '';
@@ -121,10 +122,45 @@ function formatLeadForExport(lead) {
     
     // Metadata
     distanceKm: lead.distanceKm || '',
-    categorySignals: (lead.categorySignals || []).join('; ')
+    categorySignals: (lead.categorySignals || []).join('; '),
+    
+    // Company custom fields (cf_<key>), plus evidence and confidence for AI-answered ones
+    ...Object.fromEntries(customFields.flatMap(field => {
+      const columns = [[`cf_${field.key}`, formatCustomFieldValue(field, lead.customFields?.get(field.key))]];
+      if (field.question) {
+        const attribute = (lead.aiAttributes || []).find(a => a.key === field.key);
+        columns.push([`cf_${field.key}_evidence`, attribute?.evidence || '']);
+        columns.push([`cf_${field.key}_confidence`, attribute?.evidence ? attribute.confidence : '']);
+      }
+      return columns;
+    }))
   };
 }
 
+/**
+ * Custom fields to add as extra columns: the requesting user's company (API key), otherwise the
+ * company whose search produced the leads
+ */
+async function getExportCustomFields(req, leads) {
+  const companyId = req.user?.companyId || (leads[0] ? await getLeadCompanyId(leads[0]) : null);
+  return getCompanyCustomFields(companyId);
+}
+
+/**
+ * Columns for custom fields: [{ id, title }], suffixed if a title clashes with a built-in column
+ */
+function customFieldColumns(customFields, builtInTitles) {
+  return customFields.flatMap(field => {
+    const title = builtInTitles.includes(field.label) ? `${field.label} (Custom)` : field.label;
+    const columns = [{ id: `cf_${field.key}`, title }];
+    if (field.question) {
+      columns.push({ id: `cf_${field.key}_evidence`, title: `${title} Evidence` });
+      columns.push({ id: `cf_${field.key}_confidence`, title: `${title} Confidence` });
+    }
+    return columns;
+  });
+}
+
 /**
  * GET /api/export/csv - Export leads as CSV
  */
@@ -145,76 +181,77 @@ router.get('/csv', async (req, res) => {
       .sort({ 'enrichment.signalStrength': -1 })
       .limit(10000);
     
-    const csvWriter = createCsvWriter.createObjectCsvStringifier({
-      header: [
-        // Basic company info
-        { id: 'companyName', title: 'Company Name' },
-        { id: 'website', title: 'Website' },
-        { id: 'about', title: 'About' },
-        
-        // Contact info - primary
-        { id: 'primaryEmail', title: 'Primary Email' },
-        { id: 'primaryEmailDeliverability', title: 'Email Deliverability Status' },
-        { id: 'primaryEmailScore', title: 'Email Deliverability Score' },
-        { id: 'allEmails', title: 'All Emails' },
-        { id: 'primaryPhone', title: 'Primary Phone' },
-        { id: 'allPhones', title: 'All Phones' },
-        { id: 'whatsapp', title: 'WhatsApp' },
-        { id: 'allWhatsApp', title: 'All WhatsApp Links' },
-        
-        // Location
-        { id: 'location', title: 'Location (Raw)' },
-        { id: 'locationCity', title: 'City' },
-        { id: 'locationState', title: 'State' },
-        { id: 'locationCountry', title: 'Country' },
-        { id: 'locationFormatted', title: 'Location (Formatted)' },
-        
-        // Decision makers
-        { id: 'primaryDecisionMakerName', title: 'Decision Maker Name' },
-        { id: 'primaryDecisionMakerTitle', title: 'Decision Maker Title' },
-        { id: 'primaryDecisionMakerEmail', title: 'Decision Maker Email' },
-        { id: 'primaryDecisionMakerSource', title: 'Decision Maker Source' },
-        { id: 'primaryDecisionMakerConfidence', title: 'Decision Maker Confidence' },
-        { id: 'allDecisionMakers', title: 'All Decision Makers' },
-        { id: 'decisionMakerCount', title: 'Decision Maker Count' },
-        
-        // LinkedIn contacts
-        { id: 'linkedinContacts', title: 'LinkedIn Suggested Contacts' },
-        { id: 'linkedinContactsCount', title: 'LinkedIn Contacts Count' },
-        { id: 'linkedinCompanyUrl', title: 'LinkedIn Company URL' },
-        
-        // Enrichment data
-        { id: 'industry', title: 'Industry' },
-        { id: 'companySize', title: 'Company Size' },
-        { id: 'employeeCount', title: 'Employee Count' },
-        { id: 'revenueBracket', title: 'Revenue Bracket' },
-        { id: 'foundedYear', title: 'Founded Year' },
-        { id: 'emailPattern', title: 'Email Pattern' },
-        
-        // Hiring signals
-        { id: 'isHiring', title: 'Is Hiring' },
-        { id: 'hasCareersPage', title: 'Has Careers Page' },
-        { id: 'hasJobPostings', title: 'Has Job Postings' },
-        
-        // Scores
-        { id: 'signalStrength', title: 'Signal Strength Score' },
-        { id: 'verificationScore', title: 'Verification Score' },
-        { id: 'qualityScore', title: 'Quality Score' },
-        { id: 'contactRelevance', title: 'Contact Relevance' },
-        
-        // Social media
-        { id: 'linkedin', title: 'LinkedIn' },
-        { id: 'twitter', title: 'Twitter' },
-        { id: 'facebook', title: 'Facebook' },
-        { id: 'instagram', title: 'Instagram' },
-        
-        // Metadata
-        { id: 'distanceKm', title: 'Distance (km)' },
-        { id: 'categorySignals', title: 'Category Signals' }
-      ]
-    });
+    const customFields = await getExportCustomFields(req, leads);
+    const header = [
+      // Basic company info
+      { id: 'companyName', title: 'Company Name' },
+      { id: 'website', title: 'Website' },
+      { id: 'about', title: 'About' },
+      
+      // Contact info - primary
+      { id: 'primaryEmail', title: 'Primary Email' },
+      { id: 'primaryEmailDeliverability', title: 'Email Deliverability Status' },
+      { id: 'primaryEmailScore', title: 'Email Deliverability Score' },
+      { id: 'allEmails', title: 'All Emails' },
+      { id: 'primaryPhone', title: 'Primary Phone' },
+      { id: 'allPhones', title: 'All Phones' },
+      { id: 'whatsapp', title: 'WhatsApp' },
+      { id: 'allWhatsApp', title: 'All WhatsApp Links' },
+      
+      // Location
+      { id: 'location', title: 'Location (Raw)' },
+      { id: 'locationCity', title: 'City' },
+      { id: 'locationState', title: 'State' },
+      { id: 'locationCountry', title: 'Country' },
+      { id: 'locationFormatted', title: 'Location (Formatted)' },
+      
+      // Decision makers
+      { id: 'primaryDecisionMakerName', title: 'Decision Maker Name' },
+      { id: 'primaryDecisionMakerTitle', title: 'Decision Maker Title' },
+      { id: 'primaryDecisionMakerEmail', title: 'Decision Maker Email' },
+      { id: 'primaryDecisionMakerSource', title: 'Decision Maker Source' },
+      { id: 'primaryDecisionMakerConfidence', title: 'Decision Maker Confidence' },
+      { id: 'allDecisionMakers', title: 'All Decision Makers' },
+      { id: 'decisionMakerCount', title: 'Decision Maker Count' },
+      
+      // LinkedIn contacts
+      { id: 'linkedinContacts', title: 'LinkedIn Suggested Contacts' },
+      { id: 'linkedinContactsCount', title: 'LinkedIn Contacts Count' },
+      { id: 'linkedinCompanyUrl', title: 'LinkedIn Company URL' },
+      
+      // Enrichment data
+      { id: 'industry', title: 'Industry' },
+      { id: 'companySize', title: 'Company Size' },
+      { id: 'employeeCount', title: 'Employee Count' },
+      { id: 'revenueBracket', title: 'Revenue Bracket' },
+      { id: 'foundedYear', title: 'Founded Year' },
+      { id: 'emailPattern', title: 'Email Pattern' },
+      
+      // Hiring signals
+      { id: 'isHiring', title: 'Is Hiring' },
+      { id: 'hasCareersPage', title: 'Has Careers Page' },
+      { id: 'hasJobPostings', title: 'Has Job Postings' },
+      
+      // Scores
+      { id: 'signalStrength', title: 'Signal Strength Score' },
+      { id: 'verificationScore', title: 'Verification Score' },
+      { id: 'qualityScore', title: 'Quality Score' },
+      { id: 'contactRelevance', title: 'Contact Relevance' },
+      
+      // Social media
+      { id: 'linkedin', title: 'LinkedIn' },
+      { id: 'twitter', title: 'Twitter' },
+      { id: 'facebook', title: 'Facebook' },
+      { id: 'instagram', title: 'Instagram' },
+      
+      // Metadata
+      { id: 'distanceKm', title: 'Distance (km)' },
+      { id: 'categorySignals', title: 'Category Signals' }
+    ];
+    header.push(...customFieldColumns(customFields, header.map(column => column.title)));
+    const csvWriter = createCsvWriter.createObjectCsvStringifier({ header });
     
-    const records = leads.map(lead => formatLeadForExport(lead));
+    const records = leads.map(lead => formatLeadForExport(lead, customFields));
     
     const csvString = csvWriter.getHeaderString() + csvWriter.stringifyRecords(records);
     
@@ -249,73 +286,80 @@ router.get('/excel', async (req, res) => {
       .limit(10000);
     
     // Format records with proper column names for Excel
-    const formattedLeads = leads.map(lead => formatLeadForExport(lead));
-    const records = formattedLeads.map(lead => ({
-      // Basic company info
-      'Company Name': lead.companyName,
-      'Website': lead.website,
-      'About': lead.about,
+    const customFields = await getExportCustomFields(req, leads);
+    const formattedLeads = leads.map(lead => formatLeadForExport(lead, customFields));
+    const records = formattedLeads.map(lead => {
+      const record = {
+        // Basic company info
+        'Company Name': lead.companyName,
+        'Website': lead.website,
+        'About': lead.about,
       
-      // Contact info - primary
-      'Primary Email': lead.primaryEmail,
-      'Email Deliverability Status': lead.primaryEmailDeliverability,
-      'Email Deliverability Score': lead.primaryEmailScore,
-      'All Emails': lead.allEmails,
-      'Primary Phone': lead.primaryPhone,
-      'All Phones': lead.allPhones,
-      'WhatsApp': lead.whatsapp,
-      'All WhatsApp Links': lead.allWhatsApp,
+        // Contact info - primary
+        'Primary Email': lead.primaryEmail,
+        'Email Deliverability Status': lead.primaryEmailDeliverability,
+        'Email Deliverability Score': lead.primaryEmailScore,
+        'All Emails': lead.allEmails,
+        'Primary Phone': lead.primaryPhone,
+        'All Phones': lead.allPhones,
+        'WhatsApp': lead.whatsapp,
+        'All WhatsApp Links': lead.allWhatsApp,
       
-      // Location
-      'Location (Raw)': lead.location,
-      'City': lead.locationCity,
-      'State': lead.locationState,
-      'Country': lead.locationCountry,
-      'Location (Formatted)': lead.locationFormatted,
+        // Location
+        'Location (Raw)': lead.location,
+        'City': lead.locationCity,
+        'State': lead.locationState,
+        'Country': lead.locationCountry,
+        'Location (Formatted)': lead.locationFormatted,
       
-      // Decision makers
-      'Decision Maker Name': lead.primaryDecisionMakerName,
-      'Decision Maker Title': lead.primaryDecisionMakerTitle,
-      'Decision Maker Email': lead.primaryDecisionMakerEmail,
-      'Decision Maker Source': lead.primaryDecisionMakerSource,
-      'Decision Maker Confidence': lead.primaryDecisionMakerConfidence,
-      'All Decision Makers': lead.allDecisionMakers,
-      'Decision Maker Count': lead.decisionMakerCount,
+        // Decision makers
+        'Decision Maker Name': lead.primaryDecisionMakerName,
+        'Decision Maker Title': lead.primaryDecisionMakerTitle,
+        'Decision Maker Email': lead.primaryDecisionMakerEmail,
+        'Decision Maker Source': lead.primaryDecisionMakerSource,
+        'Decision Maker Confidence': lead.primaryDecisionMakerConfidence,
+        'All Decision Makers': lead.allDecisionMakers,
+        'Decision Maker Count': lead.decisionMakerCount,
       
-      // LinkedIn contacts
-      'LinkedIn Suggested Contacts': lead.linkedinContacts,
-      'LinkedIn Contacts Count': lead.linkedinContactsCount,
-      'LinkedIn Company URL': lead.linkedinCompanyUrl,
+        // LinkedIn contacts
+        'LinkedIn Suggested Contacts': lead.linkedinContacts,
+        'LinkedIn Contacts Count': lead.linkedinContactsCount,
+        'LinkedIn Company URL': lead.linkedinCompanyUrl,
       
-      // Enrichment data
-      'Industry': lead.industry,
-      'Company Size': lead.companySize,
-      'Employee Count': lead.employeeCount,
-      'Revenue Bracket': lead.revenueBracket,
-      'Founded Year': lead.foundedYear,
-      'Email Pattern': lead.emailPattern,
+        // Enrichment data
+        'Industry': lead.industry,
+        'Company Size': lead.companySize,
+        'Employee Count': lead.employeeCount,
+        'Revenue Bracket': lead.revenueBracket,
+        'Founded Year': lead.foundedYear,
+        'Email Pattern': lead.emailPattern,
       
-      // Hiring signals
-      'Is Hiring': lead.isHiring,
-      'Has Careers Page': lead.hasCareersPage,
-      'Has Job Postings': lead.hasJobPostings,
+        // Hiring signals
+        'Is Hiring': lead.isHiring,
+        'Has Careers Page': lead.hasCareersPage,
+        'Has Job Postings': lead.hasJobPostings,
       
-      // Scores
-      'Signal Strength Score': lead.signalStrength,
-      'Verification Score': lead.verificationScore,
-      'Quality Score': lead.qualityScore,
-      'Contact Relevance': lead.contactRelevance,
+        // Scores
+        'Signal Strength Score': lead.signalStrength,
+        'Verification Score': lead.verificationScore,
+        'Quality Score': lead.qualityScore,
+        'Contact Relevance': lead.contactRelevance,
       
-      // Social media
-      'LinkedIn': lead.linkedin,
-      'Twitter': lead.twitter,
-      'Facebook': lead.facebook,
-      'Instagram': lead.instagram,
+        // Social media
+        'LinkedIn': lead.linkedin,
+        'Twitter': lead.twitter,
+        'Facebook': lead.facebook,
+        'Instagram': lead.instagram,
       
-      // Metadata
-      'Distance (km)': lead.distanceKm,
-      'Category Signals': lead.categorySignals
-    }));
+        // Metadata
+        'Distance (km)': lead.distanceKm,
+        'Category Signals': lead.categorySignals
+      };
+      for (const column of customFieldColumns(customFields, Object.keys(record))) {
+        record[column.title] = lead[column.id];
+      }
+      return record;
+    });
     
     const worksheet = XLSX.utils.json_to_sheet(records);
     const workbook = XLSX.utils.book_new();
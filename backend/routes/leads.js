@@ -1,12 +1,54 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Lead from '../models/Lead.js';
 import User from '../models/User.js';
 import Company from '../models/Company.js';
+import Search from '../models/Search.js';
+import { authenticate, verifyRequestToken } from '../middleware/auth.js';
 import { generateOutreachLines } from '../services/enricher.js';
-import jwt from 'jsonwebtoken';
+import { getAccountHistory } from '../services/accountService.js';
+import { canAccessLead, getVisibleSearchIds } from '../services/leadAccess.js';
+import { buildCustomFieldQuery, coerceCustomFieldValue, getCompanyCustomFields } from '../services/customFields.js';
+import { aiQuestionFields, answerAiAttributes } from '../services/aiAttributes.js';
+import { getLeadCompanyIcp } from '../services/icpFit.js';
+import { describeIcp } from '../utils/icpScoring.js';
 
 const router = express.Router();
 
+const PIPELINE_STAGES = Lead.schema.path('pipelineStage').enumValues;
+
+/**
+ * Load a lead the authenticated user can access, or send the error response
+ * @returns {Promise<Object|null>}
+ */
+async function loadAccessibleLead(req, res) {
+  const lead = await Lead.findById(req.params.id);
+  if (!lead) {
+    res.status(404).json({ error: 'Lead not found' });
+    return null;
+  }
+  if (!(await canAccessLead(req.user, lead))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+  return lead;
+}
+
+/**
+ * User of an optional bearer token (routes that also answer without one), or null
+ */
+async function requestUser(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) return null;
+  try {
+    const decoded = verifyRequestToken(req, token);
+    const user = await User.findById(decoded.userId).select('companyId');
+    return user?.companyId ? user : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * GET /api/leads - List leads with filters and pagination (filtered by company)
  */
@@ -16,17 +58,18 @@ router.get('/', async (req, res) => {
     let userCompanyId = null;
     let userId = null;
     let shareLeads = false;
+    let customFields = [];
     
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (token) {
       try {
-        const secret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-        const decoded = jwt.verify(token, secret);
+        const decoded = verifyRequestToken(req, token);
         const user = await User.findById(decoded.userId).populate('companyId');
         if (user && user.companyId) {
           userId = user._id;
           userCompanyId = user.companyId._id || user.companyId;
           shareLeads = user.companyId.settings?.shareLeads ?? false;
+          customFields = user.companyId.customFields || [];
         }
       } catch (err) {
         // Token invalid, return empty
@@ -41,9 +84,13 @@ router.get('/', async (req, res) => {
       page = 1,
       limit = 50,
       minScore = 0,
+      minIcpFit,
       country,
       industry,
-      maxDistance
+      maxDistance,
+      stage,
+      owner,
+      cf
     } = req.query;
     
     const query = { isDuplicate: false };
@@ -58,23 +105,49 @@ router.get('/', async (req, res) => {
         // Get all searches from company users
         const companyUsers = await User.find({ companyId: userCompanyId }).select('_id');
         const userIds = companyUsers.map(u => u._id);
-        const Search = (await import('../models/Search.js')).default;
         const companySearches = await Search.find({ userId: { $in: userIds } }).select('_id');
         const searchIds = companySearches.map(s => s._id);
         query.searchId = searchId ? { $in: [searchId, ...searchIds] } : { $in: searchIds };
       } else {
-        // Only own leads
-        const Search = (await import('../models/Search.js')).default;
+        // Only own leads (plus leads a teammate assigned to this user)
         const userSearches = await Search.find({ userId }).select('_id');
         const searchIds = userSearches.map(s => s._id);
-        query.searchId = searchId ? { $in: [searchId, ...searchIds] } : { $in: searchIds };
+        query.$or = [
+          { searchId: searchId ? { $in: [searchId, ...searchIds] } : { $in: searchIds } },
+          { ownerId: userId }
+        ];
+      }
+    }
+    
+    // Pipeline filters
+    if (stage) {
+      const stages = String(stage).split(',').filter(s => PIPELINE_STAGES.includes(s));
+      if (stages.includes('new')) {
+        // Leads from before pipeline stages have no pipelineStage - they're 'new'
+        query.$and = [{ $or: [{ pipelineStage: { $in: stages } }, { pipelineStage: null }] }];
+      } else if (stages.length > 0) {
+        query.pipelineStage = { $in: stages };
       }
     }
+    if (owner === 'me' && userId) {
+      query.ownerId = userId;
+    } else if (owner === 'unassigned') {
+      query.ownerId = null;
+    } else if (owner && mongoose.isValidObjectId(owner)) {
+      query.ownerId = new mongoose.Types.ObjectId(owner);
+    }
+    
+    // Custom field filters (?cf[key]=value)
+    Object.assign(query, buildCustomFieldQuery(customFields, cf));
     
     if (minScore) {
       query['enrichment.signalStrength'] = { $gte: parseInt(minScore) };
     }
     
+    if (minIcpFit) {
+      query.icpFitScore = { $gte: parseInt(minIcpFit) };
+    }
+    
     if (country) {
       query['phoneNumbers.country'] = country;
     }
@@ -105,7 +178,7 @@ router.get('/', async (req, res) => {
     // 2. Using default sort (sortBy === 'signalStrength' means Phase 2 ranking: quality → verification → signal)
     // 3. Any other case where qualityScore is part of the sort
     // The default value is 'signalStrength', but that still uses Phase 2 ranking with qualityScore as primary sort
-    const needsNullHandling = sortBy === 'qualityScore' || sortBy === 'signalStrength' || !sortBy;
+    const needsNullHandling = sortBy === 'qualityScore' || sortBy === 'icpFitScore' || sortBy === 'signalStrength' || !sortBy;
     
     if (needsNullHandling) {
       // Use aggregation pipeline to handle null values in sorting
@@ -113,7 +186,7 @@ router.get('/', async (req, res) => {
       // For descending: use -1 (nulls sort last)
       // For ascending: use 1000 (nulls sort last, after valid scores 0-5)
       // Fix: Check sortOrder for both qualityScore and signalStrength sorts
-      const isAscending = (sortBy === 'qualityScore' || sortBy === 'signalStrength') && sortOrder === 'asc';
+      const isAscending = (sortBy === 'qualityScore' || sortBy === 'icpFitScore' || sortBy === 'signalStrength') && sortOrder === 'asc';
       const nullPlaceholder = isAscending ? 1000 : -1;
       
       const pipeline = [
@@ -124,7 +197,8 @@ router.get('/', async (req, res) => {
             // This ensures nulls sort last regardless of sort direction
             sortQualityScore: { $ifNull: ['$qualityScore', nullPlaceholder] },
             sortVerificationScore: { $ifNull: ['$enrichment.verificationScore', nullPlaceholder] },
-            sortSignalStrength: { $ifNull: ['$enrichment.signalStrength', nullPlaceholder] }
+            sortSignalStrength: { $ifNull: ['$enrichment.signalStrength', nullPlaceholder] },
+            sortIcpFitScore: { $ifNull: ['$icpFitScore', nullPlaceholder] }
           }
         }
       ];
@@ -137,6 +211,12 @@ router.get('/', async (req, res) => {
         sortStage.sortQualityScore = order;
         sortStage.sortVerificationScore = -1;
         sortStage.sortSignalStrength = -1;
+      } else if (sortBy === 'icpFitScore') {
+        // ICP fit, ties broken by the Phase 2 ranking
+        sortStage.sortIcpFitScore = sortOrder === 'asc' ? 1 : -1;
+        sortStage.sortQualityScore = -1;
+        sortStage.sortVerificationScore = -1;
+        sortStage.sortSignalStrength = -1;
       } else if (sortBy === 'signalStrength') {
         // Fix: When sorting by signalStrength, respect sortOrder for primary sort
         // If ascending: sort by signal strength ascending, with quality and verification as secondary sorts (descending)
@@ -171,7 +251,8 @@ router.get('/', async (req, res) => {
         $project: {
           sortQualityScore: 0,
           sortVerificationScore: 0,
-          sortSignalStrength: 0
+          sortSignalStrength: 0,
+          sortIcpFitScore: 0
         }
       });
       
@@ -221,13 +302,27 @@ router.get('/', async (req, res) => {
 router.get('/:id', async (req, res) => {
   try {
     const lead = await Lead.findById(req.params.id)
-      .populate('searchId', 'query country');
+      .populate('searchId', 'query country providerRuns expansionTerms')
+      .populate('accountId', 'name domain emails phoneNumbers decisionMakers leadCount searchIds firstSeenAt lastSeenAt qualityScore');
     
     if (!lead) {
       return res.status(404).json({ error: 'Lead not found' });
     }
     
-    res.json(lead);
+    // Other sightings of the same company, in searches the requester may see
+    const viewer = await requestUser(req);
+    const visibleSearchIds = lead.accountId && viewer ? await getVisibleSearchIds(viewer) : [];
+    const accountHistory = lead.accountId && viewer
+      ? (await getAccountHistory(lead.accountId._id, { searchIds: visibleSearchIds }))
+        .filter(h => String(h._id) !== String(lead._id))
+      : [];
+    
+    const data = lead.toObject({ flattenMaps: true });
+    if (data.accountId) {
+      const visible = new Set(visibleSearchIds.map(String));
+      data.accountId.searchIds = (data.accountId.searchIds || []).filter(id => visible.has(String(id)));
+    }
+    res.json({ ...data, accountHistory });
   } catch (error) {
     console.error('Lead fetch error:', error);
     res.status(500).json({ error: error.message });
@@ -236,6 +331,7 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/leads/:id/outreach - Generate outreach lines
+ * Body: { searchQuery?, icpDescription? } - icpDescription defaults to the company's saved ICP
  */
 router.post('/:id/outreach', async (req, res) => {
   try {
@@ -252,7 +348,7 @@ router.post('/:id/outreach', async (req, res) => {
         enrichment: lead.enrichment
       },
       searchQuery || lead.searchId?.query || '',
-      icpDescription
+      icpDescription || describeIcp(await getLeadCompanyIcp(lead))
     );
     
     res.json(outreach);
@@ -262,6 +358,233 @@ router.post('/:id/outreach', async (req, res) => {
   }
 });
 
+/**
+ * PATCH /api/leads/:id/pipeline - Move a lead through the pipeline and/or assign it
+ * Body: { stage?: 'new'|'contacted'|'replied'|'meeting'|'won'|'lost', ownerId?: userId|null }
+ */
+router.patch('/:id/pipeline', authenticate, async (req, res) => {
+  try {
+    const lead = await loadAccessibleLead(req, res);
+    if (!lead) return;
+    
+    const { stage, ownerId } = req.body;
+    if (stage === undefined && ownerId === undefined) {
+      return res.status(400).json({ error: 'stage or ownerId is required' });
+    }
+    
+    if (stage !== undefined) {
+      if (!PIPELINE_STAGES.includes(stage)) {
+        return res.status(400).json({ error: `stage must be one of: ${PIPELINE_STAGES.join(', ')}` });
+      }
+      if (stage !== lead.pipelineStage) {
+        lead.activity.push({ type: 'stage_changed', userId: req.user._id, from: lead.pipelineStage, to: stage });
+        lead.pipelineStage = stage;
+        lead.pipelineStageChangedAt = new Date();
+      }
+    }
+    
+    if (ownerId !== undefined) {
+      if (ownerId !== null) {
+        // Owners must be members of the same company
+        const owner = mongoose.isValidObjectId(ownerId)
+          ? await User.findOne({ _id: ownerId, companyId: req.user.companyId }).select('_id')
+          : null;
+        if (!owner) {
+          return res.status(400).json({ error: 'Owner must be a member of your company' });
+        }
+      }
+      if (String(ownerId || '') !== String(lead.ownerId || '')) {
+        lead.activity.push({
+          type: 'owner_changed',
+          userId: req.user._id,
+          from: lead.ownerId ? String(lead.ownerId) : null,
+          to: ownerId ? String(ownerId) : null
+        });
+        lead.ownerId = ownerId || null;
+      }
+    }
+    
+    await lead.save();
+    
+    res.json({
+      _id: lead._id,
+      pipelineStage: lead.pipelineStage,
+      pipelineStageChangedAt: lead.pipelineStageChangedAt,
+      ownerId: lead.ownerId,
+      activity: lead.activity
+    });
+  } catch (error) {
+    console.error('Lead pipeline update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/leads/:id/custom-fields - Set custom field values
+ * Body: { values: { fieldKey: value } } - null or '' clears a value; keys must be defined by the company
+ */
+router.patch('/:id/custom-fields', authenticate, async (req, res) => {
+  try {
+    const lead = await loadAccessibleLead(req, res);
+    if (!lead) return;
+    
+    const { values } = req.body;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return res.status(400).json({ error: 'values must be an object' });
+    }
+    
+    const fields = await getCompanyCustomFields(req.user.companyId);
+    for (const [key, raw] of Object.entries(values)) {
+      const field = fields.find(f => f.key === key);
+      if (!field) {
+        return res.status(400).json({ error: `Unknown custom field "${key}"` });
+      }
+      const { value, error } = coerceCustomFieldValue(field, raw);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (value === null) {
+        lead.customFields.delete(key);
+      } else {
+        lead.customFields.set(key, value);
+      }
+      // A value set by hand replaces the AI answer
+      lead.aiAttributes = lead.aiAttributes.filter(attr => attr.key !== key);
+    }
+    await lead.save();
+    
+    res.json({ _id: lead._id, customFields: Object.fromEntries(lead.customFields), aiAttributes: lead.aiAttributes });
+  } catch (error) {
+    console.error('Lead custom fields update error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/leads/:id/ai-attributes - Re-answer the company's AI questions for a lead now
+ * Overwrites hand-entered values of AI-answered fields.
+ */
+router.post('/:id/ai-attributes', authenticate, async (req, res) => {
+  try {
+    const lead = await loadAccessibleLead(req, res);
+    if (!lead) return;
+    
+    const fields = aiQuestionFields(await getCompanyCustomFields(req.user.companyId));
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Your company has no AI questions. Add one to a custom field in Company Settings.' });
+    }
+    if (!process.env.OPENAI_API_KEY) {
+      return res.status(503).json({ error: 'AI answers are not configured on this server' });
+    }
+    
+    // pageText is not selected by default
+    const { pageText } = await Lead.findById(lead._id).select('+pageText').lean();
+    lead.pageText = pageText;
+    if (!lead.aboutText && !lead.pageText) {
+      return res.status(400).json({ error: 'No website text was captured for this lead' });
+    }
+    
+    const answered = await answerAiAttributes(lead, fields);
+    await lead.save();
+    
+    res.json({
+      _id: lead._id,
+      answered,
+      customFields: Object.fromEntries(lead.customFields),
+      aiAttributes: lead.aiAttributes
+    });
+  } catch (error) {
+    console.error('Lead AI attributes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/leads/:id/activity - Notes and activity history (with author names)
+ */
+router.get('/:id/activity', authenticate, async (req, res) => {
+  try {
+    const lead = await loadAccessibleLead(req, res);
+    if (!lead) return;
+    
+    await lead.populate([
+      { path: 'notes.authorId', select: 'name email' },
+      { path: 'activity.userId', select: 'name email' },
+      { path: 'ownerId', select: 'name email' }
+    ]);
+    
+    res.json({
+      pipelineStage: lead.pipelineStage,
+      pipelineStageChangedAt: lead.pipelineStageChangedAt,
+      owner: lead.ownerId,
+      notes: [...lead.notes].reverse(),
+      activity: [...lead.activity].reverse()
+    });
+  } catch (error) {
+    console.error('Lead activity fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/leads/:id/notes - Add a note
+ * Body: { body }
+ */
+router.post('/:id/notes', authenticate, async (req, res) => {
+  try {
+    const body = (req.body.body || '').trim();
+    if (!body) {
+      return res.status(400).json({ error: 'Note body is required' });
+    }
+    if (body.length > 5000) {
+      return res.status(400).json({ error: 'Note is too long (max 5000 characters)' });
+    }
+    
+    const lead = await loadAccessibleLead(req, res);
+    if (!lead) return;
+    
+    lead.notes.push({ body, authorId: req.user._id });
+    const note = lead.notes[lead.notes.length - 1];
+    lead.activity.push({ type: 'note_added', userId: req.user._id, noteId: note._id });
+    await lead.save();
+    
+    res.status(201).json({
+      ...note.toObject(),
+      authorId: { _id: req.user._id, name: req.user.name, email: req.user.email }
+    });
+  } catch (error) {
+    console.error('Lead note create error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/leads/:id/notes/:noteId - Delete a note (author or company admin)
+ */
+router.delete('/:id/notes/:noteId', authenticate, async (req, res) => {
+  try {
+    const lead = await loadAccessibleLead(req, res);
+    if (!lead) return;
+    
+    const note = lead.notes.id(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+    if (String(note.authorId) !== String(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the author or an admin can delete this note' });
+    }
+    
+    note.deleteOne();
+    lead.activity.push({ type: 'note_deleted', userId: req.user._id, noteId: note._id });
+    await lead.save();
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Lead note delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/leads/bulk-select - Get multiple leads
  */
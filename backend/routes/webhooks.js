@@ -0,0 +1,227 @@
+import express from 'express';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  privateWebhookUrlsAllowed,
+  sendTestDelivery
+} from '../services/webhooks.js';
+import { assertPublicUrl } from '../utils/networkGuard.js';
+
+const router = express.Router();
+
+/**
+ * Validate webhook fields from a request body
+ * Hosts resolving to private or loopback addresses are refused so webhooks can't probe our own
+ * network (deliveries check again when they connect).
+ * @param {Object} body
+ * @param {boolean} partial - PUT: only validate fields that are present
+ * @returns {Promise<string|null>} error message
+ */
+async function validateWebhook(body, partial = false) {
+  const { url, events, minQualityScore } = body;
+  if (!partial || url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'url must be a valid http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be a valid http(s) URL';
+    }
+    if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+      return 'url must be a public https URL';
+    }
+    if (!privateWebhookUrlsAllowed()) {
+      try {
+        await assertPublicUrl(parsed);
+      } catch (err) {
+        return err.code === 'EPRIVATEADDRESS' ? 'url must point to a public address' : `url host could not be resolved (${parsed.hostname})`;
+      }
+    }
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}`;
+    }
+  }
+  if (minQualityScore !== undefined && minQualityScore !== null &&
+    (typeof minQualityScore !== 'number' || minQualityScore < 0 || minQualityScore > 5)) {
+    return 'minQualityScore must be a number from 0 to 5, or null';
+  }
+  return null;
+}
+
+async function loadCompanyWebhook(req, res) {
+  if (req.user.role !== 'admin') {
+    res.status(403).json({ error: 'Only admins can manage webhooks' });
+    return null;
+  }
+  const webhook = await Webhook.findOne({ _id: req.params.id, companyId: req.user.companyId });
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * GET /api/webhooks - Company webhooks and the events they can subscribe to (admin only)
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage webhooks' });
+    }
+    const webhooks = await Webhook.find({ companyId: req.user.companyId }).sort({ createdAt: 1 });
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks - Create a webhook (admin only)
+ * Body: { url, events: [...], description?, minQualityScore? }
+ */
+router.post('/', authenticate, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can manage webhooks' });
+    }
+    const validationError = await validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const webhook = new Webhook({
+      companyId: req.user.companyId,
+      url: req.body.url.trim(),
+      events: [...new Set(req.body.events)],
+      description: req.body.description || '',
+      minQualityScore: req.body.minQualityScore ?? null,
+      secret: generateWebhookSecret(),
+      createdBy: req.user._id
+    });
+    await webhook.save();
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id - Update url, events, description, minQualityScore or enabled (admin only)
+ */
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const webhook = await loadCompanyWebhook(req, res);
+    if (!webhook) return;
+
+    const validationError = await validateWebhook(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { url, events, description, minQualityScore, enabled } = req.body;
+    if (url !== undefined) webhook.url = url.trim();
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description || '';
+    if (minQualityScore !== undefined) webhook.minQualityScore = minQualityScore;
+    if (enabled !== undefined) {
+      webhook.enabled = !!enabled;
+      // Re-enabling starts with a clean slate
+      if (webhook.enabled) webhook.consecutiveFailures = 0;
+    }
+    await webhook.save();
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret - Replace the signing secret (admin only)
+ */
+router.post('/:id/rotate-secret', authenticate, async (req, res) => {
+  try {
+    const webhook = await loadCompanyWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.secret = generateWebhookSecret();
+    await webhook.save();
+    res.json(webhook);
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id - Delete a webhook and its delivery log (admin only)
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const webhook = await loadCompanyWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await webhook.deleteOne();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test - Send a signed webhook.test event now and return the result (admin only)
+ */
+router.post('/:id/test', authenticate, async (req, res) => {
+  try {
+    const webhook = await loadCompanyWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await sendTestDelivery(webhook);
+    res.json(delivery);
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Delivery log, newest first (admin only)
+ * Query params: limit (default 20, max 100)
+ */
+router.get('/:id/deliveries', authenticate, async (req, res) => {
+  try {
+    const webhook = await loadCompanyWebhook(req, res);
+    if (!webhook) return;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const deliveries = await WebhookDelivery.find({ webhookId: webhook._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      // responseBody: kept by deliveries from before response bodies stopped being stored
+      .select('-payload.data -responseBody');
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+/**
+ * Mark a user's email as verified and re-apply PLATFORM_ADMIN_EMAILS
+ *
+ *   node scripts/verifyEmail.js <email>
+ *
+ * For operators: only run it once you know the account belongs to the address's owner - a listed
+ * address becomes a platform admin as soon as it is verified.
+ */
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { connectDB, disconnectDB } from '../config/database.js';
+import { syncPlatformAdmins } from '../services/platformAdmins.js';
+
+dotenv.config();
+
+const email = String(process.argv[2] || '').trim().toLowerCase();
+if (!email) {
+  console.error('Usage: node scripts/verifyEmail.js <email>');
+  process.exit(1);
+}
+
+if (!(await connectDB())) process.exit(1);
+const user = await User.findOneAndUpdate(
+  { email },
+  { $set: { emailVerifiedAt: new Date() } },
+  { new: true }
+);
+if (!user) {
+  console.error(`No user with email ${email}`);
+  await disconnectDB();
+  process.exit(1);
+}
+console.log(`✅ ${email} verified`);
+await syncPlatformAdmins();
+await disconnectDB();
@@ -9,6 +9,21 @@ import authRoutes from './routes/auth.js';
 import companyRoutes from './routes/company.js';
 import billingRoutes from './routes/billing.js';
 import adminRoutes from './routes/admin.js';
+import accountRoutes from './routes/accounts.js';
+import crmRoutes from './routes/crm.js';
+import crmMockRoutes from './routes/crmMock.js';
+import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import { apiKeyAuth } from './middleware/auth.js';
+import { connectDB, disconnectDB } from './config/database.js';
+import { searchQueue } from './services/searchQueue.js';
+import { startScheduler, stopScheduler } from './services/scheduler.js';
+import { processSearch } from './services/searchProcessor.js';
+import { mockCrmEnabled } from './services/crmAdapters.js';
+import { startWebhookRetries, stopWebhookRetries } from './services/webhooks.js';
+import { startCreditReconciliation, stopCreditReconciliation } from './services/creditReconciliation.js';
+import { startCrmSyncs, stopCrmSyncs } from './services/crmSync.js';
+import { syncPlatformAdmins } from './services/platformAdmins.js';
 
 dotenv.config();
 
@@ -43,12 +58,20 @@ app.use(cors({
   },
   credentials: true,
   maxAge: 86400,
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-username'],
-  exposedHeaders: ['Content-Type', 'Authorization', 'x-admin-username'],
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Type', 'Authorization', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After'],
+}));
+// Keep the raw bytes too - payment webhooks are signed over the exact body
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
 }));
-app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// API keys (Authorization: Bearer onk_...) are checked before any route
+app.use('/api', apiKeyAuth);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/company', companyRoutes);
@@ -57,6 +80,14 @@ app.use('/api/leads', leadRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/crm', crmRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+if (mockCrmEnabled()) {
+  // Local HubSpot-style CRM for testing pushes (only with CRM_MOCK_ENABLED=true)
+  app.use('/api/crm-mock', crmMockRoutes);
+}
 
 // Health check - responds even if DB not connected (for deployment health checks)
 app.get('/api/health', (req, res) => {
@@ -90,40 +121,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-// MongoDB connection with timeout and retry logic (non-blocking)
-const connectDB = async () => {
-  const maxRetries = 5;
-  const retryDelay = 5000; // 5 seconds
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/onalog';
-      
-      await mongoose.connect(mongoUri, {
-        serverSelectionTimeoutMS: 10000, // 10 second timeout
-        socketTimeoutMS: 45000, // 45 second socket timeout
-        connectTimeoutMS: 10000, // 10 second connection timeout
-      });
-      
-      console.log('✅ MongoDB connected');
-      return true;
-    } catch (err) {
-      console.error(`❌ MongoDB connection error (attempt ${attempt}/${maxRetries}):`, err.message);
-      
-      if (attempt === maxRetries) {
-        console.error('❌ Failed to connect to MongoDB after all retries');
-        // Don't exit - let server start anyway for health checks
-        return false;
-      }
-      
-      console.log(`⏳ Retrying in ${retryDelay / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, retryDelay));
-    }
-  }
-  
-  return false;
-};
-
 // Start server immediately (non-blocking MongoDB connection)
 const startServer = () => {
   let server;
@@ -145,6 +142,19 @@ const startServer = () => {
   connectDB().then(connected => {
     if (connected) {
       console.log('✅ MongoDB connection established');
+      syncPlatformAdmins();
+      // Searches are processed by worker.js; SEARCH_WORKER_INLINE runs a worker in this process
+      // (single-instance deploys / local dev without a separate worker)
+      if (process.env.SEARCH_WORKER_INLINE === 'true') {
+        searchQueue.start({
+          processor: processSearch,
+          concurrency: parseInt(process.env.SEARCH_WORKER_CONCURRENCY || '1', 10)
+        });
+        startScheduler();
+        startWebhookRetries();
+        startCreditReconciliation();
+        startCrmSyncs();
+      }
     } else {
       console.warn('⚠️  MongoDB connection failed - server running but database features may not work');
     }
@@ -197,9 +207,16 @@ const startServer = () => {
         });
       });
       
-      // Close MongoDB connection (Mongoose 8.x uses Promises, not callbacks)
-      await mongoose.connection.close();
-      console.log('✅ MongoDB connection closed');
+      // Hand inline worker searches back to the queue
+      if (searchQueue.consuming) {
+        stopScheduler();
+        stopWebhookRetries();
+        stopCreditReconciliation();
+        stopCrmSyncs();
+        await searchQueue.shutdown(5000);
+      }
+      
+      await disconnectDB();
       
       if (shutdownTimeout) {
         clearTimeout(shutdownTimeout);
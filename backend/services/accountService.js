@@ -0,0 +1,146 @@
+import Account from '../models/Account.js';
+import Lead from '../models/Lead.js';
+import User from '../models/User.js';
+import { normalizeUrl } from '../utils/urlNormalizer.js';
+import { mergeContactList, contactKeys, toPlain } from '../utils/contactMerge.js';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Customer company that owns a search's leads (null for anonymous searches)
+ */
+export async function getSearchCompanyId(search) {
+  if (!search?.userId) return null;
+  const user = await User.findById(search.userId).select('companyId');
+  return user?.companyId || null;
+}
+
+/**
+ * Merge one lead into its company's Account (created on first sight) and link the lead to it
+ * @param {Object} lead - Lead document
+ * @param {ObjectId} companyId - Owning customer company
+ * @returns {Promise<Object|null>} the account, or null when the lead has no usable website
+ */
+export async function mergeLeadIntoAccount(lead, companyId) {
+  const domain = normalizeUrl(lead.website);
+  if (!companyId || !domain || !domain.includes('.')) return null;
+
+  const seenAt = lead.createdAt || new Date();
+
+  // Two workers can finish leads for the same domain at once - retry on version conflicts
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const account = await Account.findOneAndUpdate(
+      { companyId, domain },
+      {
+        $setOnInsert: {
+          companyId,
+          domain,
+          name: lead.companyName,
+          website: lead.website,
+          firstSeenAt: seenAt
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const alreadyLinked = String(lead.accountId || '') === String(account._id);
+
+    if (!account.address && lead.address) account.address = lead.address;
+    for (const network of ['linkedin', 'twitter', 'facebook', 'instagram']) {
+      if (!account.socials?.[network] && lead.socials?.[network]) {
+        account.set(`socials.${network}`, lead.socials[network]);
+      }
+    }
+    const stamp = { lastSeenAt: seenAt };
+    mergeContactList(account.emails, lead.emails, contactKeys.email, stamp);
+    mergeContactList(account.phoneNumbers, lead.phoneNumbers, contactKeys.phone, stamp);
+    mergeContactList(account.decisionMakers, lead.decisionMakers, contactKeys.decisionMaker, stamp);
+
+    // Field-by-field: a newer enrichment overwrites, an older one only fills gaps
+    const leadEnrichment = lead.enrichment ? toPlain(lead.enrichment) : null;
+    if (leadEnrichment && Object.keys(leadEnrichment).length > 0) {
+      const enrichedAt = leadEnrichment.enrichedAt ? new Date(leadEnrichment.enrichedAt) : seenAt;
+      const isNewer = !account.enrichmentUpdatedAt || enrichedAt > account.enrichmentUpdatedAt;
+      const merged = { ...(account.enrichment || {}) };
+      for (const [field, value] of Object.entries(leadEnrichment)) {
+        if (isEmpty(value)) continue;
+        if (isNewer || isEmpty(merged[field])) {
+          merged[field] = value;
+        }
+      }
+      account.enrichment = merged;
+      account.markModified('enrichment');
+      if (isNewer) account.enrichmentUpdatedAt = enrichedAt;
+    }
+
+    if (lead.qualityScore !== null && lead.qualityScore !== undefined && lead.qualityScore > (account.qualityScore ?? -1)) {
+      account.qualityScore = lead.qualityScore;
+    }
+    if (!alreadyLinked) {
+      account.leadCount = (account.leadCount || 0) + 1;
+    }
+    if (lead.searchId && !account.searchIds.some(id => String(id) === String(lead.searchId))) {
+      account.searchIds.push(lead.searchId);
+    }
+    if (!account.lastSeenAt || seenAt > account.lastSeenAt) {
+      account.lastSeenAt = seenAt;
+      // Keep the most recent name the company was found under
+      if (lead.companyName) account.name = lead.companyName;
+    }
+
+    try {
+      await account.save();
+    } catch (err) {
+      if (err.name === 'VersionError' && attempt < 2) continue;
+      throw err;
+    }
+
+    if (!alreadyLinked) {
+      await Lead.updateOne({ _id: lead._id }, { $set: { accountId: account._id } });
+      lead.accountId = account._id;
+    }
+    return account;
+  }
+  return null;
+}
+
+/**
+ * Merge every lead of a finished search into Accounts
+ * Leads flagged as duplicates are linked too, so every sighting shows up in the history.
+ * @param {Object} search - Search document
+ * @returns {Promise<number>} number of leads linked
+ */
+export async function syncSearchAccounts(search) {
+  const companyId = await getSearchCompanyId(search);
+  if (!companyId) return 0;
+
+  const leads = await Lead.find({
+    searchId: search._id,
+    website: { $nin: [null, ''] },
+    extractionStatus: 'extracted'
+  }).sort({ createdAt: 1 });
+
+  let linked = 0;
+  for (const lead of leads) {
+    try {
+      if (await mergeLeadIntoAccount(lead, companyId)) linked++;
+    } catch (err) {
+      console.error(`[ACCOUNTS] ❌ Failed to merge lead ${lead._id} into its account:`, err.message);
+    }
+  }
+  console.log(`[ACCOUNTS] Search ${search._id}: linked ${linked}/${leads.length} leads to accounts`);
+  return linked;
+}
+
+/**
+ * Leads of an account across searches, newest first
+ * @param {ObjectId} accountId
+ * @param {Object} options - { searchIds: only leads of these searches (see getVisibleSearchIds), limit }
+ */
+export async function getAccountHistory(accountId, { searchIds, limit = 50 } = {}) {
+  return Lead.find({ accountId, searchId: { $in: searchIds } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('companyName website qualityScore enrichmentStatus sourceProvider isDuplicate createdAt searchId')
+    .populate('searchId', 'query country location createdAt source');
+}
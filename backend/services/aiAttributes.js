@@ -0,0 +1,65 @@
+import { answerLeadQuestions } from './enricher.js';
+import { coerceCustomFieldValue } from './customFields.js';
+
+/**
+ * Custom fields that are answered by AI
+ */
+export function aiQuestionFields(fields) {
+  return (fields || []).filter(field => field.question);
+}
+
+/**
+ * Answer a company's AI questions for a lead and store the results on it (caller saves)
+ * Answers go into lead.customFields (so they filter and export like hand-entered values) with
+ * their evidence and confidence in lead.aiAttributes. Unanswerable questions clear the value.
+ * Never throws - a failed answer must not fail enrichment.
+ * @param {Object} lead - Lead document (with pageText selected)
+ * @param {Array} fields - company custom fields; only those with a question are asked
+ * @returns {Promise<number>} number of questions answered
+ */
+export async function answerAiAttributes(lead, fields) {
+  const questionFields = aiQuestionFields(fields);
+  if (questionFields.length === 0) return 0;
+  if (!lead.aboutText && !lead.pageText) return 0;
+
+  try {
+    const answers = await answerLeadQuestions({
+      companyName: lead.companyName,
+      website: lead.website,
+      aboutText: lead.aboutText,
+      pageText: lead.pageText,
+      categorySignals: lead.categorySignals
+    }, questionFields);
+
+    let answered = 0;
+    const answeredAt = new Date();
+    const attributes = (lead.aiAttributes || []).filter(a => !questionFields.some(f => f.key === a.key));
+    for (const field of questionFields) {
+      const result = answers[field.key] || { answer: null, evidence: null, confidence: 0 };
+      const { value, error } = coerceCustomFieldValue(field, result.answer);
+      const stored = error ? null : value;
+
+      if (stored === null) {
+        lead.customFields.delete(field.key);
+      } else {
+        lead.customFields.set(field.key, stored);
+        answered++;
+      }
+      attributes.push({
+        key: field.key,
+        question: field.question,
+        answer: result.answer,
+        evidence: stored === null ? null : result.evidence,
+        confidence: stored === null ? 0 : result.confidence,
+        answeredAt
+      });
+    }
+    lead.aiAttributes = attributes;
+
+    console.log(`[AI_ATTR] ✅ Answered ${answered}/${questionFields.length} questions for "${lead.companyName}"`);
+    return answered;
+  } catch (err) {
+    console.error(`[AI_ATTR] ❌ Failed to answer questions for "${lead.companyName}":`, err.message);
+    return 0;
+  }
+}
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import ApiKeyAudit from '../models/ApiKeyAudit.js';
+
+export const API_KEY_PREFIX = 'onk_';
+export const API_KEY_SCOPES = ApiKey.schema.path('scopes').caster.enumValues;
+export const PLATFORM_ADMIN_SCOPES = ['admin:read'];
+
+/**
+ * Scope an API key needs per endpoint: reads (GET, and POSTs listed in readPosts) vs writes
+ * Endpoints not listed here (auth, company, billing, CRM, webhooks, API keys) refuse API keys.
+ */
+const SCOPE_RULES = [
+  { prefix: '/api/search', read: 'search:read', write: 'search:write' },
+  { prefix: '/api/leads', read: 'leads:read', write: 'leads:write', readPosts: ['/api/leads/bulk-select'] },
+  { prefix: '/api/accounts', read: 'leads:read', write: null },
+  { prefix: '/api/export', read: 'export', write: null },
+  { prefix: '/api/admin', read: 'admin:read', write: null }
+];
+
+// Per-process sliding window of request timestamps: keyId -> [timestamps]
+const recentRequests = new Map();
+const RATE_WINDOW_MS = 60000;
+
+/**
+ * Scopes a user may grant: admin:read only for platform admins
+ */
+export function grantableScopes(user) {
+  return user.platformRole === 'admin'
+    ? API_KEY_SCOPES
+    : API_KEY_SCOPES.filter(scope => !PLATFORM_ADMIN_SCOPES.includes(scope));
+}
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * New random key (returned to the user once) with its stored hash and display prefix
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 8) };
+}
+
+/**
+ * Active (not revoked, not expired) key matching a raw key, or null
+ */
+export async function findActiveApiKey(key) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+  return apiKey;
+}
+
+/**
+ * Scope required for a request, or null when API keys may not call the endpoint
+ * @param {string} method - HTTP method
+ * @param {string} url - req.originalUrl
+ */
+export function requiredScope(method, url) {
+  const path = url.split('?')[0].replace(/\/+$/, '');
+  const rule = SCOPE_RULES.find(r => path === r.prefix || path.startsWith(`${r.prefix}/`));
+  if (!rule) return null;
+  const isRead = method === 'GET' || method === 'HEAD' || (method === 'POST' && (rule.readPosts || []).includes(path));
+  return isRead ? rule.read : rule.write;
+}
+
+/**
+ * Count a request against the key's per-minute limit
+ * @returns {{ allowed: boolean, limit: number, remaining: number, retryAfterSec: number }}
+ */
+export function checkRateLimit(apiKey) {
+  const id = String(apiKey._id);
+  const now = Date.now();
+  const limit = apiKey.rateLimitPerMinute || 60;
+  const timestamps = (recentRequests.get(id) || []).filter(ts => now - ts < RATE_WINDOW_MS);
+
+  if (timestamps.length >= limit) {
+    recentRequests.set(id, timestamps);
+    return {
+      allowed: false,
+      limit,
+      remaining: 0,
+      retryAfterSec: Math.max(Math.ceil((RATE_WINDOW_MS - (now - timestamps[0])) / 1000), 1)
+    };
+  }
+  timestamps.push(now);
+  recentRequests.set(id, timestamps);
+  return { allowed: true, limit, remaining: limit - timestamps.length, retryAfterSec: 0 };
+}
+
+/**
+ * Append to a key's audit trail (never throws - auditing must not break the request)
+ */
+export async function recordApiKeyAudit(apiKey, type, fields = {}) {
+  try {
+    await ApiKeyAudit.create({ apiKeyId: apiKey._id, companyId: apiKey.companyId, type, ...fields });
+  } catch (err) {
+    console.error(`[API_KEY] ❌ Failed to write audit entry for key ${apiKey.prefix}:`, err.message);
+  }
+}
+
+/**
+ * Record a finished request: usage stats on the key plus an audit entry
+ */
+export async function recordApiKeyRequest(apiKey, req, statusCode) {
+  try {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { requestCount: 1 } }
+    );
+  } catch (err) {
+    console.error(`[API_KEY] ❌ Failed to update usage for key ${apiKey.prefix}:`, err.message);
+  }
+  await recordApiKeyAudit(apiKey, 'request', {
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode,
+    ip: req.ip
+  });
+}
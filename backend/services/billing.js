@@ -1,4 +1,17 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Company from '../models/Company.js';
+import CreditHold from '../models/CreditHold.js';
+import Lead from '../models/Lead.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payment from '../models/Payment.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { issuePurchaseInvoice } from './invoices.js';
+import { getPaymentProvider } from './paymentProviders.js';
+
+// credits.low fires when a search hold takes the balance down to this
+const CREDITS_LOW_THRESHOLD = parseInt(process.env.CREDITS_LOW_THRESHOLD || '10', 10);
+const USAGE_MAX_LIMIT = 200;
 
 export function billingEnabled() {
   return String(process.env.BILLING_ENABLED || 'false').toLowerCase() === 'true';
@@ -27,64 +40,523 @@ export function getCreditPacks() {
   }));
 }
 
-export async function getCompanyUsage(companyId) {
-  const company = await Company.findById(companyId).lean();
+/**
+ * Record a credit movement and apply it to the company's balance
+ * The entry is written first: its unique idempotencyKey makes a retried call a no-op, and the
+ * balance only moves for the call that wrote it. With `requireBalance`, the decrement is
+ * conditional on the balance covering it, so parallel reservations can't take it below zero.
+ * If the balance can't move the entry is removed again; a crash in between leaves an entry
+ * without its balance change, which the reconciliation job (creditReconciliation.js) reports.
+ * @param {string} companyId
+ * @param {Object} entry - { delta, reason, idempotencyKey?, byUserId?, searchId?, leadId?, currency?, packId?, meta? }
+ * @param {Object} options - { requireBalance }
+ * @returns {Promise<Object>} { applied, duplicate?, insufficient?, entry?, creditBalance?, currency? }
+ */
+export async function applyLedgerEntry(companyId, entry, { requireBalance = false } = {}) {
+  let ledgerEntry;
+  try {
+    ledgerEntry = await LedgerEntry.create({ ...entry, companyId });
+  } catch (err) {
+    if (err.code === 11000) return { applied: false, duplicate: true };
+    throw err;
+  }
+
+  const filter = { _id: companyId };
+  if (requireBalance && entry.delta < 0) filter.creditBalance = { $gte: -entry.delta };
+  let company;
+  try {
+    company = await Company.findOneAndUpdate(
+      filter,
+      { $inc: { creditBalance: entry.delta } },
+      { new: true, projection: { creditBalance: 1, billing: 1 } }
+    ).lean();
+  } catch (err) {
+    // Take the entry back so a retry with the same key isn't reported as a duplicate
+    await LedgerEntry.deleteOne({ _id: ledgerEntry._id }).catch(() => {});
+    throw err;
+  }
+
+  if (!company) {
+    await LedgerEntry.deleteOne({ _id: ledgerEntry._id });
+    if (filter.creditBalance && await Company.exists({ _id: companyId })) {
+      return { applied: false, insufficient: true };
+    }
+    throw new Error('Company not found');
+  }
+  return {
+    applied: true,
+    entry: ledgerEntry,
+    creditBalance: company.creditBalance,
+    currency: company.billing?.currency || defaultCurrency()
+  };
+}
+
+/**
+ * Balance (available credits), credits held by running searches and paginated ledger history (newest first)
+ * @param {string} companyId
+ * @param {Object} options - { page, limit }
+ */
+export async function getCompanyUsage(companyId, { page = 1, limit = 50 } = {}) {
+  const company = await Company.findById(companyId).select('creditBalance billing').lean();
   if (!company) throw new Error('Company not found');
-  const balance = company.creditBalance || 0;
-  const ledger = (company.ledger || []).slice(-100).reverse();
-  return { balance, ledger, currency: company.billing?.currency || defaultCurrency() };
+  page = Math.max(1, parseInt(page, 10) || 1);
+  limit = Math.min(USAGE_MAX_LIMIT, Math.max(1, parseInt(limit, 10) || 50));
+
+  const [ledger, total] = await Promise.all([
+    LedgerEntry.find({ companyId })
+      .select('-companyId -idempotencyKey')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    LedgerEntry.countDocuments({ companyId })
+  ]);
+
+  return {
+    balance: company.creditBalance || 0,
+    held: await getHeldCredits(companyId),
+    ledger,
+    currency: company.billing?.currency || defaultCurrency(),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Whether a company ever bought credits (signup bonuses don't count) - used for queue priority
+ */
+export async function hasPurchasedCredits(companyId) {
+  return !!(await LedgerEntry.exists({ companyId, reason: 'purchase', delta: { $gt: 0 } }));
 }
 
 export async function mockAddCredits(companyId, packId, byUserId) {
   const packs = getCreditPacks();
   const pack = packs.find(p => p.id === packId);
   if (!pack) throw new Error('Invalid pack');
-  const company = await Company.findById(companyId);
+  const company = await Company.findById(companyId).select('billing').lean();
   if (!company) throw new Error('Company not found');
-  if (!company.billing) company.billing = {};
-  if (!company.billing.currency) company.billing.currency = defaultCurrency();
-  company.creditBalance = (company.creditBalance || 0) + pack.credits;
-  company.ledger.push({
+  const { creditBalance, entry } = await applyLedgerEntry(companyId, {
     delta: +pack.credits,
     reason: 'purchase',
     byUserId,
-    currency: company.billing.currency,
-    packId
+    currency: company.billing?.currency || defaultCurrency(),
+    packId,
+    meta: { provider: 'mock' }
   });
-  await company.save();
-  return { success: true, creditBalance: company.creditBalance };
+  await invoicePurchase(entry);
+  return { success: true, creditBalance };
 }
 
-export async function reserveCredit(companyId, byUserId, searchId, leadId) {
-  const company = await Company.findById(companyId);
-  if (!company) throw new Error('Company not found');
-  if ((company.creditBalance || 0) <= 0) return { ok: false };
-  company.creditBalance = (company.creditBalance || 0) - 1;
-  company.ledger.push({
-    delta: -1,
-    reason: 'reserve',
-    byUserId,
-    searchId,
-    leadId,
-    currency: company.billing?.currency || defaultCurrency()
+/**
+ * Issue the invoice for a purchase; a failure is only logged - the credits are already in,
+ * and the credit reconciliation job issues it on its next run (issueMissingInvoices)
+ */
+async function invoicePurchase(entry) {
+  if (!entry) return;
+  try {
+    await issuePurchaseInvoice(entry, getCreditPacks());
+  } catch (err) {
+    console.error(`[BILLING] ❌ Invoice for ledger entry ${entry._id} failed:`, err.message);
+  }
+}
+
+/**
+ * Where the provider sends the buyer back after checkout
+ */
+function checkoutReturnUrl(status, reference) {
+  const base = (process.env.BILLING_RETURN_URL || `${process.env.CORS_ORIGIN || 'http://localhost:5173'}/dashboard`).replace(/\/$/, '');
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}checkout=${status}&reference=${encodeURIComponent(reference)}`;
+}
+
+/**
+ * Start a credit pack checkout with the company's payment provider
+ * Credits are added by the provider's webhook (handlePaymentWebhook), not here.
+ * Errors carry `status` (400 for bad input / unconfigured provider, 502 when the provider fails).
+ * @param {Object} company - Company document
+ * @param {Object} user - Buyer (Paystack needs their email)
+ * @param {string} packId
+ * @returns {Promise<{ checkoutUrl: string, reference: string }>}
+ */
+export async function startCheckout(company, user, packId) {
+  const pack = getCreditPacks().find(p => p.id === packId);
+  if (!pack) {
+    const error = new Error('Invalid pack');
+    error.status = 400;
+    throw error;
+  }
+  const provider = getPaymentProvider(company.billing?.provider);
+  if (!provider || !provider.configured()) {
+    const error = new Error(`${provider?.label || 'Payment provider'} is not configured on this server`);
+    error.status = 400;
+    throw error;
+  }
+
+  const currency = company.billing?.currency || defaultCurrency();
+  const payment = await Payment.create({
+    companyId: company._id,
+    userId: user._id,
+    provider: provider.key,
+    reference: `onl_${crypto.randomBytes(12).toString('hex')}`,
+    packId: pack.id,
+    credits: pack.credits,
+    amount: Math.round(pack.price[currency] * 100),
+    currency
   });
-  await company.save();
-  return { ok: true };
+
+  try {
+    const { checkoutUrl, sessionId } = await provider.createCheckout({
+      payment,
+      pack,
+      customerEmail: user.email,
+      successUrl: checkoutReturnUrl('success', payment.reference),
+      cancelUrl: checkoutReturnUrl('cancelled', payment.reference)
+    });
+    if (!checkoutUrl) throw new Error('Provider returned no checkout URL');
+    payment.checkoutUrl = checkoutUrl;
+    payment.providerSessionId = sessionId;
+    await payment.save();
+    console.log(`[BILLING] Checkout ${payment.reference} started with ${provider.key} for company ${company._id} (${pack.id})`);
+    return { checkoutUrl, reference: payment.reference };
+  } catch (err) {
+    console.error(`[BILLING] ❌ ${provider.key} checkout failed for ${payment.reference}:`, err.message);
+    const error = new Error(`${provider.label} checkout failed: ${err.message}`);
+    error.status = 502;
+    throw error;
+  }
 }
 
-export async function refundCredit(companyId, byUserId, searchId, leadId, reason = 'refund_invalid') {
-  const company = await Company.findById(companyId);
-  if (!company) throw new Error('Company not found');
-  company.creditBalance = (company.creditBalance || 0) + 1;
-  company.ledger.push({
-    delta: +1,
-    reason,
-    byUserId,
+async function findWebhookPayment(provider, parsed) {
+  if (parsed.reference) {
+    const payment = await Payment.findOne({ provider, reference: parsed.reference });
+    if (payment) return payment;
+  }
+  if (parsed.sessionId) {
+    const payment = await Payment.findOne({ provider, providerSessionId: parsed.sessionId });
+    if (payment) return payment;
+  }
+  if (parsed.paymentId) {
+    return Payment.findOne({ provider, providerPaymentId: parsed.paymentId });
+  }
+  return null;
+}
+
+/**
+ * Whether a payment's credits are already in the ledger (legacy entries keep meta.reference too)
+ */
+async function paymentCredited(payment) {
+  const inLedger = await LedgerEntry.exists({
+    companyId: payment.companyId,
+    reason: 'purchase',
+    'meta.reference': payment.reference
+  });
+  if (inLedger) return true;
+  // Company not yet moved off the embedded ledger (see creditReconciliation.js)
+  return !!(await Company.exists({ _id: payment.companyId, 'ledger.meta.reference': payment.reference }));
+}
+
+/**
+ * Add a payment's credits and mark it paid - once, however often the webhook is replayed
+ * Credits go in first (the payment:<reference> key makes that idempotent) and the status follows.
+ * If the process dies in between, the replayed webhook finds the payment still pending, or paid
+ * without its ledger entry, and finishes the job instead of reporting a duplicate.
+ */
+async function applyPaymentSucceeded(payment, parsed) {
+  if (parsed.amount !== null && parsed.amount !== undefined && parsed.amount < payment.amount) {
+    console.warn(`[BILLING] ⚠️  ${payment.reference}: paid ${parsed.amount} but expected ${payment.amount}, not crediting`);
+    return { result: 'ignored', reason: 'Amount does not match the checkout' };
+  }
+  // Refunds are only recorded against payments that were credited
+  if (!['pending', 'paid'].includes(payment.status)) return { result: 'duplicate' };
+  if (payment.status === 'paid' && await paymentCredited(payment)) return { result: 'duplicate' };
+
+  const { applied, entry } = await applyLedgerEntry(payment.companyId, {
+    delta: +payment.credits,
+    reason: 'purchase',
+    idempotencyKey: `payment:${payment.reference}`,
+    byUserId: payment.userId,
+    currency: payment.currency,
+    packId: payment.packId,
+    meta: { provider: payment.provider, reference: payment.reference }
+  });
+
+  await Payment.updateOne(
+    { _id: payment._id, status: 'pending' },
+    {
+      $set: { status: 'paid', paidAt: new Date(), providerPaymentId: parsed.paymentId || payment.providerPaymentId },
+      $addToSet: { processedEvents: parsed.eventId }
+    }
+  );
+  if (!applied) return { result: 'duplicate' };
+
+  await invoicePurchase(entry);
+  console.log(`[BILLING] ✅ ${payment.reference} paid via ${payment.provider}: +${payment.credits} credits for company ${payment.companyId}`);
+  return { result: 'credited', credits: payment.credits };
+}
+
+/**
+ * Record a refund and take back the matching share of the pack's credits
+ * Stripe reports the cumulative refunded amount, Paystack each refund's amount.
+ */
+async function applyPaymentRefunded(payment, parsed) {
+  if (!['paid', 'partially_refunded'].includes(payment.status)) {
+    return { result: 'ignored', reason: `Payment is ${payment.status}` };
+  }
+  if (payment.processedEvents.includes(parsed.eventId)) return { result: 'duplicate' };
+
+  const amount = parsed.refundedTotal !== undefined
+    ? parsed.refundedTotal - payment.refundedAmount
+    : parsed.refundAmount;
+  if (!(amount > 0)) return { result: 'duplicate' };
+
+  const refundedAmount = Math.min(payment.amount, payment.refundedAmount + amount);
+  const creditsTakenBack = payment.refunds.reduce((sum, r) => sum + (r.credits || 0), 0);
+  const credits = Math.round(payment.credits * refundedAmount / payment.amount) - creditsTakenBack;
+
+  // Guard on refundedAmount so two deliveries of different refund events can't both apply to the same total
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundedAmount: payment.refundedAmount, processedEvents: { $ne: parsed.eventId } },
+    {
+      $set: {
+        refundedAmount,
+        status: refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded'
+      },
+      $push: { refunds: { eventId: parsed.eventId, amount, credits, refundedAt: new Date() } },
+      $addToSet: { processedEvents: parsed.eventId }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    // Lost a race with another delivery - the provider retries, and the retry sees the new total
+    const error = new Error('Payment changed while recording the refund');
+    error.status = 409;
+    throw error;
+  }
+
+  if (credits > 0) {
+    // Not conditional on the balance: credits already spent still have to come back off
+    await applyLedgerEntry(payment.companyId, {
+      delta: -credits,
+      reason: 'payment_refund',
+      idempotencyKey: `payment_refund:${payment.reference}:${parsed.eventId}`,
+      byUserId: payment.userId,
+      currency: payment.currency,
+      packId: payment.packId,
+      meta: { provider: payment.provider, reference: payment.reference, amount }
+    });
+  }
+  console.log(`[BILLING] ↩️  ${payment.reference} refunded ${amount} via ${payment.provider}: -${credits} credits for company ${payment.companyId}`);
+  return { result: 'refunded', credits };
+}
+
+/**
+ * Verify and apply a payment provider webhook
+ * Errors carry `status`: 404 unknown provider, 503 provider not configured, 400 bad signature or body.
+ * @param {string} providerKey - 'stripe' | 'paystack'
+ * @param {Buffer|string} rawBody - Body exactly as received (signatures cover the raw bytes)
+ * @param {Object} headers - Request headers (lower-cased)
+ * @returns {Promise<Object>} { result: 'credited' | 'refunded' | 'duplicate' | 'ignored', ... }
+ */
+export async function handlePaymentWebhook(providerKey, rawBody, headers) {
+  const provider = getPaymentProvider(providerKey);
+  if (!provider) {
+    const error = new Error('Unknown payment provider');
+    error.status = 404;
+    throw error;
+  }
+  if (!provider.configured()) {
+    const error = new Error(`${provider.label} is not configured`);
+    error.status = 503;
+    throw error;
+  }
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    const error = new Error('Invalid webhook signature');
+    error.status = 400;
+    throw error;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    const error = new Error('Webhook body is not JSON');
+    error.status = 400;
+    throw error;
+  }
+
+  const parsed = provider.parseWebhook(event);
+  if (!parsed.type) return { result: 'ignored', reason: 'Event not handled' };
+
+  const payment = await findWebhookPayment(provider.key, parsed);
+  if (!payment) {
+    console.warn(`[BILLING] ⚠️  ${provider.key} webhook ${parsed.eventId} matches no payment`);
+    return { result: 'ignored', reason: 'Unknown payment' };
+  }
+
+  return parsed.type === 'paid'
+    ? applyPaymentSucceeded(payment, parsed)
+    : applyPaymentRefunded(payment, parsed);
+}
+
+/**
+ * Recent checkouts of a company (newest first)
+ */
+export async function listCompanyPayments(companyId, limit = 50) {
+  return Payment.find({ companyId })
+    .select('-processedEvents')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Set credits aside for a search before it runs - up to `requested`, as many as the balance covers
+ * Once per search: a resumed or re-leased search gets its existing hold back.
+ * @param {string} companyId
+ * @param {string} byUserId
+ * @param {string} searchId
+ * @param {number} requested - resultCount (or the number of imported rows)
+ * @returns {Promise<Object>} the CreditHold (amount 0 when the balance is empty)
+ */
+export async function placeSearchHold(companyId, byUserId, searchId, requested) {
+  const existing = await CreditHold.findOne({ searchId });
+  if (existing) return existing;
+
+  let amount = 0;
+  let result = null;
+  // The balance can move between reading it and taking the hold, so retry with the new one
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const company = await Company.findById(companyId).select('creditBalance billing').lean();
+    if (!company) throw new Error('Company not found');
+    amount = Math.max(0, Math.min(requested, company.creditBalance || 0));
+    if (amount === 0) break;
+
+    result = await applyLedgerEntry(companyId, {
+      delta: -amount,
+      reason: 'hold',
+      idempotencyKey: `hold:${searchId}`,
+      byUserId,
+      searchId,
+      currency: company.billing?.currency || defaultCurrency(),
+      meta: { requested }
+    }, { requireBalance: true });
+    if (result.duplicate) {
+      // Taken by an earlier attempt that didn't get to record the hold
+      const entry = await LedgerEntry.findOne({ idempotencyKey: `hold:${searchId}` }).select('delta').lean();
+      amount = entry ? -entry.delta : 0;
+      break;
+    }
+    if (result.applied) break;
+    amount = 0;
+  }
+
+  const hold = await CreditHold.findOneAndUpdate(
+    { searchId },
+    { $setOnInsert: { companyId, searchId, userId: byUserId, amount } },
+    { upsert: true, new: true }
+  );
+  console.log(`[BILLING] Holding ${hold.amount}/${requested} credits for search ${searchId}`);
+
+  if (result?.applied) {
+    const before = result.creditBalance + amount;
+    if ((before > CREDITS_LOW_THRESHOLD && result.creditBalance <= CREDITS_LOW_THRESHOLD) || result.creditBalance === 0) {
+      emitWebhookEvent(companyId, 'credits.low', {
+        creditBalance: result.creditBalance,
+        threshold: CREDITS_LOW_THRESHOLD,
+        currency: result.currency
+      });
+    }
+  }
+  return hold;
+}
+
+/**
+ * Take a slot of the search's hold before enriching a lead
+ * A lead that already holds a slot keeps it (retries aren't counted twice).
+ * @returns {Promise<{ ok: boolean }>} ok false when the hold is used up
+ */
+export async function claimHoldCredit(searchId, leadId) {
+  const claimed = await CreditHold.findOneAndUpdate(
+    {
+      searchId,
+      status: 'active',
+      leadIds: { $ne: leadId },
+      $expr: { $lt: [{ $size: '$leadIds' }, '$amount'] }
+    },
+    { $push: { leadIds: leadId } },
+    { new: true, projection: { _id: 1 } }
+  );
+  if (claimed) return { ok: true };
+  return { ok: !!(await CreditHold.exists({ searchId, status: 'active', leadIds: leadId })) };
+}
+
+/**
+ * Give a lead's slot back to the hold (enrichment failed or found nothing usable)
+ */
+export async function releaseHoldCredit(searchId, leadId) {
+  await CreditHold.updateOne({ searchId, status: 'active' }, { $pull: { leadIds: leadId } });
+}
+
+/**
+ * Settle a search's hold against the leads it delivered and release the rest to the balance
+ * Delivered = still holding a slot, enriched and not a duplicate. Called by the search
+ * finalizer (completed or failed) and before a search is deleted; safe to call twice.
+ * @param {string} searchId
+ * @returns {Promise<Object|null>} { settled, released }, null when there is no open hold
+ */
+export async function settleSearchHold(searchId) {
+  const hold = await CreditHold.findOne({ searchId, status: 'active' });
+  if (!hold) return null;
+
+  const delivered = hold.leadIds.length === 0 ? 0 : await Lead.countDocuments({
+    _id: { $in: hold.leadIds },
     searchId,
-    leadId,
-    currency: company.billing?.currency || defaultCurrency()
+    enrichmentStatus: 'enriched',
+    isDuplicate: false
   });
-  await company.save();
+  const settled = Math.min(delivered, hold.amount);
+  const released = hold.amount - settled;
+
+  if (released > 0) {
+    const company = await Company.findById(hold.companyId).select('billing').lean();
+    await applyLedgerEntry(hold.companyId, {
+      delta: +released,
+      reason: 'hold_release',
+      idempotencyKey: `hold_release:${searchId}`,
+      byUserId: hold.userId,
+      searchId,
+      currency: company?.billing?.currency || defaultCurrency(),
+      meta: { held: hold.amount, settled }
+    });
+  }
+  await CreditHold.updateOne(
+    { _id: hold._id, status: 'active' },
+    { $set: { status: 'settled', settled, released, settledAt: new Date() } }
+  );
+  console.log(`[BILLING] Settled hold for search ${searchId}: ${settled} used, ${released} released`);
+  return { settled, released };
 }
 
+/**
+ * Credits currently held by a company's running searches
+ */
+export async function getHeldCredits(companyId) {
+  const [row] = await CreditHold.aggregate([
+    { $match: { companyId: new mongoose.Types.ObjectId(String(companyId)), status: 'active' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return row?.amount || 0;
+}
 
+/**
+ * Credits a search has paid for: its hold while it runs, what it was charged once settled
+ */
+export async function getSearchCredits(searchId) {
+  const hold = await CreditHold.findOne({ searchId }).select('status amount settled').lean();
+  if (!hold) return 0;
+  return hold.status === 'active' ? hold.amount : (hold.settled || 0);
+}
@@ -0,0 +1,237 @@
+import Company from '../models/Company.js';
+import CreditHold from '../models/CreditHold.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Search from '../models/Search.js';
+import { getCreditPacks, settleSearchHold } from './billing.js';
+import { issueMissingInvoices } from './invoices.js';
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.CREDIT_RECONCILE_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const MIGRATE_BATCH_SIZE = 100;
+// A credit movement writes its ledger entry first and the balance right after; allow this much between the two
+const LEDGER_QUIET_MS = 30 * 1000;
+// The finalizer settles holds right after claiming a search; give it this long before stepping in
+const HOLD_SETTLE_GRACE_MS = 10 * 60 * 1000;
+
+let timer = null;
+let reconciling = false;
+// companyId -> "balance:ledgerSum" seen on the previous run
+const previousDrift = new Map();
+
+function autoFixEnabled() {
+  return String(process.env.CREDIT_RECONCILE_FIX || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * Copy a company's embedded ledger onto LedgerEntry (keyed on the old _id, so a rerun doesn't
+ * copy an entry twice)
+ */
+async function copyLegacyEntries(company) {
+  const legacy = company.ledger || [];
+  if (legacy.length === 0) return;
+  try {
+    await LedgerEntry.insertMany(legacy.map(entry => ({
+      companyId: company._id,
+      delta: entry.delta,
+      reason: entry.reason,
+      idempotencyKey: `legacy:${entry._id}`,
+      byUserId: entry.byUserId || null,
+      searchId: entry.searchId || null,
+      leadId: entry.leadId || null,
+      currency: entry.currency || 'usd',
+      packId: entry.packId || null,
+      meta: { ...(entry.meta || {}), legacy: true },
+      createdAt: entry.ts || company.createdAt || new Date()
+    })), { ordered: false });
+  } catch (err) {
+    // Copied on an earlier, interrupted run
+    if (err.code !== 11000 && !err.writeErrors?.every(e => e.code === 11000)) throw err;
+  }
+}
+
+/**
+ * Write a company's opening_balance entry and mark it migrated
+ * The balance is read fresh and the company is only marked if it still holds that balance, so a
+ * purchase or hold landing meanwhile can't be baked into the opening entry. A company with ledger
+ * activity in the last LEDGER_QUIET_MS is left for the next run: a movement's entry is written
+ * just before the balance it changes, so a recent entry may not be in the balance yet.
+ * @returns {Promise<boolean>} false when the company was left for the next run
+ */
+async function migrateCompanyBalance(company, legacyCount) {
+  const startedAt = Date.now();
+  const current = await Company.findOne({ _id: company._id, ledgerMigratedAt: null }).select('creditBalance').lean();
+  if (!current) return true; // migrated by another run meanwhile
+
+  // An opening entry from an interrupted run was never confirmed - work it out again
+  await LedgerEntry.deleteMany({ companyId: company._id, reason: 'opening_balance' });
+  const sum = await ledgerSum(company._id);
+  const recent = await LedgerEntry.exists({
+    companyId: company._id,
+    createdAt: { $gte: new Date(startedAt - LEDGER_QUIET_MS) },
+    'meta.legacy': { $ne: true }
+  });
+  if (recent) return false;
+
+  const opening = (current.creditBalance || 0) - sum;
+  let openingEntry = null;
+  if (opening !== 0) {
+    openingEntry = await LedgerEntry.create({
+      companyId: company._id,
+      delta: opening,
+      reason: 'opening_balance',
+      idempotencyKey: `opening_balance:${company._id}`,
+      currency: company.billing?.currency || 'usd',
+      meta: { legacyEntries: legacyCount }
+    });
+  }
+
+  const result = await Company.updateOne(
+    { _id: company._id, ledgerMigratedAt: null, creditBalance: current.creditBalance },
+    { $set: { ledger: [], ledgerMigratedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) {
+    if (openingEntry) await LedgerEntry.deleteOne({ _id: openingEntry._id });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Move companies still carrying the old embedded Company.ledger onto LedgerEntry
+ * Entries keep their reason; whatever the embedded ledger doesn't explain becomes one
+ * opening_balance entry.
+ */
+async function migrateEmbeddedLedgers() {
+  let migrated = 0;
+  const deferred = [];
+  for (;;) {
+    const companies = await Company.find({ ledgerMigratedAt: null, _id: { $nin: deferred } })
+      .select('ledger billing createdAt')
+      .limit(MIGRATE_BATCH_SIZE)
+      .lean();
+    if (companies.length === 0) break;
+
+    for (const company of companies) {
+      await copyLegacyEntries(company);
+      if (await migrateCompanyBalance(company, (company.ledger || []).length)) {
+        migrated++;
+      } else {
+        deferred.push(company._id);
+      }
+    }
+  }
+  if (migrated > 0) {
+    console.log(`[CREDITS] Moved ${migrated} companies onto the ledger collection`);
+  }
+  if (deferred.length > 0) {
+    console.log(`[CREDITS] ${deferred.length} companies had credit activity during the move - retrying next run`);
+  }
+}
+
+/**
+ * Settle holds the finalizer never got to (worker died mid-finalize, search deleted while running)
+ */
+async function settleStaleHolds() {
+  const cutoff = new Date(Date.now() - HOLD_SETTLE_GRACE_MS);
+  const holds = await CreditHold.find({ status: 'active', createdAt: { $lt: cutoff } }).select('searchId').lean();
+  let settled = 0;
+  for (const hold of holds) {
+    const search = await Search.findById(hold.searchId).select('finalizedAt').lean();
+    if (search && !(search.finalizedAt && search.finalizedAt < cutoff)) continue;
+    if (await settleSearchHold(hold.searchId)) settled++;
+  }
+  if (settled > 0) {
+    console.log(`[CREDITS] Settled ${settled} stale search holds`);
+  }
+}
+
+async function ledgerSum(companyId) {
+  const [row] = await LedgerEntry.aggregate([
+    { $match: { companyId } },
+    { $group: { _id: null, sum: { $sum: '$delta' } } }
+  ]);
+  return row?.sum || 0;
+}
+
+/**
+ * Issue invoices the purchase path didn't get to
+ */
+async function issueOverdueInvoices() {
+  const issued = await issueMissingInvoices(getCreditPacks());
+  if (issued > 0) {
+    console.log(`[CREDITS] Issued ${issued} missing invoices`);
+  }
+}
+
+/**
+ * Check every company's creditBalance against the sum of its ledger entries
+ * (after moving legacy ledgers over, settling search holds left open and issuing missing invoices). Drift is logged. With CREDIT_RECONCILE_FIX=true the balance is set to the ledger sum, but only
+ * when the same drift was seen on the previous run too (a reservation in flight shows up as
+ * drift for a moment) and the balance hasn't moved since.
+ * @returns {Promise<Array>} companies with drift: { companyId, creditBalance, ledgerSum, fixed }
+ */
+export async function reconcileCreditBalances() {
+  if (reconciling) return [];
+  reconciling = true;
+  const drifted = [];
+  try {
+    await migrateEmbeddedLedgers();
+    await settleStaleHolds();
+    await issueOverdueInvoices();
+
+    const sums = new Map(
+      (await LedgerEntry.aggregate([
+        { $group: { _id: '$companyId', sum: { $sum: '$delta' } } }
+      ])).map(row => [String(row._id), row.sum])
+    );
+
+    const seen = new Set();
+    // Companies still waiting to move have no opening entry yet - their drift means nothing
+    const cursor = Company.find({ ledgerMigratedAt: { $ne: null } }).select('creditBalance').lean().cursor();
+    for await (const company of cursor) {
+      const id = String(company._id);
+      const balance = company.creditBalance || 0;
+      const sum = sums.get(id) || 0;
+      if (balance === sum) continue;
+
+      const signature = `${balance}:${sum}`;
+      seen.add(id);
+      let fixed = false;
+      if (autoFixEnabled() && previousDrift.get(id) === signature) {
+        const result = await Company.updateOne(
+          { _id: company._id, creditBalance: company.creditBalance },
+          { $set: { creditBalance: sum } }
+        );
+        fixed = result.modifiedCount > 0;
+      }
+      previousDrift.set(id, signature);
+      drifted.push({ companyId: id, creditBalance: balance, ledgerSum: sum, fixed });
+      console.warn(`[CREDITS] ⚠️  Company ${id} balance ${balance} != ledger ${sum}${fixed ? ' (set to ledger)' : ''}`);
+    }
+    for (const id of previousDrift.keys()) {
+      if (!seen.has(id)) previousDrift.delete(id);
+    }
+
+    if (drifted.length === 0) {
+      console.log('[CREDITS] ✅ Balances match the ledger');
+    }
+  } catch (err) {
+    console.error('[CREDITS] ❌ Reconciliation failed:', err.message);
+  } finally {
+    reconciling = false;
+  }
+  return drifted;
+}
+
+export function startCreditReconciliation() {
+  if (timer) return;
+  console.log(`[CREDITS] Reconciling balances with the ledger every ${RECONCILE_INTERVAL_MS / 60000}min`);
+  timer = setInterval(reconcileCreditBalances, RECONCILE_INTERVAL_MS);
+  reconcileCreditBalances();
+}
+
+export function stopCreditReconciliation() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,282 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CRM_TIMEOUT_MS = parseInt(process.env.CRM_TIMEOUT_MS || '15000', 10);
+// Attempts per request when the CRM rate limits us or has a server error
+const CRM_MAX_ATTEMPTS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * JSON request to a CRM API with timeout and retries on 429/5xx
+ * Errors carry `status` (HTTP status, null for network errors) so adapters can react to 404s.
+ * @param {string} url
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<Object|null>} parsed JSON body (null for empty responses)
+ */
+async function crmRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= CRM_MAX_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(CRM_TIMEOUT_MS)
+      });
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = { message: text.slice(0, 200) };
+      }
+
+      if (response.ok) return data;
+
+      const error = new Error(data?.message || data?.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt === CRM_MAX_ATTEMPTS) throw error;
+      lastError = error;
+      const retryAfter = parseInt(response.headers.get('retry-after') || '', 10);
+      await sleep(Number.isFinite(retryAfter) ? retryAfter * 1000 : 500 * 2 ** (attempt - 1));
+    } catch (error) {
+      // HTTP errors that shouldn't be retried were thrown above with a status
+      if (error.status || attempt === CRM_MAX_ATTEMPTS) throw error;
+      lastError = error;
+      await sleep(500 * 2 ** (attempt - 1));
+    }
+  }
+  throw lastError;
+}
+
+const hubspotHeaders = (config) => ({ Authorization: `Bearer ${config.apiKey}` });
+
+function hubspotCompanyProperties(company) {
+  return {
+    name: company.name,
+    domain: company.domain,
+    website: company.website,
+    phone: company.phone,
+    address: company.address,
+    city: company.city,
+    state: company.state,
+    country: company.country,
+    numberofemployees: company.employeeCount,
+    // HubSpot's industry property is a fixed picklist, so our free-text industry goes in the description
+    description: [company.industry && `Industry: ${company.industry}`, company.description].filter(Boolean).join('\n\n'),
+    linkedin_company_page: company.linkedinUrl
+  };
+}
+
+function hubspotContactProperties(contact) {
+  return {
+    email: contact.email,
+    firstname: contact.firstName,
+    lastname: contact.lastName,
+    jobtitle: contact.title,
+    phone: contact.phone
+  };
+}
+
+/**
+ * Drop empty values - CRMs reject nulls for some property types, and we never want to blank out
+ * a field someone filled in by hand
+ */
+function compact(properties) {
+  return Object.fromEntries(
+    Object.entries(properties).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+/**
+ * HubSpot-style object API (used by the HubSpot adapter and the local mock)
+ * @param {Function} baseUrl - config => API root
+ * @param {Function} headers - config => auth headers
+ */
+function hubspotStyleAdapter({ baseUrl, headers }) {
+  const objectsUrl = (config, type) => `${baseUrl(config)}/crm/v3/objects/${type}`;
+
+  async function findBy(config, type, propertyName, value) {
+    if (!value) return null;
+    const data = await crmRequest(`${objectsUrl(config, type)}/search`, {
+      method: 'POST',
+      headers: headers(config),
+      body: {
+        filterGroups: [{ filters: [{ propertyName, operator: 'EQ', value }] }],
+        limit: 1
+      }
+    });
+    return data?.results?.[0]?.id || null;
+  }
+
+  async function upsert(config, type, externalId, properties, lookup) {
+    if (externalId) {
+      try {
+        await crmRequest(`${objectsUrl(config, type)}/${externalId}`, { method: 'PATCH', headers: headers(config), body: { properties } });
+        return { externalId, created: false };
+      } catch (error) {
+        // Deleted in the CRM since the last push - fall through and find or recreate it
+        if (error.status !== 404) throw error;
+      }
+    }
+    const existingId = await findBy(config, type, lookup.property, lookup.value);
+    if (existingId) {
+      await crmRequest(`${objectsUrl(config, type)}/${existingId}`, { method: 'PATCH', headers: headers(config), body: { properties } });
+      return { externalId: String(existingId), created: false };
+    }
+    const created = await crmRequest(objectsUrl(config, type), { method: 'POST', headers: headers(config), body: { properties } });
+    return { externalId: String(created.id), created: true };
+  }
+
+  return {
+    async upsertCompany(config, { externalId, company }) {
+      return upsert(config, 'companies', externalId, compact(hubspotCompanyProperties(company)), { property: 'domain', value: company.domain });
+    },
+    async upsertContact(config, { externalId, contact, companyExternalId }) {
+      const result = await upsert(config, 'contacts', externalId, compact(hubspotContactProperties(contact)), { property: 'email', value: contact.email });
+      if (companyExternalId) {
+        await crmRequest(
+          `${baseUrl(config)}/crm/v4/objects/contacts/${result.externalId}/associations/default/companies/${companyExternalId}`,
+          { method: 'PUT', headers: headers(config) }
+        );
+      }
+      return result;
+    }
+  };
+}
+
+const pipedriveUrl = (config, path, query = {}) => {
+  const base = config.apiDomain ? `https://${config.apiDomain}.pipedrive.com/api/v1` : 'https://api.pipedrive.com/v1';
+  const params = new URLSearchParams({ ...query, api_token: config.apiKey });
+  return `${base}${path}?${params}`;
+};
+
+/**
+ * Pipedrive organizations + persons
+ * Organizations have no domain field by default, so they're matched on exact name.
+ */
+const pipedriveAdapter = {
+  async upsertCompany(config, { externalId, company }) {
+    const body = compact({ name: company.name, address: company.address });
+    if (externalId) {
+      try {
+        await crmRequest(pipedriveUrl(config, `/organizations/${externalId}`), { method: 'PUT', body });
+        return { externalId, created: false };
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 410) throw error;
+      }
+    }
+    const found = await crmRequest(pipedriveUrl(config, '/organizations/search', { term: company.name, fields: 'name', exact_match: 'true', limit: '1' }));
+    const existingId = found?.data?.items?.[0]?.item?.id;
+    if (existingId) {
+      await crmRequest(pipedriveUrl(config, `/organizations/${existingId}`), { method: 'PUT', body });
+      return { externalId: String(existingId), created: false };
+    }
+    const created = await crmRequest(pipedriveUrl(config, '/organizations'), { method: 'POST', body });
+    return { externalId: String(created.data.id), created: true };
+  },
+
+  async upsertContact(config, { externalId, contact, companyExternalId }) {
+    const body = compact({
+      name: contact.name,
+      email: contact.email ? [{ value: contact.email, primary: true, label: 'work' }] : undefined,
+      phone: contact.phone ? [{ value: contact.phone, primary: true, label: 'work' }] : undefined,
+      job_title: contact.title,
+      org_id: companyExternalId ? Number(companyExternalId) : undefined
+    });
+    if (externalId) {
+      try {
+        await crmRequest(pipedriveUrl(config, `/persons/${externalId}`), { method: 'PUT', body });
+        return { externalId, created: false };
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 410) throw error;
+      }
+    }
+    if (contact.email) {
+      const found = await crmRequest(pipedriveUrl(config, '/persons/search', { term: contact.email, fields: 'email', exact_match: 'true', limit: '1' }));
+      const existingId = found?.data?.items?.[0]?.item?.id;
+      if (existingId) {
+        await crmRequest(pipedriveUrl(config, `/persons/${existingId}`), { method: 'PUT', body });
+        return { externalId: String(existingId), created: false };
+      }
+    }
+    const created = await crmRequest(pipedriveUrl(config, '/persons'), { method: 'POST', body });
+    return { externalId: String(created.data.id), created: true };
+  }
+};
+
+/**
+ * CRM adapter definitions
+ * - configFields: what a company admin must provide (apiKey, apiDomain)
+ * - isConfigured(config): whether a push can run with this company's config
+ * - upsertCompany(config, { externalId, company }) => { externalId, created }
+ * - upsertContact(config, { externalId, contact, companyExternalId }) => { externalId, created }
+ * externalId is what we stored from the last push (null on first push); adapters update it,
+ * or look the record up (domain/email/name) before creating, so nothing is created twice.
+ */
+const ADAPTERS = [
+  {
+    key: 'hubspot',
+    label: 'HubSpot',
+    configFields: ['apiKey'],
+    isConfigured: (config) => !!config?.apiKey,
+    ...hubspotStyleAdapter({
+      baseUrl: () => process.env.HUBSPOT_API_URL || 'https://api.hubapi.com',
+      headers: hubspotHeaders
+    })
+  },
+  {
+    key: 'pipedrive',
+    label: 'Pipedrive',
+    configFields: ['apiKey', 'apiDomain'],
+    isConfigured: (config) => !!config?.apiKey,
+    ...pipedriveAdapter
+  },
+  {
+    // HubSpot-compatible local server (routes/crmMock.js) for trying the integration end to end
+    key: 'mock',
+    label: 'Local mock CRM',
+    configFields: [],
+    isConfigured: () => !!getMockCrmUrl(),
+    ...hubspotStyleAdapter({
+      baseUrl: () => getMockCrmUrl(),
+      headers: () => ({})
+    })
+  }
+];
+
+export const CRM_PROVIDER_KEYS = ADAPTERS.map(a => a.key);
+
+/**
+ * Base URL of the local mock CRM, or null when it isn't served
+ */
+export function getMockCrmUrl() {
+  if (!mockCrmEnabled()) return null;
+  return process.env.CRM_MOCK_URL || `http://localhost:${process.env.PORT || 3000}/api/crm-mock`;
+}
+
+/**
+ * The mock CRM is unauthenticated and keeps whatever is pushed to it - only with CRM_MOCK_ENABLED=true
+ */
+export function mockCrmEnabled() {
+  return String(process.env.CRM_MOCK_ENABLED || 'false').toLowerCase() === 'true';
+}
+
+export function getCrmAdapter(key) {
+  return ADAPTERS.find(a => a.key === key) || null;
+}
+
+/**
+ * Adapters for the settings UI
+ */
+export function listCrmAdapters() {
+  return ADAPTERS.map(a => ({
+    key: a.key,
+    label: a.label,
+    configFields: a.configFields,
+    available: a.key !== 'mock' || mockCrmEnabled()
+  }));
+}
@@ -0,0 +1,338 @@
+import Lead from '../models/Lead.js';
+import Company from '../models/Company.js';
+import CrmSync from '../models/CrmSync.js';
+import { normalizeUrl } from '../utils/urlNormalizer.js';
+import { contactKeys } from '../utils/contactMerge.js';
+import { getCrmAdapter } from './crmAdapters.js';
+
+// Leads per push request (pushed one by one to stay under CRM rate limits)
+export const CRM_PUSH_MAX_LEADS = parseInt(process.env.CRM_PUSH_MAX_LEADS || '100', 10);
+const CRM_SYNC_INTERVAL_MS = parseInt(process.env.CRM_SYNC_INTERVAL_MS || '5000', 10);
+// How long a running push holds its claim; renewed after every lead
+const CRM_SYNC_LEASE_MS = 5 * 60 * 1000;
+const CRM_SYNC_MAX_ATTEMPTS = 3;
+
+let timer = null;
+let syncing = false;
+
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { firstName: '', lastName: '' };
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+}
+
+/**
+ * Map a lead to CRM-neutral company + contact objects (adapters translate to their own fields)
+ * Contacts come from decisionMakers and enrichment.linkedinContacts, deduplicated by name.
+ * @param {Object} lead - Lead document or plain object
+ * @returns {{ company: Object, contacts: Array }}
+ */
+export function mapLeadToCrm(lead) {
+  const enrichment = lead.enrichment || {};
+  const location = enrichment.location || {};
+  const primaryPhone = lead.phoneNumbers?.[0];
+  const domain = normalizeUrl(lead.website);
+
+  const company = {
+    name: lead.companyName,
+    domain: domain && domain.includes('.') ? domain : null,
+    website: lead.website || null,
+    phone: primaryPhone?.formatted || primaryPhone?.phone || null,
+    address: lead.address || location.formatted || null,
+    city: location.city || null,
+    state: location.state || null,
+    country: location.country || null,
+    industry: enrichment.industry || null,
+    employeeCount: typeof enrichment.employeeCount === 'number' ? enrichment.employeeCount : null,
+    description: enrichment.businessSummary || lead.aboutText || null,
+    linkedinUrl: lead.socials?.linkedin || enrichment.linkedinContacts?.linkedinCompanyUrl || null
+  };
+
+  const byName = new Map();
+  const addContact = ({ name, email, title, phone, source }) => {
+    const nameKey = contactKeys.decisionMaker({ name });
+    if (!nameKey && !email) return;
+    const mapKey = nameKey || contactKeys.email(email);
+    const current = byName.get(mapKey);
+    if (current) {
+      current.email = current.email || email || null;
+      current.title = current.title || title || null;
+      return;
+    }
+    byName.set(mapKey, {
+      name: name || email,
+      ...splitName(name),
+      email: email || null,
+      title: title || null,
+      phone: phone || null,
+      source
+    });
+  };
+
+  for (const dm of lead.decisionMakers || []) {
+    addContact({ name: dm.name, email: dm.email, title: dm.title, source: dm.source || 'website' });
+  }
+  for (const contact of enrichment.linkedinContacts?.contacts || []) {
+    addContact({ name: contact.name, email: contact.suggestedEmail, title: contact.title, source: 'linkedin' });
+  }
+
+  const contacts = [...byName.values()].map(contact => ({
+    ...contact,
+    // Stable identity for stored external IDs: email when known, otherwise the name
+    key: contact.email ? contactKeys.email(contact.email) : `name:${contactKeys.decisionMaker(contact)}`
+  }));
+
+  return { company, contacts };
+}
+
+/**
+ * Push one lead (company + contacts) and record the external IDs on the lead
+ * @returns {Promise<Object>} { leadId, companyName, status, companyExternalId, contactsPushed, contactErrors, error }
+ */
+async function pushLead(adapter, config, lead) {
+  const { company, contacts } = mapLeadToCrm(lead);
+  const previous = (lead.crmRecords || []).find(r => r.provider === adapter.key);
+  const knownContacts = new Map((previous?.contacts || []).map(c => [c.key, c.externalId]));
+
+  const record = {
+    provider: adapter.key,
+    companyExternalId: previous?.companyExternalId || null,
+    contacts: previous?.contacts ? previous.contacts.map(c => ({ key: c.key, externalId: c.externalId })) : [],
+    status: 'synced',
+    error: null,
+    syncedAt: new Date()
+  };
+  const outcome = { leadId: lead._id, companyName: lead.companyName, contactsPushed: 0, contactErrors: 0 };
+
+  try {
+    const result = await adapter.upsertCompany(config, { externalId: record.companyExternalId, company });
+    record.companyExternalId = result.externalId;
+    outcome.status = result.created ? 'created' : 'updated';
+  } catch (error) {
+    console.error(`[CRM] ❌ ${adapter.key}: company push failed for lead ${lead._id}:`, error.message);
+    record.status = 'failed';
+    record.error = error.message;
+    outcome.status = 'failed';
+    outcome.error = error.message;
+  }
+
+  if (record.status !== 'failed') {
+    const contactErrors = [];
+    for (const contact of contacts) {
+      try {
+        // A contact first pushed without an email was stored under its name
+        const nameKey = `name:${contactKeys.decisionMaker(contact)}`;
+        const result = await adapter.upsertContact(config, {
+          externalId: knownContacts.get(contact.key) || knownContacts.get(nameKey) || null,
+          contact,
+          companyExternalId: record.companyExternalId
+        });
+        record.contacts = record.contacts.filter(c => c.key !== contact.key && c.key !== nameKey);
+        record.contacts.push({ key: contact.key, externalId: result.externalId });
+        outcome.contactsPushed++;
+      } catch (error) {
+        contactErrors.push(`${contact.name}: ${error.message}`);
+      }
+    }
+    if (contactErrors.length > 0) {
+      console.log(`[CRM] ⚠️  ${adapter.key}: ${contactErrors.length} contact(s) failed for lead ${lead._id}`);
+      record.status = 'partial';
+      record.error = contactErrors.slice(0, 5).join('; ');
+      outcome.contactErrors = contactErrors.length;
+      outcome.error = record.error;
+    }
+    outcome.companyExternalId = record.companyExternalId;
+  }
+
+  // Keep records for other CRMs; replace this provider's record
+  const crmRecords = (lead.crmRecords || [])
+    .filter(r => r.provider !== adapter.key)
+    .map(r => (typeof r.toObject === 'function' ? r.toObject() : r));
+  crmRecords.push(record);
+  await Lead.updateOne({ _id: lead._id }, { $set: { crmRecords } });
+
+  return outcome;
+}
+
+/**
+ * The company's CRM adapter and config (including the API key)
+ * @param {ObjectId} companyId
+ * @returns {Promise<{ adapter: Object|null, config: Object|null, error: string|null }>}
+ */
+export async function getCrmConnection(companyId) {
+  const company = await Company.findById(companyId).select('+integrations.crm.apiKey');
+  const config = company?.integrations?.crm || null;
+  const adapter = getCrmAdapter(config?.provider);
+  if (!adapter) {
+    return { adapter: null, config, error: 'No CRM connected. Ask an admin to connect one in Company Settings.' };
+  }
+  if (!adapter.isConfigured(config)) {
+    return { adapter, config, error: `${adapter.label} is not fully configured` };
+  }
+  return { adapter, config, error: null };
+}
+
+/**
+ * Queue a push of leads to the company's CRM; the worker runs it (processCrmSyncs)
+ * @param {ObjectId} companyId
+ * @param {ObjectId} userId - who asked for it
+ * @param {Object} connection - from getCrmConnection (without error)
+ * @param {Array} leads - Lead documents (caller checks access)
+ * @param {number} skipped - requested leads left out
+ * @returns {Promise<Object>} the CrmSync record
+ */
+export async function queueCrmPush(companyId, userId, { adapter }, leads, skipped = 0) {
+  const sync = await CrmSync.create({
+    companyId,
+    userId,
+    provider: adapter.key,
+    results: leads.map(lead => ({ leadId: lead._id, companyName: lead.companyName })),
+    skipped
+  });
+  console.log(`[CRM] Queued push ${sync._id}: ${leads.length} lead(s) to ${adapter.label} for company ${companyId}`);
+  return sync;
+}
+
+/**
+ * A push as shown to the client
+ */
+export function describeCrmSync(sync) {
+  const results = sync.results || [];
+  return {
+    id: sync._id,
+    provider: sync.provider,
+    status: sync.status,
+    total: results.length,
+    pushed: results.filter(r => r.status !== 'pending').length,
+    summary: sync.summary,
+    skipped: sync.skipped,
+    results,
+    error: sync.error,
+    createdAt: sync.createdAt,
+    finishedAt: sync.finishedAt
+  };
+}
+
+function summarize(results) {
+  const summary = { created: 0, updated: 0, partial: 0, failed: 0 };
+  for (const result of results) {
+    if (result.status === 'pending') continue;
+    if (result.status === 'failed') summary.failed++;
+    else if (result.contactErrors > 0) summary.partial++;
+    else summary[result.status]++;
+  }
+  return summary;
+}
+
+async function failCrmSync(sync, message) {
+  console.error(`[CRM] ❌ Push ${sync._id} failed: ${message}`);
+  const current = await CrmSync.findById(sync._id).select('results').lean();
+  await CrmSync.updateOne(
+    { _id: sync._id },
+    {
+      $set: {
+        status: 'failed',
+        error: message,
+        summary: summarize(current?.results || []),
+        finishedAt: new Date(),
+        leaseExpiresAt: null
+      }
+    }
+  );
+}
+
+/**
+ * Push every lead of a claimed sync that hasn't been pushed yet, recording each outcome as it lands
+ * A push picked up again after a crash carries on from the first pending lead.
+ */
+async function runCrmSync(sync) {
+  if (sync.attempts > CRM_SYNC_MAX_ATTEMPTS) {
+    return failCrmSync(sync, `Gave up after ${CRM_SYNC_MAX_ATTEMPTS} attempts`);
+  }
+  const { adapter, config, error } = await getCrmConnection(sync.companyId);
+  if (error) return failCrmSync(sync, error);
+  if (adapter.key !== sync.provider) {
+    return failCrmSync(sync, `The company's CRM changed to ${adapter.label} before the push ran`);
+  }
+
+  const pending = sync.results.filter(r => r.status === 'pending');
+  const leads = await Lead.find({ _id: { $in: pending.map(r => r.leadId) } });
+  const leadsById = new Map(leads.map(lead => [String(lead._id), lead]));
+  console.log(`[CRM] Pushing ${pending.length} lead(s) to ${adapter.label} for company ${sync.companyId} (push ${sync._id})`);
+
+  for (const item of pending) {
+    const lead = leadsById.get(String(item.leadId));
+    const outcome = lead
+      ? await pushLead(adapter, config, lead)
+      : { status: 'failed', error: 'Lead no longer exists', contactsPushed: 0, contactErrors: 0 };
+    await CrmSync.updateOne(
+      { _id: sync._id, 'results.leadId': item.leadId },
+      {
+        $set: {
+          'results.$.status': outcome.status,
+          'results.$.companyExternalId': outcome.companyExternalId || null,
+          'results.$.contactsPushed': outcome.contactsPushed || 0,
+          'results.$.contactErrors': outcome.contactErrors || 0,
+          'results.$.error': outcome.error || null,
+          leaseExpiresAt: new Date(Date.now() + CRM_SYNC_LEASE_MS)
+        }
+      }
+    );
+  }
+
+  const done = await CrmSync.findById(sync._id).select('results').lean();
+  const summary = summarize(done?.results || []);
+  await CrmSync.updateOne(
+    { _id: sync._id },
+    { $set: { status: 'completed', summary, finishedAt: new Date(), leaseExpiresAt: null } }
+  );
+  await Company.updateOne({ _id: sync.companyId }, { $set: { 'integrations.crm.lastSyncAt': new Date() } });
+  console.log(`[CRM] ✅ ${adapter.label}: ${summary.created} created, ${summary.updated} updated, ${summary.partial} partial, ${summary.failed} failed`);
+}
+
+/**
+ * Run queued pushes, and running ones whose worker stopped renewing its claim
+ * Each is claimed with a conditional update, so several workers can run this.
+ */
+export async function processCrmSyncs() {
+  if (syncing) return;
+  syncing = true;
+  try {
+    for (;;) {
+      const now = new Date();
+      const sync = await CrmSync.findOneAndUpdate(
+        { $or: [{ status: 'queued' }, { status: 'running', leaseExpiresAt: { $lt: now } }] },
+        {
+          $set: { status: 'running', startedAt: now, leaseExpiresAt: new Date(now.getTime() + CRM_SYNC_LEASE_MS) },
+          $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!sync) break;
+      try {
+        await runCrmSync(sync);
+      } catch (err) {
+        // Left running: it is picked up again once its claim lapses
+        console.error(`[CRM] ❌ Push ${sync._id} interrupted:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[CRM] ❌ Push check failed:', err.message);
+  } finally {
+    syncing = false;
+  }
+}
+
+export function startCrmSyncs() {
+  if (timer) return;
+  console.log(`[CRM] Running queued CRM pushes every ${CRM_SYNC_INTERVAL_MS / 1000}s`);
+  timer = setInterval(processCrmSyncs, CRM_SYNC_INTERVAL_MS);
+  processCrmSyncs();
+}
+
+export function stopCrmSyncs() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,221 @@
+import Company from '../models/Company.js';
+import Search from '../models/Search.js';
+import User from '../models/User.js';
+
+export const CUSTOM_FIELD_TYPES = Company.schema.path('customFields').schema.path('type').enumValues;
+export const MAX_CUSTOM_FIELDS = 30;
+// Each AI question is asked for every enriched lead, so keep the list short
+export const MAX_AI_QUESTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTIONS = 50;
+const MAX_TEXT_LENGTH = 500;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Field key derived from a label: "Number of branches" -> number_of_branches
+ */
+export function customFieldKey(label) {
+  const key = String(label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[_0-9]+|_+$/g, '')
+    .slice(0, 40);
+  return key || null;
+}
+
+/**
+ * Validate a company's full list of field definitions (replaces the existing list)
+ * Existing keys are kept so stored values stay attached when a field is renamed.
+ * @param {Array} definitions - [{ key?, label, type, options?, question? }]
+ * @returns {{ fields: Array, error: string|null }}
+ */
+export function validateCustomFieldDefinitions(definitions) {
+  if (!Array.isArray(definitions)) {
+    return { fields: [], error: 'fields must be an array' };
+  }
+  if (definitions.length > MAX_CUSTOM_FIELDS) {
+    return { fields: [], error: `A company can have at most ${MAX_CUSTOM_FIELDS} custom fields` };
+  }
+
+  const fields = [];
+  const keys = new Set();
+  for (const def of definitions) {
+    const label = String(def?.label || '').trim();
+    if (!label) {
+      return { fields: [], error: 'Every custom field needs a label' };
+    }
+    const key = def.key || customFieldKey(label);
+    if (!key || !KEY_PATTERN.test(key)) {
+      return { fields: [], error: `Invalid key for "${label}": use lowercase letters, numbers and underscores` };
+    }
+    if (keys.has(key)) {
+      return { fields: [], error: `Duplicate custom field "${key}"` };
+    }
+    if (!CUSTOM_FIELD_TYPES.includes(def.type)) {
+      return { fields: [], error: `"${label}" type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}` };
+    }
+
+    let options = [];
+    if (def.type === 'select' || def.type === 'multiselect') {
+      options = [...new Set((Array.isArray(def.options) ? def.options : [])
+        .map(o => String(o).trim())
+        .filter(Boolean))];
+      if (options.length === 0) {
+        return { fields: [], error: `"${label}" needs at least one allowed value` };
+      }
+      if (options.length > MAX_OPTIONS) {
+        return { fields: [], error: `"${label}" can have at most ${MAX_OPTIONS} allowed values` };
+      }
+    }
+
+    const question = def.question ? String(def.question).trim() : '';
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return { fields: [], error: `"${label}" question must be at most ${MAX_QUESTION_LENGTH} characters` };
+    }
+
+    keys.add(key);
+    fields.push({ key, label, type: def.type, options, question: question || null });
+  }
+  if (fields.filter(f => f.question).length > MAX_AI_QUESTIONS) {
+    return { fields: [], error: `A company can have at most ${MAX_AI_QUESTIONS} AI questions` };
+  }
+  return { fields, error: null };
+}
+
+/**
+ * Convert an incoming value to the field's type
+ * null/'' (or an empty multiselect) clears the value.
+ * @returns {{ value: *, error: string|null }}
+ */
+export function coerceCustomFieldValue(field, value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return { value: null, error: null };
+  }
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { value: null, error: `${field.label} must be at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text || null, error: null };
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        return { value: null, error: `${field.label} must be a number` };
+      }
+      return { value: number, error: null };
+    }
+    case 'boolean': {
+      if (value === true || value === 'true') return { value: true, error: null };
+      if (value === false || value === 'false') return { value: false, error: null };
+      return { value: null, error: `${field.label} must be true or false` };
+    }
+    case 'select': {
+      if (!field.options.includes(value)) {
+        return { value: null, error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value, error: null };
+    }
+    case 'multiselect': {
+      const values = Array.isArray(value) ? [...new Set(value)] : [value];
+      const invalid = values.filter(v => !field.options.includes(v));
+      if (invalid.length > 0) {
+        return { value: null, error: `${field.label} values must be from: ${field.options.join(', ')}` };
+      }
+      return { value: values, error: null };
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return { value: null, error: `${field.label} must be a date` };
+      }
+      return { value: date.toISOString().slice(0, 10), error: null };
+    }
+    default:
+      return { value: null, error: `Unknown field type ${field.type}` };
+  }
+}
+
+/**
+ * Mongo conditions for custom field filters from GET /api/leads
+ * `?cf[uses_shopify]=true`, `?cf[tier]=gold,silver` (any of), `?cf[branches][min]=3&cf[branches][max]=10`,
+ * `?cf[contract_end][max]=2025-12-31`, `?cf[notes]=franchise` (text contains). Unknown keys are ignored.
+ * AI-answered fields also take `minConfidence`: `?cf[offers_delivery][value]=true&cf[offers_delivery][minConfidence]=70`.
+ * @param {Array} fields - company field definitions
+ * @param {Object} filters - req.query.cf
+ * @returns {Object} conditions to merge into the lead query
+ */
+export function buildCustomFieldQuery(fields, filters) {
+  const query = {};
+  const confidence = [];
+  if (!filters || typeof filters !== 'object') return query;
+
+  for (const field of fields) {
+    const filter = filters[field.key];
+    if (filter === undefined || filter === '') continue;
+    const path = `customFields.${field.key}`;
+    const options = typeof filter === 'object' ? filter : { value: filter };
+
+    if (field.question && options.minConfidence !== undefined) {
+      const minConfidence = Number(options.minConfidence);
+      if (Number.isFinite(minConfidence)) {
+        confidence.push({ aiAttributes: { $elemMatch: { key: field.key, confidence: { $gte: minConfidence } } } });
+      }
+    }
+
+    if (field.type === 'number' || field.type === 'date') {
+      const range = options.value !== undefined ? { min: options.value, max: options.value } : options;
+      const condition = {};
+      for (const [bound, op] of [['min', '$gte'], ['max', '$lte']]) {
+        if (range[bound] === undefined || range[bound] === '') continue;
+        const { value, error } = coerceCustomFieldValue(field, range[bound]);
+        if (!error && value !== null) condition[op] = value;
+      }
+      if (Object.keys(condition).length > 0) query[path] = condition;
+    } else if (options.value === undefined || options.value === '') {
+      continue;
+    } else if (field.type === 'boolean') {
+      const { value, error } = coerceCustomFieldValue(field, options.value);
+      if (!error && value !== null) query[path] = value;
+    } else if (field.type === 'select' || field.type === 'multiselect') {
+      const values = String(options.value).split(',').map(v => v.trim()).filter(v => field.options.includes(v));
+      if (values.length > 0) query[path] = { $in: values };
+    } else {
+      const text = String(options.value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (text) query[path] = { $regex: text, $options: 'i' };
+    }
+  }
+  if (confidence.length > 0) query.$and = confidence;
+  return query;
+}
+
+/**
+ * A company's custom field definitions ([] when it has none)
+ */
+export async function getCompanyCustomFields(companyId) {
+  if (!companyId) return [];
+  const company = await Company.findById(companyId).select('customFields').lean();
+  return company?.customFields || [];
+}
+
+/**
+ * Company a lead belongs to: the company of the user who ran its search
+ */
+export async function getLeadCompanyId(lead) {
+  const search = await Search.findById(lead.searchId).select('userId').lean();
+  if (!search?.userId) return null;
+  const owner = await User.findById(search.userId).select('companyId').lean();
+  return owner?.companyId || null;
+}
+
+/**
+ * Display string for a stored value (exports)
+ */
+export function formatCustomFieldValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field.type === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join('; ');
+  return value;
+}
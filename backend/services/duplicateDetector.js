@@ -5,9 +5,19 @@ import { normalizeUrl } from '../utils/urlNormalizer.js';
  * Detect and mark duplicate leads
  * FIXED: Now checks within the same search AND other searches
  * Uses proper URL normalization and atomic operations to prevent race conditions
+ * @param {Object} options
+ * @param {Array} options.otherSearchIds - Limit the cross-search check to these searches
+ *   (e.g. earlier runs of a scheduled template) instead of every other search
+ * @param {Boolean} options.sameSearch - Set false to skip the within-search check
  */
-export async function detectDuplicates(newLead, searchId) {
+export async function detectDuplicates(newLead, searchId, options = {}) {
   try {
+    // Cross-search scope: every other search by default, or just the given ones
+    const otherSearchScope = Array.isArray(options.otherSearchIds)
+      ? { $in: options.otherSearchIds.filter(id => String(id) !== String(searchId)) }
+      : { $ne: searchId };
+    const checkSameSearch = options.sameSearch !== false;
+    
     // Fix: Google search links are unique per query - don't treat them as duplicates
     // Google search links (e.g., https://www.google.com/search?q=...) should be treated as unique
     // because each search query is different, even though they all normalize to "google.com"
@@ -29,7 +39,7 @@ export async function detectDuplicates(newLead, searchId) {
       
       // Fix: Use atomic operation to find and mark duplicate in one step
       // This prevents race conditions where two leads with same website are processed concurrently
-      const websiteDuplicate = await Lead.findOne({
+      const websiteDuplicate = checkSameSearch && await Lead.findOne({
         $or: [
           // Exact match
           { website: newLead.website },
@@ -55,7 +65,7 @@ export async function detectDuplicates(newLead, searchId) {
           { website: newLead.website },
           { website: { $regex: new RegExp(`^https?://(www\\.)?${domainPattern}`, 'i') } }
         ],
-        searchId: { $ne: searchId },
+        searchId: otherSearchScope,
         isDuplicate: false
       });
       
@@ -70,7 +80,7 @@ export async function detectDuplicates(newLead, searchId) {
     
     // Check for duplicates by company name (fuzzy match) - WITHIN SAME SEARCH
     if (newLead.companyName && newLead.companyName.length > 3) {
-      const nameDuplicate = await Lead.findOne({
+      const nameDuplicate = checkSameSearch && await Lead.findOne({
         companyName: { $regex: new RegExp(newLead.companyName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
         searchId: searchId, // Check within same search
         isDuplicate: false,
@@ -96,7 +106,7 @@ export async function detectDuplicates(newLead, searchId) {
       // Also check other searches
       const nameDuplicateOther = await Lead.findOne({
         companyName: { $regex: new RegExp(newLead.companyName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
-        searchId: { $ne: searchId },
+        searchId: otherSearchScope,
         isDuplicate: false,
         _id: { $ne: newLead._id }
       });
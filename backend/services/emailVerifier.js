@@ -1,8 +1,10 @@
 /**
  * Email verification and deliverability scoring service
- * Provides free syntax validation and optional paid API integration
+ * Provides free syntax validation, an optional SMTP mailbox probe and optional paid API integration
  */
 
+import { verifyEmailSMTP } from '../utils/emailVerification.js';
+
 /**
  * Validate email syntax (FREE - no API costs)
  * @param {String} email - Email address to validate
@@ -229,7 +231,7 @@ async function verifyEmailWithAPI(email) {
         valid = false;
         break;
       case 'catchall':
-        status = 'risky';
+        status = 'catch_all';
         score = 60;
         valid = true; // Catchall can be valid, but risky
         break;
@@ -256,14 +258,39 @@ async function verifyEmailWithAPI(email) {
   }
 }
 
+/**
+ * Verify email with an SMTP RCPT TO probe (free, but needs outbound port 25)
+ * Falls back to the syntax result when the probe can't tell (greylisted, blocked, timeout)
+ * @param {String} email - Email address to verify
+ * @returns {Promise<Object>} Verification result
+ */
+async function verifyEmailWithSMTP(email) {
+  const syntax = validateEmailSyntax(email);
+  // Malformed addresses aren't worth a connection
+  if (syntax.score === 0) return syntax;
+
+  const smtp = await verifyEmailSMTP(email);
+  switch (smtp.status) {
+    case 'valid':
+      return { valid: true, score: 95, status: 'valid', reason: smtp.reason, method: 'smtp' };
+    case 'invalid':
+      return { valid: false, score: 0, status: 'invalid', reason: smtp.reason, method: 'smtp' };
+    case 'catch_all':
+      return { valid: true, score: 60, status: 'catch_all', reason: smtp.reason, method: 'smtp' };
+    default:
+      return { ...syntax, reason: `${syntax.reason} (SMTP: ${smtp.reason})` };
+  }
+}
+
 /**
  * Verify a single email address
- * Uses free syntax validation by default, optional API for production
+ * Uses free syntax validation by default; the paid API takes precedence over the SMTP probe
  * @param {String} email - Email address to verify
  * @param {Boolean} useAPI - Whether to use paid API (default: false, uses syntax validation)
+ * @param {Boolean} useSMTP - Whether to probe the mail server (default: false)
  * @returns {Promise<Object>} Verification result with deliverability score
  */
-export async function verifyEmail(email, useAPI = false) {
+export async function verifyEmail(email, useAPI = false, useSMTP = false) {
   if (!email || typeof email !== 'string') {
     return {
       valid: false,
@@ -276,9 +303,14 @@ export async function verifyEmail(email, useAPI = false) {
   }
 
   try {
-    const result = useAPI 
-      ? await verifyEmailWithAPI(email)
-      : validateEmailSyntax(email);
+    let result;
+    if (useAPI) {
+      result = await verifyEmailWithAPI(email);
+    } else if (useSMTP) {
+      result = await verifyEmailWithSMTP(email);
+    } else {
+      result = validateEmailSyntax(email);
+    }
 
     return {
       ...result,
@@ -302,9 +334,10 @@ export async function verifyEmail(email, useAPI = false) {
  * Verify multiple email addresses
  * @param {Array} emails - Array of email objects or strings
  * @param {Boolean} useAPI - Whether to use paid API
+ * @param {Boolean} useSMTP - Whether to probe the mail server
  * @returns {Promise<Array>} Array of verified emails with deliverability data
  */
-export async function verifyEmails(emails, useAPI = false) {
+export async function verifyEmails(emails, useAPI = false, useSMTP = false) {
   if (!Array.isArray(emails) || emails.length === 0) {
     return [];
   }
@@ -315,7 +348,7 @@ export async function verifyEmails(emails, useAPI = false) {
       const email = typeof emailObj === 'string' ? emailObj : emailObj.email;
       if (!email) return null;
 
-      const verification = await verifyEmail(email, useAPI);
+      const verification = await verifyEmail(email, useAPI, useSMTP);
       
       // Return email object with deliverability data
       if (typeof emailObj === 'string') {
@@ -14,8 +14,10 @@ const openai = new OpenAI({
 
 /**
  * Enrich lead data with AI predictions
+ * @param {Object} leadData
+ * @param {Object} options - { linkedinContacts: false skips the LinkedIn contacts step (plan feature) }
  */
-export async function enrichLead(leadData) {
+export async function enrichLead(leadData, { linkedinContacts: withLinkedInContacts = true } = {}) {
   try {
     // Check if OpenAI API key is configured
     if (!process.env.OPENAI_API_KEY) {
@@ -117,29 +119,33 @@ export async function enrichLead(leadData) {
     let employeeCountRange = null;
     let foundedYear = null;
     
-    try {
-      console.log('[ENRICH] Enriching LinkedIn contacts...');
-      linkedinContacts = await enrichLinkedInContacts({
-        companyName: leadData.companyName,
-        website: leadData.website,
-        aboutText: leadData.aboutText,
-        socials: leadData.socials,
-        decisionMakers: leadData.decisionMakers || [], // Pass extracted decision makers
-        enrichment: {
-          industry: enrichment.industry,
-          companySize: enrichment.companySize
-        }
-      });
-      console.log(`[ENRICH] ✅ Found ${linkedinContacts.contacts?.length || 0} suggested contacts`);
+    if (!withLinkedInContacts) {
+      console.log('[ENRICH] Skipping LinkedIn contacts (not included in the company plan)');
+    } else {
+      try {
+        console.log('[ENRICH] Enriching LinkedIn contacts...');
+        linkedinContacts = await enrichLinkedInContacts({
+          companyName: leadData.companyName,
+          website: leadData.website,
+          aboutText: leadData.aboutText,
+          socials: leadData.socials,
+          decisionMakers: leadData.decisionMakers || [], // Pass extracted decision makers
+          enrichment: {
+            industry: enrichment.industry,
+            companySize: enrichment.companySize
+          }
+        });
+        console.log(`[ENRICH] ✅ Found ${linkedinContacts.contacts?.length || 0} suggested contacts`);
       
-      // Extract employee count and founded year from LinkedIn data
-      if (linkedinContacts) {
-        employeeCount = linkedinContacts.employeeCount || null;
-        employeeCountRange = linkedinContacts.employeeCountRange || null;
-        foundedYear = linkedinContacts.foundedYear || null;
+        // Extract employee count and founded year from LinkedIn data
+        if (linkedinContacts) {
+          employeeCount = linkedinContacts.employeeCount || null;
+          employeeCountRange = linkedinContacts.employeeCountRange || null;
+          foundedYear = linkedinContacts.foundedYear || null;
+        }
+      } catch (linkedinError) {
+        console.log(`[ENRICH] ⚠️  LinkedIn enrichment failed: ${linkedinError.message}`);
       }
-    } catch (linkedinError) {
-      console.log(`[ENRICH] ⚠️  LinkedIn enrichment failed: ${linkedinError.message}`);
     }
     
     // Try to get employee count - first from LinkedIn, then estimate from company size
@@ -423,6 +429,84 @@ IMPORTANT for emailPattern:
 - If you cannot determine a pattern, return null`;
 }
 
+/**
+ * Answer a company's custom questions about a lead from its scraped website text
+ * @param {Object} leadData - { companyName, website, aboutText, pageText, categorySignals }
+ * @param {Array} fields - custom fields with a question: [{ key, label, type, options, question }]
+ * @returns {Promise<Object>} key -> { answer, evidence, confidence } (answer null when the text doesn't say)
+ */
+export async function answerLeadQuestions(leadData, fields) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.');
+  }
+  
+  const response = await openai.chat.completions.create({
+    model: 'gpt-4o-mini',
+    messages: [
+      {
+        role: 'system',
+        content: 'You answer questions about a business using only the website text provided. Quote the supporting text as evidence. If the text does not answer a question, return null rather than guessing. Return JSON only.'
+      },
+      {
+        role: 'user',
+        content: buildQuestionPrompt(leadData, fields)
+      }
+    ],
+    response_format: { type: 'json_object' },
+    temperature: 0
+  });
+  
+  const parsed = JSON.parse(response.choices[0].message.content);
+  const answers = {};
+  for (const field of fields) {
+    const item = parsed?.[field.key];
+    if (!item || typeof item !== 'object') continue;
+    answers[field.key] = {
+      answer: item.answer ?? null,
+      evidence: typeof item.evidence === 'string' ? item.evidence.slice(0, 300) : null,
+      confidence: Math.max(0, Math.min(100, Math.round(Number(item.confidence) || 0)))
+    };
+  }
+  return answers;
+}
+
+/**
+ * Build custom question prompt
+ */
+function buildQuestionPrompt(leadData, fields) {
+  const answerFormats = {
+    text: 'short text',
+    number: 'a number',
+    boolean: 'true or false',
+    select: 'exactly one of the options',
+    multiselect: 'an array of options',
+    date: 'a date as YYYY-MM-DD'
+  };
+  const questions = fields.map(field => {
+    const options = field.options?.length ? ` Options: ${field.options.join(' | ')}.` : '';
+    return `- "${field.key}": ${field.question} (answer: ${answerFormats[field.type]}.${options})`;
+  }).join('\n');
+  
+  return `Company: ${leadData.companyName || 'Unknown'}
+Website: ${leadData.website || 'Not provided'}
+Categories: ${(leadData.categorySignals || []).join(', ') || 'None'}
+About: ${leadData.aboutText || 'N/A'}
+Homepage text:
+${(leadData.pageText || 'N/A').slice(0, 6000)}
+
+Questions:
+${questions}
+
+Provide a JSON response with one entry per question key:
+{
+  "<key>": {
+    "answer": answer in the requested format, or null if the text does not say,
+    "evidence": "short quote from the text that supports the answer, or null",
+    "confidence": 0-100 how sure you are, based on how directly the text answers it
+  }
+}`;
+}
+
 /**
  * Generate outreach lines
  */
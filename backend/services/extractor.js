@@ -248,6 +248,9 @@ export async function extractContactInfo(url, defaultCountry = null) {
     const aboutText = extractAboutText($);
     console.log(`[EXTRACT] About text: ${aboutText ? `${aboutText.substring(0, 50)}...` : 'not found'}`);
     
+    // Visible page text (for AI questions about the company)
+    const pageText = extractPageText($);
+    
     // Extract category signals
     const categorySignals = extractCategorySignals($);
     console.log(`[EXTRACT] Found ${categorySignals.length} category signals`);
@@ -626,6 +629,7 @@ export async function extractContactInfo(url, defaultCountry = null) {
       socials,
       address,
       aboutText,
+      pageText,
       categorySignals,
       decisionMakers
     };
@@ -645,6 +649,7 @@ export async function extractContactInfo(url, defaultCountry = null) {
       socials: {},
       address: null,
       aboutText: null,
+      pageText: null,
       categorySignals: [],
       decisionMakers: []
     };
@@ -1687,6 +1692,16 @@ function extractAboutText($) {
   return null;
 }
 
+/**
+ * Extract visible page text (scripts, styles and navigation removed), capped at 8000 characters
+ */
+function extractPageText($) {
+  const body = $('body').clone();
+  body.find('script, style, noscript, svg, iframe, nav, header, footer').remove();
+  const text = body.text().replace(/\s+/g, ' ').trim();
+  return text ? text.substring(0, 8000) : null;
+}
+
 /**
  * Extract category/business type signals
  */
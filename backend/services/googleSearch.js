@@ -1,5 +1,6 @@
-// Cost-optimal search: Overpass (free) → SearxNG (free, optional) → OpenStreetMap (free) → Bing (free) → Google Places API (paid, only when needed)
-import { searchDuckDuckGo, searchBing, searchGooglePlaces, searchOpenStreetMap, searchOverpass, searchSearxng } from './searchProviders.js';
+// Cost-optimal search: free providers first, paid (Google Places) only when needed
+// Provider capabilities, health and ordering live in providerRegistry.js
+import { selectProviders, runProvider } from './providerRegistry.js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 dotenv.config();
@@ -202,7 +203,10 @@ function detectConcept(query) {
   return null;
 }
 
-async function buildAdaptiveExpansions(query, country, maxVariants = 8) {
+/**
+ * Search terms for a query: LLM variants, ontology labels and plain-text forms (cached)
+ */
+export async function buildAdaptiveExpansions(query, country, maxVariants = 8) {
   const cacheKey = `${normalizeStr(query)}|${getLocale(country)}`;
   const hit = EXPANSION_CACHE.get(cacheKey);
   if (hit && Date.now() < hit.expiresAt) return hit.expansions;
@@ -304,10 +308,17 @@ Examples:
 }
 
 /**
- * Fetch search results - Cost-optimal: OpenStreetMap (free) → Bing (free) → Google Places API (paid, only when needed)
- * For digital businesses, prioritizes web search APIs (Bing, Google Custom Search) over location-based APIs
+ * Fetch search results through the provider registry
+ * Primary providers run in parallel, supplements run one at a time while results are short,
+ * and paid fallbacks (Places) only run when the free sources miss the location.
+ * Providers are ordered and timed by their recorded health (see providerRegistry.js).
+ * For digital businesses, web search APIs (Bing, Google Custom Search) are promoted to primary.
+ * @param {Object} options
+ * @param {string[]} options.disabledProviders - Company-level opt-outs
+ * @param {string[]} options.expansionTerms - Terms to use instead of expanding the query (lookalike searches)
+ * @returns {Promise<{ results: Array, telemetry: Object, reasonShortfall: string, runs: Array, expansionTerms: string[] }>}
  */
-export async function fetchGoogleResults(query, country = null, location = null, maxResults = 50) {
+export async function fetchGoogleResults(query, country = null, location = null, maxResults = 50, options = {}) {
   console.log(`[SEARCH] Starting: "${query}", Country: ${country || 'none'}, Location: ${location || 'none'}, Max: ${maxResults}`);
   
   // Dynamically detect if this is a digital/software business query using LLM
@@ -317,342 +328,130 @@ export async function fetchGoogleResults(query, country = null, location = null,
   }
   
   const minResults = Math.min(20, Math.floor(maxResults * 0.4));
-  let overpassResults = [];
-  let searxResults = [];
-  let osmResults = [];
-  let bingResults = [];
-  let placesResults = [];
-  let ddgSupplement = [];
-  let customSearchResults = [];
-
-  // Step 1: Kick off Overpass + SearxNG + OSM in parallel with strict timeouts
-  const withTimeout = (p, label, ms = 15000) => Promise.race([
-    p,
-    new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms))
-  ]);
-  console.log('[SEARCH] 🚀 Starting free providers in parallel (hard cutoffs)...');
-  // Use adaptive expansions
-  const overpassTerms = await buildAdaptiveExpansions(query, country, 8);
-  const osmTerms = overpassTerms;
-  const overpassPromise = (async () => {
-    try {
-      console.log('[SEARCH] 🗺️ Overpass (parallel)...');
-      const seen = new Set();
-      const acc = [];
-      for (const term of overpassTerms) {
-        const chunk = await withTimeout(searchOverpass(term, country, location, maxResults), 'Overpass', 12000);
-        for (const r of (chunk || [])) {
-          if (r.link && !seen.has(r.link)) { seen.add(r.link); acc.push(r); }
-        }
-        if (acc.length >= maxResults) break;
-      }
-      console.log(`[SEARCH] Overpass done: ${acc.length}`);
-      return acc;
-    } catch (e) {
-      console.log(`[SEARCH] ⚠️  Overpass skipped: ${e.message}`);
-      return [];
-    }
-  })();
-  const searxPromise = (async () => {
-    try {
-      if (process.env.SEARXNG_URL || process.env.SEARXNG_URLS) {
-        console.log('[SEARCH] 🧭 SearxNG (parallel)...');
-        const res = await withTimeout(searchSearxng(query, country, location, maxResults), 'SearxNG', 12000);
-        console.log(`[SEARCH] SearxNG done: ${res?.length || 0}`);
-        return res || [];
-      }
-      console.log('[SEARCH] 💡 SearxNG not configured');
-      return [];
-    } catch (e) {
-      console.log(`[SEARCH] ⚠️  SearxNG skipped: ${e.message}`);
-      return [];
-    }
-  })();
-  const osmPromise = (async () => {
-    try {
-      console.log('[SEARCH] 🌍 OpenStreetMap (parallel)...');
-      const seen = new Set();
-      const acc = [];
-      // Pass all LLM-generated terms to each search for better dynamic matching
-      for (const term of osmTerms) {
-        const chunk = await withTimeout(searchOpenStreetMap(term, country, location, maxResults, osmTerms), 'OpenStreetMap', 12000);
-        for (const r of (chunk || [])) {
-          if (r.link && !seen.has(r.link)) { seen.add(r.link); acc.push(r); }
-        }
-        if (acc.length >= maxResults) break;
-      }
-      console.log(`[SEARCH] OpenStreetMap done: ${acc.length}`);
-      return acc;
-    } catch (e) {
-      console.log(`[SEARCH] ⚠️  OpenStreetMap skipped: ${e.message}`);
-      return [];
-    }
-  })();
-  // For digital businesses, prioritize web search APIs (Bing, Google Custom Search) early
-  // For physical businesses, try location-based APIs first
-  if (isDigital) {
-    // Digital businesses: Try Bing and Google Custom Search early (in parallel with location APIs)
-    const bingPromise = (async () => {
-      try {
-        if (process.env.BING_API_KEY) {
-          console.log('[SEARCH] 🔍 Bing Search API (prioritized for digital businesses)...');
-          return await withTimeout(searchBing(query, country, location, maxResults), 'Bing', 15000);
-        } else {
-          console.log('[SEARCH] ⚠️  Bing API key missing (CRITICAL for digital businesses)');
-          console.log('[SEARCH] 💡 Get free key: https://www.microsoft.com/en-us/bing/apis/bing-web-search-api');
-          console.log('[SEARCH] 💡 Add to .env: BING_API_KEY=your_key');
-        }
-        return [];
-      } catch (e) {
-        console.log(`[SEARCH] ⚠️  Bing failed: ${e.message}`);
-        return [];
-      }
-    })();
-    
-    const customSearchPromise = (async () => {
-      try {
-        if (process.env.GOOGLE_CSE_ID && process.env.GOOGLE_API_KEY) {
-          const { searchGoogleCustomSearch } = await import('./searchProviders.js');
-          console.log('[SEARCH] 🔍 Google Custom Search (prioritized for digital businesses)...');
-          return await withTimeout(searchGoogleCustomSearch(query, country, location, maxResults), 'Google Custom Search', 15000);
-        }
-        return [];
-      } catch (e) {
-        console.log(`[SEARCH] ⚠️  Google Custom Search failed: ${e.message}`);
-        return [];
-      }
-    })();
-    
-    // Wait for web search APIs and location APIs in parallel
-    const [ovr, sx, osm, bing, custom] = await Promise.allSettled([
-      overpassPromise, 
-      searxPromise, 
-      osmPromise,
-      bingPromise,
-      customSearchPromise
-    ]);
-    overpassResults = ovr.status === 'fulfilled' ? (ovr.value || []) : [];
-    searxResults = sx.status === 'fulfilled' ? (sx.value || []) : [];
-    osmResults = osm.status === 'fulfilled' ? (osm.value || []) : [];
-    bingResults = bing.status === 'fulfilled' ? (bing.value || []) : [];
-    customSearchResults = custom.status === 'fulfilled' ? (custom.value || []) : [];
-  } else {
-    // Physical businesses: Try location APIs first, then web search APIs
-    const [ovr, sx, osm] = await Promise.allSettled([overpassPromise, searxPromise, osmPromise]);
-    overpassResults = ovr.status === 'fulfilled' ? (ovr.value || []) : [];
-    searxResults = sx.status === 'fulfilled' ? (sx.value || []) : [];
-    osmResults = osm.status === 'fulfilled' ? (osm.value || []) : [];
-    
-    // Try Bing as supplement for physical businesses
-    try {
-      if (process.env.BING_API_KEY) {
-        console.log('[SEARCH] 🔍 Bing Search API (free supplement)...');
-        bingResults = await searchBing(query, country, location, maxResults);
-      } else {
-        console.log('[SEARCH] 💡 Bing API key not set (3,000 free/month)');
-      }
-    } catch (bingError) {
-      console.log(`[SEARCH] ⚠️  Bing failed: ${bingError.message}`);
+  const plan = await selectProviders({ isDigital, country, disabledProviders: options.disabledProviders });
+  const runs = [...plan.skipped.map(s => ({ provider: s.provider, ran: false, terms: [], resultCount: 0, latencyMs: 0, timedOut: false, error: null, skippedReason: s.skippedReason }))];
+  const resultsByProvider = {};
+  const ctxBase = { query, country, location, maxResults };
+  
+  for (const s of plan.skipped) {
+    if (s.skippedReason !== 'not_applicable' && s.skippedReason !== 'not_configured') {
+      console.log(`[SEARCH] 💡 ${s.provider} skipped (${s.skippedReason})`);
     }
   }
   
-  const freeEarly = (overpassResults?.length || 0) + (searxResults?.length || 0) + (osmResults?.length || 0) + (bingResults?.length || 0) + (customSearchResults?.length || 0);
-  console.log(`[SEARCH] Free results after parallel stage: ${freeEarly}`);
+  const record = ({ results, run }) => {
+    resultsByProvider[run.provider] = results;
+    runs.push(run);
+  };
+  const total = () => Object.values(resultsByProvider).reduce((sum, r) => sum + r.length, 0);
+  const counts = () => Object.fromEntries(Object.entries(resultsByProvider).map(([k, r]) => [k, r.length]));
   
-  // Step 5: Google Places API (PAID, use when OSM returns 0 location-specific results)
-  const freeResultsCount = (overpassResults?.length || 0) + (searxResults?.length || 0) + (osmResults?.length || 0) + (bingResults?.length || 0) + (customSearchResults?.length || 0);
-  const osmResultsCount = osmResults?.length || 0;
+  // Step 1: Primary providers in parallel with hard cutoffs
+  // Use adaptive expansions for the providers that search term by term
+  const expansionTerms = options.expansionTerms?.length
+    ? options.expansionTerms
+    : await buildAdaptiveExpansions(query, country, 8);
+  console.log(`[SEARCH] 🚀 Starting primary providers in parallel: ${plan.primary.map(p => p.label).join(', ') || 'none'}`);
+  const primaryOutcomes = await Promise.all(
+    plan.primary.map(p => runProvider(p.key, { ...ctxBase, terms: expansionTerms }))
+  );
+  primaryOutcomes.forEach(record);
   
-  // Use Google Places API as fallback when:
-  // 1. OSM returns 0 location-specific results (OSM is our primary location-based source)
-  // 2. OR all free methods completely failed (0 results total)
-  // This ensures we get location-specific results when OSM can't find any
-  const shouldUsePlaces = (location && osmResultsCount === 0) || (freeResultsCount === 0);
+  const freeEarly = total();
+  console.log(`[SEARCH] Results after parallel stage: ${freeEarly}`);
   
-  if (process.env.GOOGLE_PLACES_API_KEY && shouldUsePlaces) {
-    try {
-      if (location && osmResultsCount === 0) {
-        console.log(`[SEARCH] 📍 Google Places API (fallback - OSM returned 0 location-specific results for "${location}")...`);
-      } else {
-        console.log(`[SEARCH] 📍 Google Places API (last resort - all free methods returned 0 results)...`);
-      }
-      // Limit Places API usage: only request what we need, cap at 20 to reduce API calls
-      const placesMaxResults = Math.min(maxResults, 20);
-      placesResults = await searchGooglePlaces(query, country, location, placesMaxResults);
-      console.log(`[SEARCH] ✅ Google Places API: ${placesResults?.length || 0} results`);
-    } catch (placesApiError) {
-      console.log(`[SEARCH] ⚠️  Google Places API failed: ${placesApiError.message}`);
+  // Step 2: Supplements, best-scoring first, while we are still short
+  for (const p of plan.supplement) {
+    const have = total();
+    const target = p.supplementWhen === 'belowMax' ? maxResults : minResults;
+    if (have >= target) {
+      runs.push({ provider: p.key, ran: false, terms: [], resultCount: 0, latencyMs: 0, timedOut: false, error: null, skippedReason: 'enough_results' });
+      continue;
     }
-  } else if (process.env.GOOGLE_PLACES_API_KEY && !shouldUsePlaces) {
-    console.log(`[SEARCH] 💰 Skipping Google Places API (cost-saving: ${freeResultsCount} free results found, OSM: ${osmResultsCount} location-specific)`);
-  } else if (!process.env.GOOGLE_PLACES_API_KEY) {
-    console.log('[SEARCH] 💡 Google Places API key not set. Add GOOGLE_PLACES_API_KEY to .env for paid option ($200 free/month)');
+    console.log(`[SEARCH] ➕ ${p.label} supplement (have ${have}, want ${target})...`);
+    record(await runProvider(p.key, { ...ctxBase, terms: expansionTerms }));
   }
   
-  // If we still have fewer than minResults, try DuckDuckGo as a supplement (not only last resort)
-  if (freeResultsCount < minResults) {
-    try {
-      console.log(`[SEARCH] 🦆 DuckDuckGo supplement (need at least ${minResults}, have ${freeResultsCount})...`);
-      ddgSupplement = await searchDuckDuckGo(query, country, location, maxResults);
-    } catch (e) {
-      console.log(`[SEARCH] ⚠️  DuckDuckGo supplement failed: ${e.message}`);
+  // Step 3: Paid fallbacks, only when the free sources missed
+  for (const p of plan.fallback) {
+    if (p.shouldRun && !p.shouldRun({ location, counts: counts(), total: total() })) {
+      console.log(`[SEARCH] 💰 Skipping ${p.label} (cost-saving: ${total()} free results found, OSM: ${counts().osm || 0} location-specific)`);
+      runs.push({ provider: p.key, ran: false, terms: [], resultCount: 0, latencyMs: 0, timedOut: false, error: null, skippedReason: 'not_needed' });
+      continue;
     }
+    console.log(`[SEARCH] 📍 ${p.label} (fallback)...`);
+    record(await runProvider(p.key, { ...ctxBase, terms: expansionTerms }));
   }
-
-  // Combine results: FREE sources first, then paid
+  
+  // Combine results: cheapest and healthiest providers first (the plan is already ordered that way)
   const allResults = [];
   const seenUrls = new Set();
-  
-  // Add Overpass (FREE)
-  if (overpassResults?.length > 0) {
-    overpassResults.forEach(result => {
-      if (result.link && !seenUrls.has(result.link)) {
-        seenUrls.add(result.link);
-        allResults.push(result);
-      }
-    });
-  }
-
-  // Add SearxNG (FREE)
-  if (searxResults?.length > 0) {
-    searxResults.forEach(result => {
-      if (result.link && !seenUrls.has(result.link)) {
-        seenUrls.add(result.link);
-        allResults.push(result);
-      }
-    });
-  }
-
-  // Add OSM (FREE)
-  if (osmResults?.length > 0) {
-    osmResults.forEach(result => {
+  for (const p of [...plan.primary, ...plan.supplement, ...plan.fallback]) {
+    for (const result of (resultsByProvider[p.key] || [])) {
       if (result.link && !seenUrls.has(result.link)) {
         seenUrls.add(result.link);
         allResults.push(result);
       }
-    });
-  }
-  // Add DuckDuckGo supplement
-  if (ddgSupplement?.length > 0) {
-    ddgSupplement.forEach(result => {
-      if (result.link && !seenUrls.has(result.link)) {
-        seenUrls.add(result.link);
-        allResults.push(result);
-      }
-    });
-  }
-  
-  // Add Bing (FREE)
-  if (bingResults?.length > 0) {
-    bingResults.forEach(result => {
-      if (result.link && !seenUrls.has(result.link)) {
-        seenUrls.add(result.link);
-        allResults.push(result);
-      }
-    });
-  }
-  
-  // Add Google Custom Search (FREE tier: 100 queries/day) - for digital businesses
-  if (customSearchResults?.length > 0) {
-    customSearchResults.forEach(result => {
-      if (result.link && !seenUrls.has(result.link)) {
-        seenUrls.add(result.link);
-        allResults.push(result);
-      }
-    });
+    }
   }
   
-  // Add Google Places (PAID)
-  if (placesResults?.length > 0) {
-    placesResults.forEach(result => {
-      if (result.link && !seenUrls.has(result.link)) {
-        seenUrls.add(result.link);
-        allResults.push(result);
-      }
-    });
-  }
+  // Provider telemetry (result counts per provider) and shortfall reason
+  const telemetry = {
+    overpass: resultsByProvider.overpass?.length || 0,
+    searxng: resultsByProvider.searxng?.length || 0,
+    osm: resultsByProvider.osm?.length || 0,
+    bing: resultsByProvider.bing?.length || 0,
+    customSearch: resultsByProvider.customSearch?.length || 0,
+    ddg: resultsByProvider.ddg?.length || 0,
+    places: resultsByProvider.places?.length || 0
+  };
   
   if (allResults.length > 0) {
     const finalResults = allResults.slice(0, maxResults);
-    const freeCount = (overpassResults?.length || 0) + (searxResults?.length || 0) + (osmResults?.length || 0) + (bingResults?.length || 0) + (customSearchResults?.length || 0) + (ddgSupplement?.length || 0);
-    const paidCount = placesResults?.length || 0;
-    console.log(`[SEARCH] ✅ Combined: ${freeCount} FREE (${overpassResults?.length || 0} Overpass + ${searxResults?.length || 0} SearxNG + ${osmResults?.length || 0} OSM + ${bingResults?.length || 0} Bing + ${customSearchResults?.length || 0} Custom Search + ${ddgSupplement?.length || 0} DDG) + ${paidCount} PAID = ${finalResults.length} total`);
-    // Build provider telemetry and shortfall reason
-    const telemetry = {
-      overpass: overpassResults?.length || 0,
-      searxng: searxResults?.length || 0,
-      osm: osmResults?.length || 0,
-      bing: bingResults?.length || 0,
-      customSearch: customSearchResults?.length || 0,
-      ddg: ddgSupplement?.length || 0,
-      places: placesResults?.length || 0
-    };
-    const reasons = [];
-    if (!process.env.BING_API_KEY) reasons.push('Bing API key missing');
-    if (!process.env.GOOGLE_PLACES_API_KEY) reasons.push('Places disabled');
-    if ((ddgSupplement?.length || 0) === 0 && freeCount < minResults) reasons.push('DuckDuckGo rate-limited/blocked');
-    if ((overpassResults?.length || 0) === 0) reasons.push('Overpass timed out or no results');
-    const reasonShortfall = finalResults.length < maxResults ? reasons.join('; ') : '';
-    return { results: finalResults, telemetry, reasonShortfall };
-  }
-  
-  // If we have Google Places results but they weren't combined (shouldn't happen, but safety check)
-  if (placesResults && placesResults.length > 0) {
-    console.log(`[SEARCH] ✅ Using Google Places API results: ${placesResults.length} results`);
-    return { results: placesResults.slice(0, maxResults), telemetry: { overpass: 0, searxng: 0, osm: 0, bing: 0, ddg: 0, places: placesResults.length }, reasonShortfall: '' };
+    console.log(`[SEARCH] ✅ Combined: ${Object.entries(telemetry).filter(([, n]) => n > 0).map(([k, n]) => `${n} ${k}`).join(' + ')} = ${finalResults.length} total`);
+    const reasonShortfall = finalResults.length < maxResults ? buildShortfallReasons(runs, telemetry, minResults) : '';
+    return { results: finalResults, telemetry, reasonShortfall, runs, expansionTerms };
   }
   
   // Try 4: DuckDuckGo (completely free, no API key needed) - LAST RESORT
   // ⚠️  WARNING: Gets rate limited frequently (HTTP 202)
-  // Retry with exponential backoff if rate limited
+  // Retry with backoff if rate limited
+  const ddgAllowed = !plan.skipped.some(s => s.provider === 'ddg' && s.skippedReason === 'disabled');
   let ddgRetries = 0;
   const maxDdgRetries = 3;
-  while (ddgRetries < maxDdgRetries) {
-    try {
-      console.log(`[SEARCH] 🦆 Trying DuckDuckGo${ddgRetries > 0 ? ` (retry ${ddgRetries}/${maxDdgRetries})` : ''}...`);
-      const results = await searchDuckDuckGo(query, country, location, maxResults);
-      if (results && results.length > 0) {
-        console.log(`[SEARCH] ✅ DuckDuckGo found ${results.length} results`);
-        return results;
-      }
-      break; // If we got results (even if empty), don't retry
-    } catch (ddgError) {
+  while (ddgAllowed && ddgRetries < maxDdgRetries) {
+    console.log(`[SEARCH] 🦆 Trying DuckDuckGo${ddgRetries > 0 ? ` (retry ${ddgRetries}/${maxDdgRetries})` : ''}...`);
+    const outcome = await runProvider('ddg', ctxBase);
+    runs.push(outcome.run);
+    if (outcome.results.length > 0) {
+      console.log(`[SEARCH] ✅ DuckDuckGo found ${outcome.results.length} results`);
+      telemetry.ddg = outcome.results.length;
+      return { results: outcome.results.slice(0, maxResults), telemetry, reasonShortfall: 'Used DuckDuckGo last-resort fallback', runs, expansionTerms };
+    }
+    const error = outcome.run.error || '';
+    if (outcome.run.ran && (error.includes('202') || error.includes('Rate limited'))) {
       ddgRetries++;
-      if (ddgError.message.includes('202') || ddgError.message.includes('Rate limited')) {
-        if (ddgRetries < maxDdgRetries) {
-          const waitTime = ddgRetries * 30000; // 30s, 60s, 90s (longer delays)
-          console.log(`[SEARCH] ⚠️  DuckDuckGo rate limited, waiting ${waitTime/1000}s before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          continue; // Retry
-        }
+      if (ddgRetries < maxDdgRetries) {
+        const waitTime = ddgRetries * 30000; // 30s, 60s (longer delays)
+        console.log(`[SEARCH] ⚠️  DuckDuckGo rate limited, waiting ${waitTime/1000}s before retry...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+        continue; // Retry
       }
-      console.log(`[SEARCH] ⚠️  DuckDuckGo failed: ${ddgError.message}`);
-      break; // Don't retry for other errors
     }
+    break; // Empty results or other errors - don't retry
   }
   
   // All methods failed - try one more time with a simplified query
-  // Sometimes OSM/DuckDuckGo work better with simplified queries
-  if (freeEarly === 0 && !placesResults.length && !ddgSupplement.length) {
-    console.log(`[SEARCH] ⚠️  All methods failed. Trying simplified query as last resort...`);
-    try {
-      // Simplify query: remove location-specific terms, just use base query + location
-      const simplifiedQuery = query.split(' ').slice(0, 2).join(' '); // Take first 2 words
-      console.log(`[SEARCH] 🔄 Retrying with simplified query: "${simplifiedQuery}"`);
-      
-      // Try OSM one more time with simplified query
-      const simplifiedOsm = await Promise.race([
-        searchOpenStreetMap(simplifiedQuery, country, location, Math.min(20, maxResults)),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('OSM timeout')), 10000))
-      ]).catch(() => []);
-      
-      if (simplifiedOsm && simplifiedOsm.length > 0) {
-        console.log(`[SEARCH] ✅ Simplified query found ${simplifiedOsm.length} results`);
-        return { results: simplifiedOsm, telemetry: { 'OSM (simplified)': simplifiedOsm.length }, reasonShortfall: 'Used simplified query fallback' };
-      }
-    } catch (fallbackError) {
-      console.log(`[SEARCH] ⚠️  Simplified query fallback also failed: ${fallbackError.message}`);
-    }
+  // Sometimes OSM works better with simplified queries
+  console.log(`[SEARCH] ⚠️  All methods failed. Trying simplified query as last resort...`);
+  // Simplify query: remove location-specific terms, just use base query + location
+  const simplifiedQuery = query.split(' ').slice(0, 2).join(' '); // Take first 2 words
+  console.log(`[SEARCH] 🔄 Retrying with simplified query: "${simplifiedQuery}"`);
+  const simplified = await runProvider('osm', { query: simplifiedQuery, country, location, maxResults: Math.min(20, maxResults), timeoutMs: 10000 });
+  runs.push({ ...simplified.run, provider: 'osm', terms: [simplifiedQuery] });
+  if (simplified.results.length > 0) {
+    console.log(`[SEARCH] ✅ Simplified query found ${simplified.results.length} results`);
+    return { results: simplified.results, telemetry: { ...telemetry, osm: simplified.results.length }, reasonShortfall: 'Used simplified query fallback', runs, expansionTerms };
   }
   
   // All methods failed
@@ -665,7 +464,26 @@ export async function fetchGoogleResults(query, country = null, location = null,
    - Add to .env: BING_API_KEY=your_key
 2. ✅ OpenStreetMap should work (free, unlimited) - check logs above
 3. ✅ Optional: Google Places API ($200 free/month):
-   - Add to .env: GOOGLE_PLACES_API_KEY=your_key`;
+   - Add to .env: GOOGLE_PLACES_API_KEY=your_key
+4. ✅ Check that the providers aren't disabled in company settings or SEARCH_PROVIDERS_DISABLED`;
   
   throw new Error(errorMsg);
 }
+
+/**
+ * Human-readable reasons a search came back short
+ */
+function buildShortfallReasons(runs, telemetry, minResults) {
+  const reasons = [];
+  const skippedBy = (reason) => runs.filter(r => r.skippedReason === reason).map(r => r.provider);
+  if (!process.env.BING_API_KEY) reasons.push('Bing API key missing');
+  if (!process.env.GOOGLE_PLACES_API_KEY) reasons.push('Places disabled');
+  const freeCount = Object.entries(telemetry).filter(([k]) => k !== 'places').reduce((sum, [, n]) => sum + n, 0);
+  if (telemetry.ddg === 0 && freeCount < minResults) reasons.push('DuckDuckGo rate-limited/blocked');
+  if (telemetry.overpass === 0) reasons.push('Overpass timed out or no results');
+  const disabled = skippedBy('disabled');
+  if (disabled.length) reasons.push(`Disabled: ${disabled.join(', ')}`);
+  const benched = [...skippedBy('circuit_open'), ...skippedBy('rate_limited')];
+  if (benched.length) reasons.push(`Temporarily unavailable: ${benched.join(', ')}`);
+  return reasons.join('; ');
+}
@@ -0,0 +1,127 @@
+import Company from '../models/Company.js';
+import Lead from '../models/Lead.js';
+import Search from '../models/Search.js';
+import User from '../models/User.js';
+import { calculateIcpFit, EMPLOYEE_RANGES, REVENUE_BRACKETS } from '../utils/icpScoring.js';
+import { getLeadCompanyId } from './customFields.js';
+
+export const ICP_HIRING_OPTIONS = Company.schema.path('icp.hiring').enumValues;
+const MAX_LIST_ITEMS = 50;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const RESCORE_BATCH_SIZE = 500;
+
+function cleanList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(items.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate an ICP from PUT /api/company/icp (replaces the saved one)
+ * @param {Object} input - { industries, employeeRanges, revenueBrackets, countries, hiring, keywords, description }
+ * @returns {{ icp: Object|null, error: string|null }}
+ */
+export function validateIcp(input) {
+  if (!input || typeof input !== 'object') {
+    return { icp: null, error: 'ICP must be an object' };
+  }
+
+  const icp = {
+    industries: cleanList(input.industries),
+    employeeRanges: cleanList(input.employeeRanges),
+    revenueBrackets: cleanList(input.revenueBrackets),
+    countries: cleanList(input.countries),
+    hiring: input.hiring || 'any',
+    keywords: cleanList(input.keywords),
+    description: input.description ? String(input.description).trim() : null
+  };
+
+  for (const key of ['industries', 'countries', 'keywords']) {
+    if (icp[key].length > MAX_LIST_ITEMS) {
+      return { icp: null, error: `${key} can have at most ${MAX_LIST_ITEMS} entries` };
+    }
+  }
+  const badRange = icp.employeeRanges.find(r => !EMPLOYEE_RANGES.includes(r));
+  if (badRange) {
+    return { icp: null, error: `employeeRanges must be from: ${EMPLOYEE_RANGES.join(', ')}` };
+  }
+  const badBracket = icp.revenueBrackets.find(b => !REVENUE_BRACKETS.includes(b));
+  if (badBracket) {
+    return { icp: null, error: `revenueBrackets must be from: ${REVENUE_BRACKETS.join(', ')}` };
+  }
+  if (!ICP_HIRING_OPTIONS.includes(icp.hiring)) {
+    return { icp: null, error: `hiring must be one of: ${ICP_HIRING_OPTIONS.join(', ')}` };
+  }
+  if (icp.description && icp.description.length > MAX_DESCRIPTION_LENGTH) {
+    return { icp: null, error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  icp.description = icp.description || null;
+  return { icp, error: null };
+}
+
+/**
+ * Score a lead against an ICP and store the result on it (caller saves)
+ * @param {Object} lead - Lead document
+ * @param {Object} icp - Company.icp
+ * @returns {Number|null} the fit score
+ */
+export function applyIcpFit(lead, icp) {
+  const { score, matched, unmatched } = calculateIcpFit(lead, icp);
+  lead.icpFitScore = score;
+  lead.icpFit = score === null ? undefined : { matched, unmatched, computedAt: new Date() };
+  return score;
+}
+
+/**
+ * ICP of the company a lead belongs to (null when there is none)
+ */
+export async function getLeadCompanyIcp(lead) {
+  const companyId = await getLeadCompanyId(lead);
+  if (!companyId) return null;
+  const company = await Company.findById(companyId).select('icp').lean();
+  return company?.icp || null;
+}
+
+/**
+ * Re-score every lead from a company's searches after its ICP changes
+ * Runs in the background from the ICP route; errors are logged, not thrown.
+ * @param {string} companyId
+ * @returns {Promise<number>} number of leads scored
+ */
+export async function rescoreCompanyLeads(companyId) {
+  try {
+    const company = await Company.findById(companyId).select('icp').lean();
+    if (!company) return 0;
+
+    const userIds = (await User.find({ companyId }).select('_id').lean()).map(u => u._id);
+    const searchIds = (await Search.find({ userId: { $in: userIds } }).select('_id').lean()).map(s => s._id);
+
+    let scored = 0;
+    let ops = [];
+    const cursor = Lead.find({ searchId: { $in: searchIds } })
+      .select('companyName aboutText categorySignals phoneNumbers enrichment')
+      .lean()
+      .cursor();
+    for await (const lead of cursor) {
+      const { score, matched, unmatched } = calculateIcpFit(lead, company.icp);
+      const update = score === null
+        ? { $set: { icpFitScore: null }, $unset: { icpFit: 1 } }
+        : { $set: { icpFitScore: score, icpFit: { matched, unmatched, computedAt: new Date() } } };
+      ops.push({ updateOne: { filter: { _id: lead._id }, update } });
+      if (ops.length >= RESCORE_BATCH_SIZE) {
+        await Lead.bulkWrite(ops, { ordered: false });
+        scored += ops.length;
+        ops = [];
+      }
+    }
+    if (ops.length > 0) {
+      await Lead.bulkWrite(ops, { ordered: false });
+      scored += ops.length;
+    }
+
+    console.log(`[ICP] ✅ Re-scored ${scored} leads for company ${companyId}`);
+    return scored;
+  } catch (err) {
+    console.error(`[ICP] ❌ Re-scoring leads for company ${companyId} failed:`, err.message);
+    return 0;
+  }
+}
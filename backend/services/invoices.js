@@ -0,0 +1,315 @@
+import Company from '../models/Company.js';
+import Counter from '../models/Counter.js';
+import Invoice from '../models/Invoice.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payment from '../models/Payment.js';
+import { buildPdf } from '../utils/pdfWriter.js';
+
+export const INVOICE_TAX_FIELDS = ['legalName', 'taxId'];
+export const INVOICE_ADDRESS_FIELDS = ['line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+
+function sellerDetails() {
+  return {
+    name: process.env.INVOICE_SELLER_NAME || 'Onalog',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    taxId: process.env.INVOICE_SELLER_TAX_ID || ''
+  };
+}
+
+function formatInvoiceNumber(year, seq) {
+  return `INV-${year}-${String(seq).padStart(5, '0')}`;
+}
+
+/**
+ * Write the number a year's counter has handed out but not yet recorded, and free the counter
+ * Whoever finds it pending finishes it, so a numbering interrupted between the two steps is
+ * completed rather than skipped. If its invoice was numbered some other way (or deleted), the
+ * number is handed back instead - nothing else can have moved the counter while it was pending.
+ */
+async function completePendingNumber(counterName, year) {
+  const counter = await Counter.findById(counterName).lean();
+  if (!counter?.pendingId) return;
+
+  const number = formatInvoiceNumber(year, counter.seq);
+  await Invoice.updateOne({ _id: counter.pendingId, number: null }, { $set: { number } });
+  const invoice = await Invoice.findById(counter.pendingId).select('number').lean();
+  const free = { _id: counterName, pendingId: counter.pendingId, seq: counter.seq };
+  if (invoice?.number === number) {
+    await Counter.updateOne(free, { $set: { pendingId: null } });
+  } else {
+    await Counter.updateOne(free, { $set: { pendingId: null }, $inc: { seq: -1 } });
+  }
+}
+
+/**
+ * Number an invoice that doesn't have one yet - sequential per calendar year (UTC), no gaps
+ * Taking the next value and marking it pending for this invoice is one update on the year's
+ * counter, so only one number is ever in flight per year and none is lost to a race or a crash.
+ */
+async function assignInvoiceNumber(invoice) {
+  if (invoice.number) return invoice;
+  const year = new Date(invoice.issuedAt || Date.now()).getUTCFullYear();
+  const counterName = `invoice-${year}`;
+
+  for (;;) {
+    await completePendingNumber(counterName, year);
+    const current = await Invoice.findById(invoice._id).lean();
+    if (!current || current.number) return current;
+
+    try {
+      const reserved = await Counter.findOneAndUpdate(
+        { _id: counterName, pendingId: null },
+        { $inc: { seq: 1 }, $set: { pendingId: invoice._id } },
+        { upsert: true, new: true }
+      );
+      if (reserved) {
+        await completePendingNumber(counterName, year);
+        return Invoice.findById(invoice._id).lean();
+      }
+    } catch (err) {
+      // The counter exists but is pending for another invoice - finish that one first
+      if (err.code !== 11000) throw err;
+    }
+  }
+}
+
+/**
+ * Issue the invoice for a credit purchase (once per ledger entry, however often it is called)
+ * @param {Object} entry - 'purchase' LedgerEntry
+ * @param {Array} packs - getCreditPacks() - list prices in USD and NGN
+ * @returns {Promise<Object>} the invoice
+ */
+export async function issuePurchaseInvoice(entry, packs) {
+  const existing = await Invoice.findOne({ ledgerEntryId: entry._id }).lean();
+  if (existing) return assignInvoiceNumber(existing);
+
+  const company = await Company.findById(entry.companyId).select('name billing').lean();
+  if (!company) throw new Error('Company not found');
+
+  const pack = packs.find(p => p.id === entry.packId) || null;
+  const currency = entry.currency || 'usd';
+  const reference = entry.meta?.reference || null;
+  const payment = reference ? await Payment.findOne({ reference }).select('amount currency').lean() : null;
+  // What was actually charged when a provider took the payment, the list price otherwise
+  const total = payment ? payment.amount / 100 : (pack?.price[currency] ?? 0);
+
+  const taxInfo = company.billing?.taxInfo || {};
+  const result = await Invoice.findOneAndUpdate(
+    { ledgerEntryId: entry._id },
+    {
+      $setOnInsert: {
+        companyId: entry.companyId,
+        ledgerEntryId: entry._id,
+        paymentReference: reference,
+        provider: entry.meta?.provider || null,
+        packId: entry.packId || null,
+        credits: entry.delta,
+        currency: payment?.currency || currency,
+        total,
+        amounts: { usd: pack?.price.usd ?? null, ngn: pack?.price.ngn ?? null },
+        seller: sellerDetails(),
+        buyer: {
+          name: taxInfo.legalName || company.name,
+          taxInfo,
+          address: company.billing?.address || {}
+        },
+        issuedAt: new Date(),
+        purchasedAt: entry.createdAt || null
+      }
+    },
+    { upsert: true, new: true, lean: true }
+  );
+  const invoice = await assignInvoiceNumber(result);
+  console.log(`[INVOICE] ✅ Issued ${invoice.number} to company ${entry.companyId} for ${entry.delta} credits`);
+  return invoice;
+}
+
+/**
+ * Issue invoices for purchases that don't have one yet (older purchases, or an issue that failed
+ * on the purchase path) and number any left unnumbered. Run by the credit reconciliation job;
+ * oldest first, so numbers follow purchase order.
+ * @returns {Promise<number>} invoices issued
+ */
+export async function issueMissingInvoices(packs, limit = 500) {
+  const missing = await LedgerEntry.aggregate([
+    { $match: { reason: 'purchase', delta: { $gt: 0 } } },
+    { $lookup: { from: Invoice.collection.name, localField: '_id', foreignField: 'ledgerEntryId', as: 'invoice' } },
+    { $match: { invoice: { $size: 0 } } },
+    { $sort: { createdAt: 1 } },
+    { $limit: limit },
+    { $project: { invoice: 0 } }
+  ]);
+  for (const entry of missing) {
+    await issuePurchaseInvoice(entry, packs);
+  }
+
+  const unnumbered = await Invoice.find({ number: null }).sort({ issuedAt: 1 }).limit(limit).lean();
+  for (const invoice of unnumbered) {
+    await assignInvoiceNumber(invoice);
+  }
+  return missing.length;
+}
+
+/**
+ * Invoices of a company, newest first
+ */
+export async function listCompanyInvoices(companyId, limit = 100) {
+  return Invoice.find({ companyId }).sort({ issuedAt: -1 }).limit(limit).lean();
+}
+
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return '-';
+  return `${currency.toUpperCase()} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '-';
+}
+
+function addressLines(address) {
+  if (!address) return [];
+  if (typeof address === 'string') return address.split('\n').filter(Boolean);
+  const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+  return [address.line1, address.line2, cityLine, address.country].filter(Boolean);
+}
+
+/**
+ * Payment status line - refunds made after the invoice was issued show here, the invoice
+ * itself is never changed
+ * @param {Object|null} payment - the invoice's Payment (none for mock purchases)
+ */
+function paymentStatus(invoice, payment) {
+  const refunded = payment?.refundedAmount || 0;
+  if (refunded <= 0) return 'Paid';
+  const amount = formatMoney(refunded / 100, payment.currency || invoice.currency);
+  return refunded >= payment.amount ? `Refunded (${amount})` : `Partially refunded (${amount})`;
+}
+
+/**
+ * The invoice as rows of text, shared by the HTML and PDF renderings
+ */
+function invoiceContent(invoice, payment) {
+  const buyerTax = invoice.buyer?.taxInfo?.taxId;
+  return {
+    title: `Invoice ${invoice.number || '(pending number)'}`,
+    meta: [
+      ['Invoice number', invoice.number || '-'],
+      ['Issued', formatDate(invoice.issuedAt)],
+      ['Purchased', formatDate(invoice.purchasedAt)],
+      ['Payment reference', invoice.paymentReference || '-'],
+      ['Status', paymentStatus(invoice, payment)]
+    ],
+    seller: [
+      invoice.seller?.name,
+      ...addressLines(invoice.seller?.address),
+      invoice.seller?.taxId ? `Tax ID: ${invoice.seller.taxId}` : null
+    ].filter(Boolean),
+    buyer: [
+      invoice.buyer?.name,
+      ...addressLines(invoice.buyer?.address),
+      buyerTax ? `Tax ID: ${buyerTax}` : null
+    ].filter(Boolean),
+    line: {
+      description: `${invoice.credits} lead enrichment credits${invoice.packId ? ` (${invoice.packId})` : ''}`,
+      usd: formatMoney(invoice.amounts?.usd, 'usd'),
+      ngn: formatMoney(invoice.amounts?.ngn, 'ngn')
+    },
+    total: formatMoney(invoice.total, invoice.currency)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Printable HTML invoice
+ * @param {Object} invoice
+ * @param {Object|null} payment - its Payment, for the refund status
+ */
+export function renderInvoiceHtml(invoice, payment = null) {
+  const c = invoiceContent(invoice, payment);
+  const lines = rows => rows.map(escapeHtml).join('<br>');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(c.title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #000; max-width: 760px; margin: 40px auto; padding: 0 24px; }
+  h1 { font-size: 24px; margin-bottom: 24px; }
+  .parties { display: flex; justify-content: space-between; gap: 24px; margin: 24px 0; }
+  .label { font-size: 12px; text-transform: uppercase; color: #555; margin-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 8px 4px; border-bottom: 1px solid #000; }
+  .num { text-align: right; }
+  .meta td { border: none; padding: 2px 4px; }
+  .total td { font-weight: bold; border-bottom: none; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(c.title)}</h1>
+<table class="meta">
+${c.meta.map(([k, v]) => `  <tr><td>${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join('\n')}
+</table>
+<div class="parties">
+  <div><div class="label">From</div>${lines(c.seller)}</div>
+  <div><div class="label">Bill to</div>${lines(c.buyer)}</div>
+</div>
+<table>
+  <tr><th>Description</th><th class="num">USD</th><th class="num">NGN</th></tr>
+  <tr><td>${escapeHtml(c.line.description)}</td><td class="num">${escapeHtml(c.line.usd)}</td><td class="num">${escapeHtml(c.line.ngn)}</td></tr>
+  <tr class="total"><td>Total paid</td><td class="num" colspan="2">${escapeHtml(c.total)}</td></tr>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * PDF invoice (same content as the HTML one)
+ * @returns {Buffer}
+ */
+export function renderInvoicePdf(invoice, payment = null) {
+  const c = invoiceContent(invoice, payment);
+  const items = [{ text: c.title, x: 50, y: 70, size: 20, bold: true }];
+  let y = 110;
+  for (const [label, value] of c.meta) {
+    items.push({ text: label, x: 50, y, size: 10 }, { text: value, x: 170, y, size: 10 });
+    y += 15;
+  }
+
+  y += 20;
+  items.push({ text: 'FROM', x: 50, y, size: 9, bold: true }, { text: 'BILL TO', x: 310, y, size: 9, bold: true });
+  const partyRows = Math.max(c.seller.length, c.buyer.length);
+  for (let i = 0; i < partyRows; i++) {
+    y += 14;
+    if (c.seller[i]) items.push({ text: c.seller[i], x: 50, y, size: 10 });
+    if (c.buyer[i]) items.push({ text: c.buyer[i], x: 310, y, size: 10 });
+  }
+
+  y += 40;
+  items.push(
+    { text: 'Description', x: 50, y, size: 10, bold: true },
+    { text: 'USD', x: 420, y, size: 10, bold: true, align: 'right' },
+    { text: 'NGN', x: 545, y, size: 10, bold: true, align: 'right' },
+    { line: [50, y + 6, 545, y + 6] }
+  );
+  y += 22;
+  items.push(
+    { text: c.line.description, x: 50, y, size: 10 },
+    { text: c.line.usd, x: 420, y, size: 10, align: 'right' },
+    { text: c.line.ngn, x: 545, y, size: 10, align: 'right' },
+    { line: [50, y + 6, 545, y + 6] }
+  );
+  y += 22;
+  items.push(
+    { text: 'Total paid', x: 50, y, size: 11, bold: true },
+    { text: c.total, x: 545, y, size: 11, bold: true, align: 'right' }
+  );
+  return buildPdf(items);
+}
@@ -0,0 +1,32 @@
+import Search from '../models/Search.js';
+import User from '../models/User.js';
+import Company from '../models/Company.js';
+
+/**
+ * Whether a user may see and work a lead: their own search's leads, leads assigned to them,
+ * or any lead from their company when the company shares leads
+ */
+export async function canAccessLead(user, lead) {
+  if (lead.ownerId && String(lead.ownerId) === String(user._id)) return true;
+  const search = await Search.findById(lead.searchId).select('userId');
+  if (!search?.userId) return false;
+  if (String(search.userId) === String(user._id)) return true;
+  
+  const company = await Company.findById(user.companyId).select('settings');
+  if (!company?.settings?.shareLeads) return false;
+  const searchOwner = await User.findById(search.userId).select('companyId');
+  return !!searchOwner && String(searchOwner.companyId) === String(user.companyId);
+}
+
+/**
+ * Searches whose leads a user may see: every search of their company when it shares leads,
+ * otherwise their own (the same rule GET /api/leads applies)
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function getVisibleSearchIds(user) {
+  const company = await Company.findById(user.companyId).select('settings');
+  const userIds = company?.settings?.shareLeads
+    ? await User.find({ companyId: user.companyId }).distinct('_id')
+    : [user._id];
+  return Search.find({ userId: { $in: userIds } }).distinct('_id');
+}
@@ -0,0 +1,131 @@
+import Lead from '../models/Lead.js';
+import { applyQualityScore, applyVerificationScore, getCompanyScoringRules } from './leadScoring.js';
+import { getSearchCompanyId } from './accountService.js';
+import { mergeContactList, contactKeys } from '../utils/contactMerge.js';
+
+// Oldest merge log entries are dropped beyond this
+const MAX_MERGE_LOG = 50;
+
+const SOCIAL_NETWORKS = ['linkedin', 'twitter', 'facebook', 'instagram'];
+
+/**
+ * Fold a duplicate lead's contact data into its canonical lead (in memory - caller saves)
+ * Adds emails, phone numbers and decision makers the canonical lead doesn't have (each keeps
+ * its own source and confidence), fills missing socials, WhatsApp links and address, then recomputes
+ * qualityScore and, for enriched leads, verificationScore.
+ * @param {Object} canonical - Lead document that stays visible
+ * @param {Object} duplicate - Lead document marked isDuplicate
+ * @param {Object} rules - Company.scoring of the owning company (defaults when omitted)
+ * @returns {Object|null} merge log entry, or null if the duplicate added nothing
+ */
+export function mergeDuplicateInto(canonical, duplicate, rules = null) {
+  const addedEmails = mergeContactList(canonical.emails, duplicate.emails, contactKeys.email);
+  const addedPhones = mergeContactList(canonical.phoneNumbers, duplicate.phoneNumbers, contactKeys.phone);
+  const addedDecisionMakers = mergeContactList(canonical.decisionMakers, duplicate.decisionMakers, contactKeys.decisionMaker);
+
+  const addedWhatsapp = (duplicate.whatsappLinks || []).filter(link => link && !(canonical.whatsappLinks || []).includes(link));
+  if (addedWhatsapp.length > 0) {
+    canonical.whatsappLinks = [...(canonical.whatsappLinks || []), ...addedWhatsapp];
+  }
+
+  const addedSocials = SOCIAL_NETWORKS.filter(network => !canonical.socials?.[network] && duplicate.socials?.[network]);
+  for (const network of addedSocials) {
+    canonical.set(`socials.${network}`, duplicate.socials[network]);
+  }
+
+  const addedAddress = !canonical.address && duplicate.address ? duplicate.address : null;
+  if (addedAddress) {
+    canonical.address = addedAddress;
+  }
+
+  const addedAnything = addedEmails.length || addedPhones.length || addedDecisionMakers.length ||
+    addedWhatsapp.length || addedSocials.length || addedAddress;
+  if (!addedAnything) return null;
+
+  const qualityBefore = canonical.qualityScore;
+  try {
+    applyQualityScore(canonical, rules);
+  } catch (err) {
+    console.log(`[MERGE] Quality scoring error for lead ${canonical._id}: ${err.message}`);
+  }
+
+  const verificationBefore = canonical.enrichment?.verificationScore;
+  let verificationAfter = verificationBefore;
+  if (canonical.enrichmentStatus === 'enriched') {
+    try {
+      verificationAfter = applyVerificationScore(canonical, rules);
+    } catch (err) {
+      console.log(`[MERGE] Verification scoring error for lead ${canonical._id}: ${err.message}`);
+    }
+  }
+
+  const entry = {
+    fromLeadId: duplicate._id,
+    mergedAt: new Date(),
+    added: {
+      emails: addedEmails.map(e => e.email),
+      phoneNumbers: addedPhones.map(p => p.formatted || p.phone),
+      decisionMakers: addedDecisionMakers.map(d => d.name),
+      whatsappLinks: addedWhatsapp,
+      socials: addedSocials,
+      address: addedAddress
+    },
+    qualityScore: { before: qualityBefore, after: canonical.qualityScore },
+    verificationScore: { before: verificationBefore, after: verificationAfter }
+  };
+  canonical.mergeLog.push(entry);
+  if (canonical.mergeLog.length > MAX_MERGE_LOG) {
+    canonical.mergeLog.splice(0, canonical.mergeLog.length - MAX_MERGE_LOG);
+  }
+  return entry;
+}
+
+/**
+ * Merge every duplicate of a finished search into its canonical lead
+ * Runs once the search is done so no worker is still writing the canonical leads.
+ * Duplicates already in a canonical lead's merge log are skipped.
+ * @param {Object} search - Search document
+ * @returns {Promise<number>} number of duplicates that contributed data
+ */
+export async function mergeSearchDuplicates(search) {
+  const duplicates = await Lead.find({
+    searchId: search._id,
+    isDuplicate: true,
+    duplicateOf: { $ne: null }
+  }).sort({ createdAt: 1 });
+  if (duplicates.length === 0) return 0;
+
+  const byCanonical = new Map();
+  for (const dup of duplicates) {
+    const key = String(dup.duplicateOf);
+    if (!byCanonical.has(key)) byCanonical.set(key, []);
+    byCanonical.get(key).push(dup);
+  }
+
+  const rules = await getCompanyScoringRules(await getSearchCompanyId(search));
+  let merged = 0;
+  for (const [canonicalId, dups] of byCanonical) {
+    try {
+      const canonical = await Lead.findById(canonicalId);
+      if (!canonical) continue;
+      const alreadyMerged = new Set(canonical.mergeLog.map(entry => String(entry.fromLeadId)));
+
+      let changed = false;
+      for (const dup of dups) {
+        if (alreadyMerged.has(String(dup._id))) continue;
+        const entry = mergeDuplicateInto(canonical, dup, rules);
+        if (entry) {
+          changed = true;
+          merged++;
+          console.log(`[MERGE] Lead ${dup._id} → ${canonical._id} (${canonical.companyName}): +${entry.added.emails.length} emails, +${entry.added.phoneNumbers.length} phones, +${entry.added.decisionMakers.length} decision makers`);
+        }
+      }
+      if (changed) {
+        await canonical.save();
+      }
+    } catch (err) {
+      console.error(`[MERGE] ❌ Failed to merge duplicates into lead ${canonicalId}:`, err.message);
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,159 @@
+import Company from '../models/Company.js';
+import Lead from '../models/Lead.js';
+import Search from '../models/Search.js';
+import User from '../models/User.js';
+import { explainQualityScore, QUALITY_CRITERIA, QUALITY_REQUIRED_FIELDS } from '../utils/qualityScoring.js';
+import { calculateVerificationScore, VERIFICATION_CRITERIA } from '../utils/verificationScoring.js';
+
+export const MAX_SCORING_WEIGHT = 10;
+const RECOMPUTE_BATCH_SIZE = 500;
+
+/**
+ * Validate one weights object - omitted criteria keep weight 1
+ */
+function validateWeights(input, criteria, name) {
+  if (input === undefined || input === null) {
+    return { weights: Object.fromEntries(criteria.map(c => [c.key, 1])), error: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { weights: null, error: `${name} must be an object` };
+  }
+
+  const unknown = Object.keys(input).find(key => !criteria.some(c => c.key === key));
+  if (unknown) {
+    return { weights: null, error: `Unknown ${name} criterion "${unknown}"` };
+  }
+
+  const weights = {};
+  for (const { key } of criteria) {
+    const weight = input[key] === undefined ? 1 : Number(input[key]);
+    if (!Number.isFinite(weight) || weight < 0 || weight > MAX_SCORING_WEIGHT) {
+      return { weights: null, error: `${name}.${key} must be a number between 0 and ${MAX_SCORING_WEIGHT}` };
+    }
+    weights[key] = weight;
+  }
+  if (Object.values(weights).every(w => w === 0)) {
+    return { weights: null, error: `${name} needs at least one weight above 0` };
+  }
+  return { weights, error: null };
+}
+
+/**
+ * Validate scoring rules from PUT /api/company/scoring (replaces the saved ones)
+ * @param {Object} input - { qualityWeights, verificationWeights, requiredFields }
+ * @returns {{ rules: Object|null, error: string|null }}
+ */
+export function validateScoringRules(input) {
+  if (!input || typeof input !== 'object') {
+    return { rules: null, error: 'Scoring rules must be an object' };
+  }
+
+  const quality = validateWeights(input.qualityWeights, QUALITY_CRITERIA, 'qualityWeights');
+  if (quality.error) return { rules: null, error: quality.error };
+  const verification = validateWeights(input.verificationWeights, VERIFICATION_CRITERIA, 'verificationWeights');
+  if (verification.error) return { rules: null, error: verification.error };
+
+  const requiredFields = input.requiredFields ?? [];
+  if (!Array.isArray(requiredFields)) {
+    return { rules: null, error: 'requiredFields must be an array' };
+  }
+  const badField = requiredFields.find(f => !QUALITY_REQUIRED_FIELDS.includes(f));
+  if (badField) {
+    return { rules: null, error: `requiredFields must be from: ${QUALITY_REQUIRED_FIELDS.join(', ')}` };
+  }
+
+  return {
+    rules: {
+      qualityWeights: quality.weights,
+      verificationWeights: verification.weights,
+      requiredFields: [...new Set(requiredFields)]
+    },
+    error: null
+  };
+}
+
+/**
+ * Score a lead's quality and store the breakdown on it (caller saves)
+ * @param {Object} lead - Lead document
+ * @param {Object} rules - Company.scoring (defaults when omitted)
+ * @returns {Number} the quality score
+ */
+export function applyQualityScore(lead, rules) {
+  const { score, criteria, missingRequired } = explainQualityScore(lead, rules);
+  lead.qualityScore = score;
+  lead.set('scoreBreakdown.quality', { criteria, missingRequired });
+  lead.set('scoreBreakdown.computedAt', new Date());
+  return score;
+}
+
+/**
+ * Score an enriched lead's verification and store sources and breakdown on it (caller saves)
+ * @param {Object} lead - Lead document
+ * @param {Object} rules - Company.scoring (defaults when omitted)
+ * @returns {Number} the verification score
+ */
+export function applyVerificationScore(lead, rules) {
+  const { score, sources, criteria } = calculateVerificationScore(lead, rules);
+  lead.set('enrichment.verificationScore', score);
+  lead.set('enrichment.verificationSources', sources);
+  lead.set('scoreBreakdown.verification', { criteria });
+  lead.set('scoreBreakdown.computedAt', new Date());
+  return score;
+}
+
+/**
+ * Saved scoring rules of a company (null when there is none)
+ */
+export async function getCompanyScoringRules(companyId) {
+  if (!companyId) return null;
+  const company = await Company.findById(companyId).select('scoring').lean();
+  return company?.scoring || null;
+}
+
+/**
+ * Recompute quality and verification scores for every lead from a company's searches
+ * Called after the company changes its scoring rules. Verification is only recomputed for
+ * enriched leads.
+ * @param {string} companyId
+ * @returns {Promise<number>} number of leads rescored
+ */
+export async function recomputeCompanyScores(companyId) {
+  const rules = await getCompanyScoringRules(companyId);
+  const userIds = (await User.find({ companyId }).select('_id').lean()).map(u => u._id);
+  const searchIds = (await Search.find({ userId: { $in: userIds } }).select('_id').lean()).map(s => s._id);
+
+  let rescored = 0;
+  let ops = [];
+  const cursor = Lead.find({ searchId: { $in: searchIds } })
+    .select('companyName website emails phoneNumbers decisionMakers address socials aboutText enrichment enrichmentStatus')
+    .lean()
+    .cursor();
+  for await (const lead of cursor) {
+    const now = new Date();
+    const quality = explainQualityScore(lead, rules);
+    const $set = {
+      qualityScore: quality.score,
+      'scoreBreakdown.quality': { criteria: quality.criteria, missingRequired: quality.missingRequired },
+      'scoreBreakdown.computedAt': now
+    };
+    if (lead.enrichmentStatus === 'enriched') {
+      const verification = calculateVerificationScore(lead, rules);
+      $set['enrichment.verificationScore'] = verification.score;
+      $set['enrichment.verificationSources'] = verification.sources;
+      $set['scoreBreakdown.verification'] = { criteria: verification.criteria };
+    }
+    ops.push({ updateOne: { filter: { _id: lead._id }, update: { $set } } });
+    if (ops.length >= RECOMPUTE_BATCH_SIZE) {
+      await Lead.bulkWrite(ops, { ordered: false });
+      rescored += ops.length;
+      ops = [];
+    }
+  }
+  if (ops.length > 0) {
+    await Lead.bulkWrite(ops, { ordered: false });
+    rescored += ops.length;
+  }
+
+  console.log(`[SCORING] ✅ Recomputed scores for ${rescored} leads of company ${companyId}`);
+  return rescored;
+}
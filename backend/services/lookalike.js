@@ -0,0 +1,186 @@
+import { extractContactInfo } from './extractor.js';
+import { enrichLead } from './enricher.js';
+import { buildAdaptiveExpansions } from './googleSearch.js';
+import { parseWebsite } from './searchImport.js';
+import { normalizeUrl } from '../utils/urlNormalizer.js';
+import { calculateIcpFit } from '../utils/icpScoring.js';
+
+export const MAX_LOOKALIKE_SEEDS = 10;
+const MAX_QUERIES = 3;
+const MAX_TERMS = 12;
+const MAX_PROFILE_KEYWORDS = 10;
+// enrichLead's placeholders when it couldn't tell
+const UNKNOWN_VALUES = ['unknown', 'other', ''];
+
+/**
+ * Validate seed websites for POST /api/search/lookalike
+ * @param {Array} seeds - websites or domains
+ * @returns {{ websites: string[], error: string|null }}
+ */
+export function parseSeedWebsites(seeds) {
+  if (!Array.isArray(seeds) || seeds.length === 0) {
+    return { websites: [], error: 'seeds must be a non-empty array of websites' };
+  }
+  if (seeds.length > MAX_LOOKALIKE_SEEDS) {
+    return { websites: [], error: `At most ${MAX_LOOKALIKE_SEEDS} seed companies` };
+  }
+
+  const websites = [];
+  const domains = new Set();
+  for (const seed of seeds) {
+    let website;
+    try {
+      website = parseWebsite(seed);
+    } catch (err) {
+      return { websites: [], error: err.message };
+    }
+    const domain = normalizeUrl(website);
+    if (domains.has(domain)) continue;
+    domains.add(domain);
+    websites.push(website);
+  }
+  return { websites, error: null };
+}
+
+function known(value) {
+  return value && !UNKNOWN_VALUES.includes(String(value).toLowerCase().trim()) ? value : null;
+}
+
+/**
+ * Extract and enrich one seed website
+ * @returns {Promise<Object>} Search.lookalike.seeds entry
+ */
+async function analyzeSeed(website, country) {
+  try {
+    const extracted = await extractContactInfo(website, country);
+    if (extracted.error && !extracted.aboutText && !extracted.categorySignals?.length) {
+      return { website, error: extracted.error };
+    }
+
+    let enrichment = {};
+    try {
+      enrichment = await enrichLead({
+        companyName: extracted.companyName,
+        website,
+        aboutText: extracted.aboutText,
+        categorySignals: extracted.categorySignals,
+        emails: extracted.emails,
+        phoneNumbers: extracted.phoneNumbers,
+        socials: extracted.socials,
+        decisionMakers: []
+      });
+    } catch (err) {
+      console.log(`[LOOKALIKE] ⚠️  Enrichment failed for seed ${website}: ${err.message}`);
+    }
+
+    return {
+      website,
+      companyName: extracted.companyName || normalizeUrl(website),
+      industry: known(enrichment.industry),
+      employeeCountRange: enrichment.employeeCountRange || null,
+      revenueBracket: known(enrichment.revenueBracket),
+      categorySignals: extracted.categorySignals || []
+    };
+  } catch (err) {
+    return { website, error: err.message };
+  }
+}
+
+/**
+ * Values sorted by how many seeds share them (case-insensitive, first spelling kept)
+ */
+function rankByFrequency(values) {
+  const counts = new Map();
+  for (const value of values) {
+    const text = String(value || '').trim();
+    if (!text) continue;
+    const key = text.toLowerCase();
+    const entry = counts.get(key) || { text, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count).map(e => e.text);
+}
+
+/**
+ * Profile of the analyzed seeds (compared against discovered leads with calculateIcpFit)
+ */
+export function buildSeedProfile(seeds) {
+  const analyzed = seeds.filter(s => !s.error);
+  return {
+    industries: rankByFrequency(analyzed.map(s => s.industry)).slice(0, MAX_QUERIES),
+    employeeRanges: [...new Set(analyzed.map(s => s.employeeCountRange).filter(Boolean))],
+    revenueBrackets: [...new Set(analyzed.map(s => s.revenueBracket).filter(Boolean))],
+    keywords: rankByFrequency(analyzed.flatMap(s => s.categorySignals || [])).slice(0, MAX_PROFILE_KEYWORDS)
+  };
+}
+
+/**
+ * Search queries from a seed profile: the seeds' industries first, then their shared categories
+ */
+export function synthesizeQueries(profile) {
+  return rankByFrequency([...profile.industries, ...profile.keywords]).slice(0, MAX_QUERIES);
+}
+
+/**
+ * Analyze a lookalike search's seeds and set its query, industry and provider terms
+ * Runs in the worker before discovery; the search is saved by the caller.
+ * @param {Object} search - Search document (source 'lookalike')
+ * @returns {Promise<boolean>} false when no seed could be analyzed
+ */
+export async function prepareLookalikeSearch(search) {
+  const websites = search.lookalike.seeds.map(s => s.website);
+  console.log(`[LOOKALIKE] Analyzing ${websites.length} seed companies...`);
+
+  // One at a time - each seed loads pages like a lead does
+  const seeds = [];
+  for (const website of websites) {
+    seeds.push(await analyzeSeed(website, search.country));
+  }
+  const profile = buildSeedProfile(seeds);
+  const queries = synthesizeQueries(profile);
+
+  const terms = new Set();
+  for (const query of queries) {
+    const expansions = await buildAdaptiveExpansions(query, search.country, 6);
+    expansions.forEach(t => terms.add(t));
+  }
+
+  search.lookalike.seeds = seeds;
+  search.lookalike.profile = profile;
+  search.lookalike.queries = queries;
+  search.lookalike.terms = [...terms].slice(0, MAX_TERMS);
+  search.lookalike.analyzedAt = new Date();
+  if (queries.length === 0) {
+    console.warn(`[LOOKALIKE] ⚠️  No industry or categories found for any seed`);
+    return false;
+  }
+
+  search.query = queries[0];
+  if (!search.industry && profile.industries[0]) {
+    search.industry = profile.industries[0];
+  }
+  console.log(`[LOOKALIKE] ✅ ${seeds.filter(s => !s.error).length}/${seeds.length} seeds analyzed → queries: ${queries.join(' | ')}`);
+  return true;
+}
+
+/**
+ * Whether a discovered result is one of the seed companies
+ */
+export function isSeedWebsite(search, link) {
+  if (!link || search.source !== 'lookalike') return false;
+  const domain = normalizeUrl(link);
+  return search.lookalike.seeds.some(s => normalizeUrl(s.website) === domain);
+}
+
+/**
+ * Score a lead's similarity to the seeds and store it on the lead (caller saves)
+ * @returns {Number|null}
+ */
+export function applySimilarity(lead, search) {
+  if (search.source !== 'lookalike' || !search.lookalike?.profile) return null;
+  const { score, matched, unmatched } = calculateIcpFit(lead, search.lookalike.profile);
+  lead.similarityScore = score;
+  lead.similarity = score === null ? undefined : { matched, unmatched, computedAt: new Date() };
+  return score;
+}
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PAYMENT_TIMEOUT_MS = parseInt(process.env.PAYMENT_TIMEOUT_MS || '15000', 10);
+// Stripe signs `${t}.${body}`; older timestamps are treated as replays
+const STRIPE_SIGNATURE_TOLERANCE_SEC = parseInt(process.env.STRIPE_SIGNATURE_TOLERANCE_SEC || '300', 10);
+
+/**
+ * Request to a payment provider API with a timeout
+ * Errors carry `status` (HTTP status, null for network errors).
+ */
+async function providerRequest(url, { method = 'POST', headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { Accept: 'application/json', ...headers },
+    body,
+    signal: AbortSignal.timeout(PAYMENT_TIMEOUT_MS)
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { message: text.slice(0, 200) };
+  }
+  if (!response.ok) {
+    const error = new Error(data?.error?.message || data?.message || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Stripe Checkout - hosted payment page, confirmed by `checkout.session.completed`
+ * Refunds arrive as `charge.refunded` with the cumulative amount refunded.
+ */
+const stripeAdapter = {
+  key: 'stripe',
+  label: 'Stripe',
+  configured() {
+    return !!(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET);
+  },
+  async createCheckout({ payment, pack, customerEmail, successUrl, cancelUrl }) {
+    const params = new URLSearchParams({
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: payment.reference,
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': payment.currency,
+      'line_items[0][price_data][unit_amount]': String(payment.amount),
+      'line_items[0][price_data][product_data][name]': `${pack.credits} credits`,
+      'metadata[reference]': payment.reference,
+      'metadata[companyId]': String(payment.companyId),
+      'metadata[packId]': pack.id,
+      'payment_intent_data[metadata][reference]': payment.reference
+    });
+    if (customerEmail) params.set('customer_email', customerEmail);
+
+    const baseUrl = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+    const session = await providerRequest(`${baseUrl}/v1/checkout/sessions`, {
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        // Retried checkout starts for the same payment return the same session
+        'Idempotency-Key': payment.reference
+      },
+      body: params.toString()
+    });
+    return { checkoutUrl: session.url, sessionId: session.id };
+  },
+  /**
+   * `Stripe-Signature: t=<unix>,v1=<hex>` - HMAC-SHA256 of `${t}.${rawBody}` with the endpoint secret
+   */
+  verifyWebhook(rawBody, headers) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const header = headers['stripe-signature'];
+    // No secret, no verification - never fall back to signing with an empty key
+    if (!secret || !header || !rawBody) return false;
+    const parts = String(header).split(',').map(p => p.split('='));
+    const timestamp = parts.find(([k]) => k === 't')?.[1];
+    const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+    if (!timestamp || signatures.length === 0) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > STRIPE_SIGNATURE_TOLERANCE_SEC) return false;
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return signatures.some(sig => safeEqual(sig, expected));
+  },
+  parseWebhook(event) {
+    const object = event?.data?.object || {};
+    switch (event?.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        if (object.payment_status !== 'paid') return { eventId: event.id, type: null };
+        return {
+          eventId: event.id,
+          type: 'paid',
+          reference: object.metadata?.reference || object.client_reference_id || null,
+          sessionId: object.id,
+          paymentId: object.payment_intent || null,
+          amount: object.amount_total ?? null,
+          currency: object.currency || null
+        };
+      case 'charge.refunded':
+        return {
+          eventId: event.id,
+          type: 'refund',
+          reference: object.metadata?.reference || null,
+          paymentId: object.payment_intent || null,
+          refundedTotal: object.amount_refunded ?? 0
+        };
+      default:
+        return { eventId: event?.id || null, type: null };
+    }
+  }
+};
+
+/**
+ * Paystack Standard - hosted payment page, confirmed by `charge.success`
+ * Each processed refund arrives as `refund.processed` with that refund's amount.
+ */
+const paystackAdapter = {
+  key: 'paystack',
+  label: 'Paystack',
+  configured() {
+    return !!process.env.PAYSTACK_SECRET_KEY;
+  },
+  async createCheckout({ payment, pack, customerEmail, successUrl }) {
+    if (!customerEmail) throw new Error('Paystack checkout needs the customer email');
+    const baseUrl = process.env.PAYSTACK_API_BASE || 'https://api.paystack.co';
+    const data = await providerRequest(`${baseUrl}/transaction/initialize`, {
+      headers: {
+        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        email: customerEmail,
+        amount: payment.amount,
+        currency: payment.currency.toUpperCase(),
+        reference: payment.reference,
+        callback_url: successUrl,
+        metadata: { companyId: String(payment.companyId), packId: pack.id }
+      })
+    });
+    return { checkoutUrl: data?.data?.authorization_url, sessionId: data?.data?.access_code || null };
+  },
+  /**
+   * `x-paystack-signature` - HMAC-SHA512 of the raw body with the secret key
+   */
+  verifyWebhook(rawBody, headers) {
+    const secret = process.env.PAYSTACK_SECRET_KEY;
+    const signature = headers['x-paystack-signature'];
+    if (!secret || !signature || !rawBody) return false;
+    const expected = crypto
+      .createHmac('sha512', secret)
+      .update(rawBody)
+      .digest('hex');
+    return safeEqual(signature, expected);
+  },
+  parseWebhook(event) {
+    const data = event?.data || {};
+    switch (event?.event) {
+      case 'charge.success':
+        return {
+          // Paystack events have no ID of their own
+          eventId: `charge.success:${data.reference}`,
+          type: 'paid',
+          reference: data.reference || null,
+          paymentId: data.id ? String(data.id) : null,
+          amount: data.amount ?? null,
+          currency: data.currency ? String(data.currency).toLowerCase() : null
+        };
+      case 'refund.processed':
+        return {
+          eventId: `refund.processed:${data.refund_reference || `${data.transaction_reference}:${data.amount}`}`,
+          type: 'refund',
+          reference: data.transaction_reference || null,
+          paymentId: null,
+          refundAmount: data.amount ?? 0
+        };
+      default:
+        return { eventId: null, type: null };
+    }
+  }
+};
+
+const PROVIDERS = [stripeAdapter, paystackAdapter];
+
+export const PAYMENT_PROVIDER_KEYS = PROVIDERS.map(p => p.key);
+
+/**
+ * Payment provider adapter by key (null when unknown)
+ */
+export function getPaymentProvider(key) {
+  return PROVIDERS.find(p => p.key === key) || null;
+}
+
+/**
+ * Providers with whether their env keys are set (for the billing settings UI)
+ */
+export function listPaymentProviders() {
+  return PROVIDERS.map(p => ({ key: p.key, label: p.label, configured: p.configured() }));
+}
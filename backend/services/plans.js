@@ -0,0 +1,225 @@
+import dotenv from 'dotenv';
+import Company from '../models/Company.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+/**
+ * Plan tiers. `null` limits are unlimited.
+ * queuePriority feeds Search.priority (higher runs first).
+ */
+export const PLANS = [
+  {
+    key: 'free',
+    label: 'Free',
+    searchesPerMonth: 20,
+    maxResultCount: 50,
+    maxMembers: 3,
+    features: { linkedinContacts: false, smtpVerification: false },
+    queuePriority: 0
+  },
+  {
+    key: 'pro',
+    label: 'Pro',
+    searchesPerMonth: 200,
+    maxResultCount: 100,
+    maxMembers: 10,
+    features: { linkedinContacts: true, smtpVerification: false },
+    queuePriority: 10
+  },
+  {
+    key: 'business',
+    label: 'Business',
+    searchesPerMonth: 1000,
+    maxResultCount: 200,
+    maxMembers: null,
+    features: { linkedinContacts: true, smtpVerification: true },
+    queuePriority: 20
+  }
+];
+
+export const PLAN_KEYS = PLANS.map(p => p.key);
+
+export const PLAN_FEATURE_LABELS = {
+  linkedinContacts: 'LinkedIn contacts',
+  smtpVerification: 'SMTP mailbox verification'
+};
+
+// What every company gets while plans are switched off
+const UNLIMITED_PLAN = {
+  key: 'unlimited',
+  label: 'Unlimited',
+  searchesPerMonth: null,
+  maxResultCount: null,
+  maxMembers: null,
+  features: { linkedinContacts: true, smtpVerification: true },
+  queuePriority: 0
+};
+
+export function plansEnabled() {
+  return String(process.env.PLANS_ENABLED || 'false').toLowerCase() === 'true';
+}
+
+function defaultPlanKey() {
+  const key = String(process.env.PLAN_DEFAULT || 'free').toLowerCase();
+  return PLAN_KEYS.includes(key) ? key : 'free';
+}
+
+/**
+ * Plan of a company (Company document or lean object; unlimited while plans are off)
+ */
+export function getCompanyPlan(company) {
+  if (!plansEnabled()) return UNLIMITED_PLAN;
+  const key = company?.plan?.tier || defaultPlanKey();
+  return PLANS.find(p => p.key === key) || PLANS.find(p => p.key === defaultPlanKey());
+}
+
+/**
+ * Whether a plan includes an enrichment feature
+ */
+export function planAllows(plan, feature) {
+  return !!plan?.features?.[feature];
+}
+
+/**
+ * Plan limit error for routes: 402 needs an upgrade, 429 waits for the monthly reset
+ */
+function planError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Searches are counted per calendar month (UTC)
+function usagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function periodResetsAt(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Check a requested resultCount against the plan (throws 402)
+ */
+export function checkResultCount(plan, resultCount) {
+  if (plan.maxResultCount !== null && resultCount > plan.maxResultCount) {
+    throw planError(402, `The ${plan.label} plan allows up to ${plan.maxResultCount} results per search`, {
+      plan: plan.key,
+      limit: 'maxResultCount',
+      maxResultCount: plan.maxResultCount
+    });
+  }
+}
+
+/**
+ * Count one search against the company's monthly quota (throws 429 when it is used up)
+ * A single conditional update, so parallel requests can't go over the limit; the counter
+ * starts again from 0 in a new month.
+ * @param {Object} company - Company document or lean object
+ * @returns {Promise<Object>} { used, limit, resetsAt }
+ */
+export async function consumeSearchQuota(company) {
+  const plan = getCompanyPlan(company);
+  if (plan.searchesPerMonth === null) return { used: null, limit: null, resetsAt: null };
+
+  const period = usagePeriod();
+  const updated = await Company.findOneAndUpdate(
+    {
+      _id: company._id,
+      $or: [
+        { 'planUsage.period': { $ne: period } },
+        { 'planUsage.searches': { $lt: plan.searchesPerMonth } }
+      ]
+    },
+    [{
+      $set: {
+        planUsage: {
+          period,
+          searches: {
+            $cond: [{ $eq: ['$planUsage.period', period] }, { $add: ['$planUsage.searches', 1] }, 1]
+          }
+        }
+      }
+    }],
+    { new: true, projection: { planUsage: 1 } }
+  ).lean();
+
+  const resetsAt = periodResetsAt();
+  if (!updated) {
+    throw planError(429, `Monthly search limit reached (${plan.searchesPerMonth} on the ${plan.label} plan)`, {
+      plan: plan.key,
+      limit: 'searchesPerMonth',
+      searchesPerMonth: plan.searchesPerMonth,
+      resetsAt
+    });
+  }
+  return { used: updated.planUsage.searches, limit: plan.searchesPerMonth, resetsAt };
+}
+
+/**
+ * Give back a search counted by consumeSearchQuota when it wasn't created after all
+ */
+export async function refundSearchQuota(company) {
+  if (getCompanyPlan(company).searchesPerMonth === null) return;
+  await Company.updateOne(
+    { _id: company._id, 'planUsage.period': usagePeriod(), 'planUsage.searches': { $gt: 0 } },
+    { $inc: { 'planUsage.searches': -1 } }
+  );
+}
+
+/**
+ * Take a seat for a new member (throws 402 when the plan's seats are taken)
+ * Company.memberCount is the seat counter: one conditional update, so parallel signups can't go
+ * over the limit. The caller gives the seat back with releaseMemberSeat if the member isn't added.
+ * @param {Object} company - Company document or lean object
+ */
+export async function reserveMemberSeat(company) {
+  const plan = getCompanyPlan(company);
+  const filter = { _id: company._id };
+  if (plan.maxMembers !== null) filter.memberCount = { $lt: plan.maxMembers };
+  const updated = await Company.findOneAndUpdate(
+    filter,
+    { $inc: { memberCount: 1 } },
+    { new: true, projection: { memberCount: 1 } }
+  ).lean();
+  if (!updated) {
+    throw planError(402, `${company.name || 'This company'} has reached its ${plan.maxMembers}-member limit on the ${plan.label} plan`, {
+      plan: plan.key,
+      limit: 'maxMembers',
+      maxMembers: plan.maxMembers
+    });
+  }
+  return updated.memberCount;
+}
+
+/**
+ * Give back a seat taken by reserveMemberSeat
+ */
+export async function releaseMemberSeat(company) {
+  await Company.updateOne({ _id: company._id, memberCount: { $gt: 0 } }, { $inc: { memberCount: -1 } });
+}
+
+/**
+ * Plan, limits and this month's usage of a company (for the billing settings card)
+ */
+export async function getPlanUsage(company) {
+  const plan = getCompanyPlan(company);
+  const period = usagePeriod();
+  const members = await User.countDocuments({ companyId: company._id });
+  return {
+    enabled: plansEnabled(),
+    plan,
+    usage: {
+      period,
+      searches: company.planUsage?.period === period ? company.planUsage.searches : 0,
+      searchesLimit: plan.searchesPerMonth,
+      resetsAt: periodResetsAt(),
+      members,
+      membersLimit: plan.maxMembers
+    },
+    plans: plansEnabled() ? PLANS : [],
+    featureLabels: PLAN_FEATURE_LABELS
+  };
+}
@@ -0,0 +1,40 @@
+import User from '../models/User.js';
+
+/**
+ * Emails listed in PLATFORM_ADMIN_EMAILS (comma-separated, case-insensitive)
+ */
+export function platformAdminEmails() {
+  return (process.env.PLATFORM_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Make PLATFORM_ADMIN_EMAILS the source of truth for platformRole: listed users with a verified
+ * email become platform admins, anyone else loses the role. Left alone when the variable is unset.
+ * Verification matters because anyone can sign up with a listed address before its owner does.
+ */
+export async function syncPlatformAdmins() {
+  if (process.env.PLATFORM_ADMIN_EMAILS === undefined) return;
+  const emails = platformAdminEmails();
+  try {
+    const [granted, revoked, unverified] = await Promise.all([
+      User.updateMany(
+        { email: { $in: emails }, emailVerifiedAt: { $ne: null }, platformRole: { $ne: 'admin' } },
+        { $set: { platformRole: 'admin' } }
+      ),
+      User.updateMany(
+        { platformRole: 'admin', $or: [{ email: { $nin: emails } }, { emailVerifiedAt: null }] },
+        { $set: { platformRole: null } }
+      ),
+      User.find({ email: { $in: emails }, emailVerifiedAt: null }).distinct('email')
+    ]);
+    console.log(`[ADMIN] Platform admins: ${emails.length} listed, ${granted.modifiedCount} granted, ${revoked.modifiedCount} revoked`);
+    if (unverified.length > 0) {
+      console.warn(`[ADMIN] ⚠️  Not granted until the email is verified (yarn verify:email <email>): ${unverified.join(', ')}`);
+    }
+  } catch (err) {
+    console.error('[ADMIN] ❌ Failed to sync platform admins:', err.message);
+  }
+}
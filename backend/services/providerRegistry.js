@@ -0,0 +1,480 @@
+import dotenv from 'dotenv';
+import ProviderHealth from '../models/ProviderHealth.js';
+import User from '../models/User.js';
+import {
+  searchDuckDuckGo,
+  searchBing,
+  searchGooglePlaces,
+  searchGoogleCustomSearch,
+  searchOpenStreetMap,
+  searchOverpass,
+  searchSearxng
+} from './searchProviders.js';
+
+dotenv.config();
+
+// Days of ProviderHealth history used for scoring
+const HEALTH_WINDOW_DAYS = parseInt(process.env.PROVIDER_HEALTH_WINDOW_DAYS || '7', 10);
+// How often the in-memory health snapshot is reloaded from MongoDB
+const HEALTH_REFRESH_MS = 60000;
+// Consecutive failures before a provider is benched, and for how long
+const CIRCUIT_FAILURES = parseInt(process.env.PROVIDER_CIRCUIT_FAILURES || '3', 10);
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.PROVIDER_CIRCUIT_COOLDOWN_MS || '300000', 10);
+// Below this success rate (with enough calls) a primary provider is demoted to supplement
+const UNHEALTHY_SUCCESS_RATE = 0.2;
+const MIN_CALLS_FOR_SCORING = 5;
+
+/**
+ * Provider definitions
+ * - kind: 'local' (map/business data) or 'web' (web search)
+ * - tiers: role for local vs digital queries. 'primary' runs in parallel up front,
+ *   'supplement' runs sequentially while results are short, 'fallback' only when shouldRun() says so.
+ *   null = not used for that kind of query
+ * - supplementWhen: 'belowMax' (fewer than requested) or 'belowMin' (fewer than the minimum)
+ * - expandTerms: run once per adaptive expansion term instead of once with the raw query
+ * - countries: ISO codes the provider covers (null = everywhere)
+ * - cost: 'free' | 'freemium' (free quota, then paid) | 'paid'
+ */
+const PROVIDERS = [
+  {
+    key: 'overpass',
+    label: 'Overpass',
+    kind: 'local',
+    tiers: { local: 'primary', digital: 'primary' },
+    expandTerms: true,
+    countries: null,
+    cost: 'free',
+    costPerCallUsd: 0,
+    rateLimitPerMinute: 20,
+    timeoutMs: 12000,
+    isConfigured: () => true,
+    search: ({ term, country, location, maxResults }) => searchOverpass(term, country, location, maxResults)
+  },
+  {
+    key: 'searxng',
+    label: 'SearxNG',
+    kind: 'web',
+    tiers: { local: 'primary', digital: 'primary' },
+    countries: null,
+    cost: 'free',
+    costPerCallUsd: 0,
+    rateLimitPerMinute: 30,
+    timeoutMs: 12000,
+    isConfigured: () => !!(process.env.SEARXNG_URL || process.env.SEARXNG_URLS),
+    search: ({ query, country, location, maxResults }) => searchSearxng(query, country, location, maxResults)
+  },
+  {
+    key: 'osm',
+    label: 'OpenStreetMap',
+    kind: 'local',
+    tiers: { local: 'primary', digital: 'primary' },
+    expandTerms: true,
+    countries: null,
+    cost: 'free',
+    costPerCallUsd: 0,
+    // Nominatim usage policy: 1 request/second
+    rateLimitPerMinute: 60,
+    timeoutMs: 12000,
+    isConfigured: () => true,
+    search: ({ term, terms, country, location, maxResults }) => searchOpenStreetMap(term, country, location, maxResults, terms)
+  },
+  {
+    key: 'bing',
+    label: 'Bing',
+    kind: 'web',
+    tiers: { local: 'supplement', digital: 'primary' },
+    supplementWhen: 'belowMax',
+    countries: null,
+    cost: 'freemium',
+    costPerCallUsd: 0.003,
+    rateLimitPerMinute: 180,
+    timeoutMs: 15000,
+    isConfigured: () => !!process.env.BING_API_KEY,
+    search: ({ query, country, location, maxResults }) => searchBing(query, country, location, maxResults)
+  },
+  {
+    key: 'customSearch',
+    label: 'Google Custom Search',
+    kind: 'web',
+    tiers: { local: null, digital: 'primary' },
+    countries: null,
+    cost: 'freemium',
+    costPerCallUsd: 0.005,
+    rateLimitPerMinute: 60,
+    timeoutMs: 15000,
+    isConfigured: () => !!(process.env.GOOGLE_CSE_ID && process.env.GOOGLE_API_KEY),
+    search: ({ query, country, location, maxResults }) => searchGoogleCustomSearch(query, country, location, maxResults)
+  },
+  {
+    key: 'ddg',
+    label: 'DuckDuckGo',
+    kind: 'web',
+    tiers: { local: 'supplement', digital: 'supplement' },
+    supplementWhen: 'belowMin',
+    countries: null,
+    cost: 'free',
+    costPerCallUsd: 0,
+    // Rate limits aggressively (HTTP 202)
+    rateLimitPerMinute: 6,
+    timeoutMs: 20000,
+    isConfigured: () => true,
+    search: ({ query, country, location, maxResults }) => searchDuckDuckGo(query, country, location, maxResults)
+  },
+  {
+    key: 'places',
+    label: 'Google Places',
+    kind: 'local',
+    tiers: { local: 'fallback', digital: 'fallback' },
+    countries: null,
+    cost: 'paid',
+    costPerCallUsd: 0.032,
+    rateLimitPerMinute: 100,
+    timeoutMs: 20000,
+    // Cap paid lookups
+    maxResults: 20,
+    isConfigured: () => !!process.env.GOOGLE_PLACES_API_KEY,
+    // Use when OSM found nothing for the location, or when every free source came back empty
+    shouldRun: ({ location, counts, total }) => (location && (counts.osm || 0) === 0) || total === 0,
+    search: ({ query, country, location, maxResults }) => searchGooglePlaces(query, country, location, maxResults)
+  }
+];
+
+export const PROVIDER_KEYS = PROVIDERS.map(p => p.key);
+
+// Per-process state: recent call timestamps for rate limiting, circuit breaker counters
+const recentCalls = new Map(); // key -> [timestamps]
+const circuits = new Map(); // key -> { consecutiveFailures, openedAt }
+let healthSnapshot = {};
+let healthLoadedAt = 0;
+
+function envKey(key) {
+  return key.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Provider definition with env overrides applied
+ * SEARCH_PROVIDER_<KEY>_TIMEOUT_MS, SEARCH_PROVIDER_<KEY>_RATE_LIMIT, SEARCH_PROVIDER_<KEY>_COUNTRIES
+ */
+function getProviderConfig(provider) {
+  const prefix = `SEARCH_PROVIDER_${envKey(provider.key)}_`;
+  const timeoutMs = parseInt(process.env[`${prefix}TIMEOUT_MS`] || '', 10);
+  const rateLimit = parseInt(process.env[`${prefix}RATE_LIMIT`] || '', 10);
+  const countries = process.env[`${prefix}COUNTRIES`];
+  return {
+    ...provider,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : provider.timeoutMs,
+    rateLimitPerMinute: Number.isFinite(rateLimit) && rateLimit > 0 ? rateLimit : provider.rateLimitPerMinute,
+    countries: countries ? countries.split(',').map(c => c.trim().toLowerCase()).filter(Boolean) : provider.countries
+  };
+}
+
+function globallyDisabled() {
+  return (process.env.SEARCH_PROVIDERS_DISABLED || '')
+    .split(',')
+    .map(k => k.trim())
+    .filter(Boolean);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Reload the health snapshot (summed over the window) if it is stale
+ */
+async function refreshHealth(force = false) {
+  if (!force && Date.now() - healthLoadedAt < HEALTH_REFRESH_MS) return healthSnapshot;
+  try {
+    const since = new Date(Date.now() - HEALTH_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = await ProviderHealth.aggregate([
+      { $match: { day: { $gte: since } } },
+      {
+        $group: {
+          _id: '$provider',
+          calls: { $sum: '$calls' },
+          successes: { $sum: '$successes' },
+          failures: { $sum: '$failures' },
+          timeouts: { $sum: '$timeouts' },
+          emptyResults: { $sum: '$emptyResults' },
+          totalLatencyMs: { $sum: '$totalLatencyMs' },
+          totalResults: { $sum: '$totalResults' },
+          lastSuccessAt: { $max: '$lastSuccessAt' },
+          lastFailureAt: { $max: '$lastFailureAt' }
+        }
+      }
+    ]);
+    const snapshot = {};
+    for (const row of rows) {
+      snapshot[row._id] = row;
+    }
+    healthSnapshot = snapshot;
+    healthLoadedAt = Date.now();
+  } catch (err) {
+    console.error('[PROVIDERS] Failed to load provider health:', err.message);
+    // Keep the old snapshot; retry on the next refresh
+    healthLoadedAt = Date.now();
+  }
+  return healthSnapshot;
+}
+
+/**
+ * Health summary for a provider
+ * @returns {{ calls, successRate, avgLatencyMs, avgResults, timeouts, lastSuccessAt, lastFailureAt, circuitOpen }}
+ */
+export function getProviderHealth(key) {
+  const h = healthSnapshot[key] || {};
+  const calls = h.calls || 0;
+  const circuit = circuits.get(key);
+  return {
+    calls,
+    // Smoothed so a provider with no history starts out neutral instead of perfect or dead
+    successRate: ((h.successes || 0) + 1) / (calls + 2),
+    avgLatencyMs: calls > 0 ? Math.round((h.totalLatencyMs || 0) / calls) : null,
+    avgResults: (h.successes || 0) > 0 ? Math.round((h.totalResults || 0) / h.successes) : null,
+    timeouts: h.timeouts || 0,
+    emptyResults: h.emptyResults || 0,
+    lastSuccessAt: h.lastSuccessAt || null,
+    lastFailureAt: h.lastFailureAt || null,
+    circuitOpen: isCircuitOpen(key),
+    consecutiveFailures: circuit?.consecutiveFailures || 0
+  };
+}
+
+function isCircuitOpen(key) {
+  const circuit = circuits.get(key);
+  if (!circuit || circuit.consecutiveFailures < CIRCUIT_FAILURES) return false;
+  // Half-open after the cooldown: let one call through to probe
+  return Date.now() - circuit.openedAt < CIRCUIT_COOLDOWN_MS;
+}
+
+function isRateLimited(provider) {
+  const now = Date.now();
+  const calls = (recentCalls.get(provider.key) || []).filter(t => now - t < 60000);
+  recentCalls.set(provider.key, calls);
+  return calls.length >= provider.rateLimitPerMinute;
+}
+
+/**
+ * Score used to order providers within a tier: success rate weighted by speed
+ */
+function scoreProvider(provider) {
+  const health = getProviderHealth(provider.key);
+  const latency = health.avgLatencyMs ?? provider.timeoutMs / 2;
+  return health.successRate / (1 + latency / provider.timeoutMs);
+}
+
+/**
+ * Timeout tuned to observed latency: 3x the average, never above the configured cap
+ */
+function adaptiveTimeout(provider) {
+  const health = getProviderHealth(provider.key);
+  if (health.calls < MIN_CALLS_FOR_SCORING || !health.avgLatencyMs) return provider.timeoutMs;
+  return Math.max(3000, Math.min(provider.timeoutMs, health.avgLatencyMs * 3));
+}
+
+/**
+ * Record the outcome of one provider call (in memory and in MongoDB)
+ */
+export function recordProviderResult(key, { ok, latencyMs = 0, resultCount = 0, timedOut = false, error = null }) {
+  const circuit = circuits.get(key) || { consecutiveFailures: 0, openedAt: 0 };
+  if (ok) {
+    circuit.consecutiveFailures = 0;
+  } else {
+    circuit.consecutiveFailures++;
+    if (circuit.consecutiveFailures >= CIRCUIT_FAILURES) {
+      circuit.openedAt = Date.now();
+      console.log(`[PROVIDERS] ⏸️  ${key} benched for ${Math.round(CIRCUIT_COOLDOWN_MS / 1000)}s after ${circuit.consecutiveFailures} consecutive failures`);
+    }
+  }
+  circuits.set(key, circuit);
+
+  // Keep the local snapshot roughly current between refreshes
+  const h = healthSnapshot[key] || (healthSnapshot[key] = { calls: 0, successes: 0, failures: 0, timeouts: 0, emptyResults: 0, totalLatencyMs: 0, totalResults: 0 });
+  h.calls++;
+  h.totalLatencyMs += latencyMs;
+  if (ok) {
+    h.successes++;
+    h.totalResults += resultCount;
+    if (resultCount === 0) h.emptyResults++;
+    h.lastSuccessAt = new Date();
+  } else {
+    h.failures++;
+    if (timedOut) h.timeouts++;
+    h.lastFailureAt = new Date();
+  }
+
+  const update = {
+    $inc: {
+      calls: 1,
+      successes: ok ? 1 : 0,
+      failures: ok ? 0 : 1,
+      timeouts: timedOut ? 1 : 0,
+      emptyResults: ok && resultCount === 0 ? 1 : 0,
+      totalLatencyMs: latencyMs,
+      totalResults: ok ? resultCount : 0
+    },
+    $setOnInsert: { createdAt: new Date() }
+  };
+  if (ok) {
+    update.$set = { lastSuccessAt: new Date() };
+  } else {
+    update.$set = { lastFailureAt: new Date(), lastError: String(error || '').substring(0, 200) };
+  }
+  ProviderHealth.updateOne({ provider: key, day: today() }, update, { upsert: true }).catch(err => {
+    console.error(`[PROVIDERS] Failed to record health for ${key}:`, err.message);
+  });
+}
+
+/**
+ * Run one provider with rate limiting, an adaptive timeout and health reporting.
+ * Never throws.
+ * @returns {Promise<{ results: Array, run: Object }>} run = { provider, ran, terms, resultCount, latencyMs, timedOut, error, skippedReason }
+ */
+export async function runProvider(key, ctx) {
+  const def = PROVIDERS.find(p => p.key === key);
+  const run = { provider: key, ran: false, terms: [], resultCount: 0, latencyMs: 0, timedOut: false, error: null, skippedReason: null };
+  if (!def) {
+    run.skippedReason = 'unknown';
+    return { results: [], run };
+  }
+  const provider = getProviderConfig(def);
+
+  if (isRateLimited(provider)) {
+    run.skippedReason = 'rate_limited';
+    console.log(`[SEARCH] ⚠️  ${provider.label} skipped: rate limit (${provider.rateLimitPerMinute}/min)`);
+    return { results: [], run };
+  }
+
+  const timeoutMs = ctx.timeoutMs || adaptiveTimeout(provider);
+  const maxResults = Math.min(ctx.maxResults, provider.maxResults || ctx.maxResults);
+  const terms = provider.expandTerms && ctx.terms?.length ? ctx.terms : [ctx.query];
+  const withTimeout = (p) => Promise.race([
+    p,
+    new Promise((_, reject) => setTimeout(() => {
+      const err = new Error(`${provider.label} timed out after ${timeoutMs}ms`);
+      err.timedOut = true;
+      reject(err);
+    }, timeoutMs))
+  ]);
+
+  const started = Date.now();
+  const seen = new Set();
+  const results = [];
+  run.ran = true;
+  try {
+    for (const term of terms) {
+      recentCalls.get(provider.key).push(Date.now());
+      run.terms.push(term);
+      const chunk = await withTimeout(provider.search({ ...ctx, term, maxResults }));
+      for (const r of (chunk || [])) {
+        if (r.link && !seen.has(r.link)) {
+          seen.add(r.link);
+          results.push({ ...r, sourceProvider: provider.key });
+        }
+      }
+      if (results.length >= maxResults) break;
+    }
+    run.latencyMs = Date.now() - started;
+    run.resultCount = results.length;
+    recordProviderResult(provider.key, { ok: true, latencyMs: run.latencyMs, resultCount: results.length });
+    console.log(`[SEARCH] ${provider.label} done: ${results.length} (${run.latencyMs}ms)`);
+  } catch (e) {
+    run.latencyMs = Date.now() - started;
+    run.timedOut = !!e.timedOut;
+    run.error = e.message;
+    // Keep whatever earlier terms produced
+    run.resultCount = results.length;
+    recordProviderResult(provider.key, { ok: false, latencyMs: run.latencyMs, timedOut: run.timedOut, error: e.message });
+    console.log(`[SEARCH] ⚠️  ${provider.label} skipped: ${e.message}`);
+  }
+  return { results, run };
+}
+
+/**
+ * Decide which providers run for a search, and in which role
+ * @param {Object} options
+ * @param {boolean} options.isDigital - Digital/software query (web search first)
+ * @param {string|null} options.country
+ * @param {string[]} options.disabledProviders - Company-level opt-outs
+ * @returns {Promise<{ primary: Object[], supplement: Object[], fallback: Object[], skipped: Object[] }>}
+ */
+export async function selectProviders({ isDigital = false, country = null, disabledProviders = [] } = {}) {
+  await refreshHealth();
+  const mode = isDigital ? 'digital' : 'local';
+  const disabled = new Set([...globallyDisabled(), ...(disabledProviders || [])]);
+  const plan = { primary: [], supplement: [], fallback: [], skipped: [] };
+  const countryCode = country ? String(country).toLowerCase() : null;
+
+  for (const def of PROVIDERS) {
+    const provider = getProviderConfig(def);
+    let tier = provider.tiers[mode];
+    let skippedReason = null;
+    if (!tier) skippedReason = 'not_applicable';
+    else if (disabled.has(provider.key)) skippedReason = 'disabled';
+    else if (!provider.isConfigured()) skippedReason = 'not_configured';
+    else if (countryCode && provider.countries && !provider.countries.includes(countryCode)) skippedReason = 'country_not_supported';
+    else if (isCircuitOpen(provider.key)) skippedReason = 'circuit_open';
+
+    if (skippedReason) {
+      plan.skipped.push({ provider: provider.key, skippedReason });
+      continue;
+    }
+
+    // Unreliable primaries only run when the others leave us short
+    const health = getProviderHealth(provider.key);
+    if (tier === 'primary' && health.calls >= MIN_CALLS_FOR_SCORING && health.successRate < UNHEALTHY_SUCCESS_RATE) {
+      console.log(`[PROVIDERS] ↩️  ${provider.label} demoted to supplement (success rate ${Math.round(health.successRate * 100)}%)`);
+      tier = 'supplement';
+      provider.supplementWhen = provider.supplementWhen || 'belowMin';
+    }
+    plan[tier].push({ ...provider, score: scoreProvider(provider) });
+  }
+
+  // Free before paid, then best score first
+  const costRank = { free: 0, freemium: 1, paid: 2 };
+  for (const tier of ['primary', 'supplement', 'fallback']) {
+    plan[tier].sort((a, b) => (costRank[a.cost] - costRank[b.cost]) || (b.score - a.score));
+  }
+  return plan;
+}
+
+/**
+ * Providers disabled by the company of the given user
+ */
+export async function getDisabledProvidersForUser(userId) {
+  if (!userId) return [];
+  try {
+    const user = await User.findById(userId).populate('companyId');
+    return user?.companyId?.settings?.disabledProviders || [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Capabilities, configuration and health of every provider (for settings/admin screens)
+ * @param {string[]} disabledProviders - Company-level opt-outs
+ */
+export async function listProviders(disabledProviders = []) {
+  await refreshHealth();
+  const disabled = new Set(disabledProviders || []);
+  const global = new Set(globallyDisabled());
+  return PROVIDERS.map(def => {
+    const provider = getProviderConfig(def);
+    return {
+      key: provider.key,
+      label: provider.label,
+      kind: provider.kind,
+      tiers: provider.tiers,
+      countries: provider.countries,
+      cost: provider.cost,
+      costPerCallUsd: provider.costPerCallUsd,
+      rateLimitPerMinute: provider.rateLimitPerMinute,
+      timeoutMs: provider.timeoutMs,
+      configured: provider.isConfigured(),
+      globallyDisabled: global.has(provider.key),
+      enabled: !disabled.has(provider.key),
+      health: getProviderHealth(provider.key)
+    };
+  });
+}
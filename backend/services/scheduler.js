@@ -0,0 +1,144 @@
+import dotenv from 'dotenv';
+import Search from '../models/Search.js';
+import User from '../models/User.js';
+import { searchQueue, ACTIVE_SEARCH_STATUSES } from './searchQueue.js';
+import { getNextRun, validateSchedule } from '../utils/cronParser.js';
+import { getCompanyPlan, checkResultCount, consumeSearchQuota, refundSearchQuota } from './plans.js';
+
+dotenv.config();
+
+// How often due schedules are checked
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '60000', 10);
+
+let timer = null;
+let running = false;
+
+/**
+ * Start a new run of a scheduled template
+ * @returns {Promise<Object|null>} the new Search, or null if the previous run is still going
+ *   or the company's plan doesn't allow it right now
+ */
+export async function runTemplate(template) {
+  // Don't pile runs up behind a slow one
+  if (template.schedule?.lastRunSearchId) {
+    const previous = await Search.findById(template.schedule.lastRunSearchId).select('status');
+    if (previous && ACTIVE_SEARCH_STATUSES.includes(previous.status)) {
+      console.log(`[SCHEDULER] ⏸️  Template ${template._id} previous run ${previous._id} still ${previous.status}, skipping this slot`);
+      return null;
+    }
+  }
+
+  // Scheduled runs count against the plan like any other search
+  const owner = await User.findById(template.userId).select('companyId').populate('companyId');
+  let plan = null;
+  if (owner?.companyId) {
+    try {
+      plan = getCompanyPlan(owner.companyId);
+      checkResultCount(plan, template.resultCount);
+      await consumeSearchQuota(owner.companyId);
+    } catch (planError) {
+      if (!planError.status) throw planError;
+      console.log(`[SCHEDULER] ⏸️  Template ${template._id} skipped: ${planError.message}`);
+      return null;
+    }
+  }
+
+  const run = new Search({
+    query: template.query,
+    country: template.country,
+    location: template.location,
+    industry: template.industry,
+    resultCount: template.resultCount,
+    userId: template.userId,
+    priority: Math.max(template.priority || 0, plan?.queuePriority || 0),
+    templateId: template._id,
+    // Lookalike templates re-run with their seeds' saved analysis
+    ...(template.source === 'lookalike' ? { source: 'lookalike', lookalike: template.toObject().lookalike } : {}),
+    status: 'pending',
+    startedAt: new Date()
+  });
+  let saved = false;
+  try {
+    await run.save();
+    saved = true;
+
+    await Search.updateOne(
+      { _id: template._id },
+      {
+        $set: { 'schedule.lastRunAt': new Date(), 'schedule.lastRunSearchId': run._id },
+        $inc: { 'schedule.runCount': 1 }
+      }
+    );
+    await searchQueue.add(run._id, template.userId);
+  } catch (err) {
+    // The run never got queued - give its search back to the monthly quota
+    if (owner?.companyId) await refundSearchQuota(owner.companyId).catch(() => {});
+    if (saved) {
+      await Search.updateOne(
+        { _id: run._id },
+        { $set: { status: 'failed', error: `Could not queue scheduled run: ${err.message}`, completedAt: new Date() } }
+      ).catch(() => {});
+    }
+    throw err;
+  }
+  console.log(`[SCHEDULER] ▶️  Started run ${run._id} of template "${template.templateName || template.query}"`);
+  return run;
+}
+
+/**
+ * Start every template whose nextRunAt has passed
+ * Each slot is claimed by moving nextRunAt forward with a conditional update,
+ * so several workers can run the scheduler without double-starting a template.
+ */
+export async function runDueSchedules() {
+  if (running) return;
+  running = true;
+  try {
+    const now = new Date();
+    const due = await Search.find({
+      isTemplate: true,
+      'schedule.enabled': true,
+      'schedule.nextRunAt': { $lte: now }
+    }).limit(50);
+
+    for (const template of due) {
+      const check = validateSchedule(template.schedule.cron, now);
+      if (!check.valid) {
+        console.error(`[SCHEDULER] ❌ Template ${template._id} has an invalid schedule (${check.error}), disabling`);
+        await Search.updateOne({ _id: template._id }, { $set: { 'schedule.enabled': false } });
+        continue;
+      }
+
+      const claimed = await Search.findOneAndUpdate(
+        { _id: template._id, 'schedule.enabled': true, 'schedule.nextRunAt': template.schedule.nextRunAt },
+        { $set: { 'schedule.nextRunAt': getNextRun(template.schedule.cron, now) } },
+        { new: true }
+      );
+      if (!claimed) continue; // Another worker took this slot
+
+      try {
+        await runTemplate(claimed);
+      } catch (err) {
+        console.error(`[SCHEDULER] ❌ Failed to start template ${template._id}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('[SCHEDULER] ❌ Schedule check failed:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+export function startScheduler() {
+  if (timer) return;
+  console.log(`[SCHEDULER] Checking scheduled searches every ${SCHEDULER_INTERVAL_MS / 1000}s`);
+  timer = setInterval(runDueSchedules, SCHEDULER_INTERVAL_MS);
+  runDueSchedules();
+}
+
+export function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
@@ -0,0 +1,44 @@
+import Search from '../models/Search.js';
+import Lead from '../models/Lead.js';
+import { detectDuplicates } from './duplicateDetector.js';
+
+/**
+ * Build the "new leads only" digest for a scheduled run
+ * A lead is new when detectDuplicates finds no match in the template's own results
+ * or in any earlier run of the same template.
+ * @param {Object} run - Search document with templateId set
+ * @returns {Promise<Object>} digest
+ */
+export async function buildDigest(run) {
+  const earlierRuns = await Search.find({
+    templateId: run.templateId,
+    _id: { $ne: run._id },
+    createdAt: { $lt: run.createdAt }
+  }).select('_id');
+  const otherSearchIds = [run.templateId, ...earlierRuns.map(r => r._id)];
+
+  const leads = await Lead.find({ searchId: run._id, isDuplicate: false })
+    .select('_id companyName website');
+
+  const newLeadIds = [];
+  let knownCount = 0;
+  for (const lead of leads) {
+    const check = await detectDuplicates(lead, run._id, { otherSearchIds, sameSearch: false });
+    if (check.isDuplicate) {
+      knownCount++;
+    } else {
+      newLeadIds.push(lead._id);
+    }
+  }
+
+  const digest = {
+    newLeadIds,
+    newCount: newLeadIds.length,
+    knownCount,
+    comparedRuns: otherSearchIds.length,
+    generatedAt: new Date()
+  };
+  await Search.updateOne({ _id: run._id }, { $set: { digest } });
+  console.log(`[DIGEST] Search ${run._id}: ${digest.newCount} new, ${knownCount} already seen across ${otherSearchIds.length} earlier run(s)`);
+  return digest;
+}
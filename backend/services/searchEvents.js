@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import SearchEvent from '../models/SearchEvent.js';
+
+// Events younger than this may still be in flight from the worker (inserts are fire-and-forget),
+// so readers wait for them to settle instead of risking skipping one
+const SETTLE_MS = 1000;
+
+/**
+ * Record a progress event for a search.
+ * Events go through MongoDB because searches run in worker processes, not in the API server.
+ * Never throws - a failed write must not interrupt the pipeline.
+ * @param {string|ObjectId} searchId
+ * @param {string} type - 'lead' | 'providers' | 'lookalike'
+ * @param {Object} data
+ */
+export function emitSearchEvent(searchId, type, data = {}) {
+  SearchEvent.create({ searchId, type, data }).catch(err => {
+    console.error(`[EVENTS] Failed to record ${type} event for search ${searchId}:`, err.message);
+  });
+}
+
+/**
+ * Record what happened to one search result
+ * @param {string|ObjectId} searchId
+ * @param {string} action - 'extracted' | 'enriched' | 'updated' | 'duplicate' | 'rejected'
+ * @param {Object|null} lead - Lead document (null when the result was dropped before a lead was saved)
+ * @param {Object} extra - e.g. { title, link, reason }
+ */
+export function emitLeadEvent(searchId, action, lead, extra = {}) {
+  emitSearchEvent(searchId, 'lead', {
+    action,
+    leadId: lead?._id || null,
+    companyName: lead?.companyName || extra.title || null,
+    ...extra
+  });
+}
+
+/**
+ * Settled events for a search after the given event ID, oldest first
+ * @param {string|ObjectId} searchId
+ * @param {string|null} afterId - Last event ID the client has seen
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export async function getSearchEventsSince(searchId, afterId = null, limit = 200) {
+  const query = {
+    searchId,
+    createdAt: { $lte: new Date(Date.now() - SETTLE_MS) }
+  };
+  if (afterId && mongoose.isValidObjectId(afterId)) {
+    query._id = { $gt: afterId };
+  }
+  return SearchEvent.find(query).sort({ _id: 1 }).limit(limit).lean();
+}
@@ -0,0 +1,70 @@
+import Search from '../models/Search.js';
+import { buildDigest } from './searchDigest.js';
+import { syncSearchAccounts, getSearchCompanyId } from './accountService.js';
+import { mergeSearchDuplicates } from './leadMerger.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { settleSearchHold } from './billing.js';
+
+/**
+ * search.completed webhook - completed runs only, failed searches don't notify
+ */
+async function notifySearchCompleted(search, digest) {
+  if (search.status !== 'completed') return;
+  const companyId = await getSearchCompanyId(search);
+  await emitWebhookEvent(companyId, 'search.completed', {
+    searchId: search._id,
+    query: search.query,
+    country: search.country,
+    location: search.location || null,
+    source: search.source,
+    templateId: search.templateId || null,
+    totalResults: search.totalResults,
+    extractedCount: search.extractedCount,
+    enrichedCount: search.enrichedCount,
+    newLeadCount: digest?.newCount ?? null,
+    startedAt: search.startedAt,
+    completedAt: search.completedAt
+  });
+}
+
+/**
+ * Completion hooks for a search
+ * Called by the queue once a job is finished or failed (including its background fill).
+ * Runs at most once per search: finalizedAt is claimed atomically, so a re-leased job
+ * or a second worker can't repeat side effects.
+ * Each step is isolated - one failing hook doesn't stop the others.
+ * @param {string|ObjectId} searchId
+ */
+export async function finalizeSearch(searchId) {
+  const search = await Search.findOneAndUpdate(
+    { _id: searchId, finalizedAt: null, status: { $in: ['completed', 'failed'] } },
+    { $set: { finalizedAt: new Date() } },
+    { new: true }
+  );
+  if (!search) return null;
+
+  let digest = null;
+  const steps = [
+    // Fold contacts found by duplicate leads into their canonical lead (before accounts read them)
+    ['merge', () => mergeSearchDuplicates(search)],
+    // Charge the credit hold for the leads delivered (duplicates now known) and release the rest
+    ['credits', () => settleSearchHold(search._id)],
+    // Merge the leads into their company-wide Account records
+    ['accounts', () => syncSearchAccounts(search)],
+    // Scheduled runs: net-new companies compared to earlier runs of the template
+    ['digest', async () => {
+      if (search.templateId && search.status === 'completed') digest = await buildDigest(search);
+    }],
+    // Outgoing search.completed webhooks (after the digest so new-lead counts are included)
+    ['webhooks', () => notifySearchCompleted(search, digest)]
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (err) {
+      console.error(`[FINALIZE] ❌ ${name} failed for search ${searchId}:`, err.message);
+    }
+  }
+  return search;
+}
@@ -0,0 +1,162 @@
+import XLSX from 'xlsx';
+import dotenv from 'dotenv';
+import { normalizeUrl } from '../utils/urlNormalizer.js';
+import { isSocialMediaUrl } from '../utils/socialMediaDetector.js';
+import { isInvalidDomain } from '../config/domainValidation.js';
+
+dotenv.config();
+
+// Largest company list accepted in one upload
+export const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '500', 10);
+
+// Only the first errors are kept; the rest are counted
+const MAX_REPORTED_ERRORS = 200;
+
+// Accepted header names per column (compared lowercased, without punctuation)
+const COLUMN_ALIASES = {
+  companyName: ['company', 'companyname', 'name', 'business', 'businessname', 'organization', 'organisation', 'account', 'accountname'],
+  website: ['website', 'domain', 'url', 'site', 'web', 'homepage', 'companywebsite', 'companydomain'],
+  phone: ['phone', 'phonenumber', 'telephone', 'tel'],
+  address: ['address', 'location', 'streetaddress']
+};
+
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Map sheet headers to the columns we understand
+ * @returns {Object} { companyName, website, phone, address } → original header (or undefined)
+ */
+function mapColumns(headers) {
+  const mapping = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    mapping[column] = headers.find(h => aliases.includes(normalizeHeader(h)));
+  }
+  return mapping;
+}
+
+/**
+ * Turn a website cell into an https URL, or throw with a user-facing reason
+ */
+export function parseWebsite(raw) {
+  let value = String(raw).trim();
+  if (!/^https?:\/\//i.test(value)) {
+    value = `https://${value}`;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    throw new Error(`Invalid website "${raw}"`);
+  }
+  const hostname = url.hostname.toLowerCase();
+  if (!hostname.includes('.')) {
+    throw new Error(`Invalid website "${raw}"`);
+  }
+  if (isSocialMediaUrl(url.href)) {
+    throw new Error(`Social media URL is not a company website: "${raw}"`);
+  }
+  if (isInvalidDomain(hostname)) {
+    throw new Error(`Unsupported website domain "${hostname}"`);
+  }
+  return `${url.protocol}//${url.host}${url.pathname === '/' ? '' : url.pathname}`;
+}
+
+/**
+ * Parse an uploaded CSV/XLSX company list into pipeline results
+ * Each accepted row becomes a result shaped like a provider result, so it can go straight into processOne.
+ * Rows with only a company name get an empty link; the pipeline looks their website up.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { results, errors: [{ row, error }], errorCount, totalRows }
+ * @throws {Error} when the file can't be read or has no usable columns
+ */
+export function parseImportFile(buffer) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: false });
+  } catch (e) {
+    throw new Error('Could not read file. Upload a CSV or XLSX file.');
+  }
+  const sheetName = workbook.SheetNames[0];
+  if (!sheetName) {
+    throw new Error('File has no sheets');
+  }
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+  if (rows.length === 0) {
+    throw new Error('File has no rows');
+  }
+
+  const columns = mapColumns(Object.keys(rows[0]));
+  if (!columns.companyName && !columns.website) {
+    throw new Error('File needs a company name column (e.g. "Company") and/or a website column (e.g. "Website" or "Domain")');
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new Error(`File has ${rows.length} rows; the limit is ${IMPORT_MAX_ROWS} per import`);
+  }
+
+  const results = [];
+  const errors = [];
+  let errorCount = 0;
+  const seenWebsites = new Set();
+  const seenNames = new Set();
+
+  const addError = (row, error) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ row, error });
+  };
+
+  rows.forEach((row, idx) => {
+    // Spreadsheet row number as the user sees it (blank rows are skipped by sheet_to_json)
+    const rowNumber = row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : idx + 2;
+    const companyName = columns.companyName ? String(row[columns.companyName]).trim() : '';
+    const rawWebsite = columns.website ? String(row[columns.website]).trim() : '';
+
+    if (!companyName && !rawWebsite) {
+      addError(rowNumber, 'Missing company name and website');
+      return;
+    }
+
+    let link = '';
+    if (rawWebsite) {
+      try {
+        link = parseWebsite(rawWebsite);
+      } catch (err) {
+        // A name alone is still usable - the pipeline will look the website up
+        if (!companyName) {
+          addError(rowNumber, err.message);
+          return;
+        }
+        addError(rowNumber, `${err.message}; using company name only`);
+      }
+    }
+
+    const dedupeKey = link ? normalizeUrl(link) : companyName.toLowerCase();
+    const seen = link ? seenWebsites : seenNames;
+    if (seen.has(dedupeKey)) {
+      addError(rowNumber, `Duplicate of an earlier row (${link || companyName})`);
+      return;
+    }
+    seen.add(dedupeKey);
+
+    results.push({
+      title: companyName || new URL(link).hostname.replace(/^www\./, ''),
+      link,
+      snippet: '',
+      phone: columns.phone ? String(row[columns.phone]).trim() || undefined : undefined,
+      address: columns.address ? String(row[columns.address]).trim() || undefined : undefined,
+      source: 'import',
+      sourceProvider: 'import',
+      importRow: rowNumber
+    });
+  });
+
+  return { results, errors, errorCount, totalRows: rows.length };
+}
+
+/**
+ * Checkpoint key of a pipeline result (imported name-only rows have no link)
+ */
+export function resultKey(result) {
+  return result.link || (result.importRow ? `import:row-${result.importRow}` : '');
+}
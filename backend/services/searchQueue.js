@@ -0,0 +1,661 @@
+import os from 'os';
+import dotenv from 'dotenv';
+import Search from '../models/Search.js';
+import Lead from '../models/Lead.js';
+import SearchJob from '../models/SearchJob.js';
+import { releaseHoldCredit } from './billing.js';
+import { finalizeSearch } from './searchFinalizer.js';
+
+dotenv.config();
+
+const LEASE_MS = parseInt(process.env.SEARCH_JOB_LEASE_MS || '60000', 10);
+const HEARTBEAT_MS = parseInt(process.env.SEARCH_JOB_HEARTBEAT_MS || '15000', 10);
+const REAP_INTERVAL_MS = parseInt(process.env.SEARCH_JOB_REAP_INTERVAL_MS || '30000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.SEARCH_JOB_MAX_ATTEMPTS || '3', 10);
+// Longer delay to let rate limits recover (especially DuckDuckGo)
+const DELAY_BETWEEN_SEARCHES_MS = 60000;
+
+// Search statuses that mean the search hasn't finished yet
+export const ACTIVE_SEARCH_STATUSES = ['pending', 'queued', 'searching', 'extracting', 'enriching', 'processing_backfill'];
+
+/**
+ * Search Queue - Persistent per-user queues with priority and round-robin processing
+ * - Jobs live in the SearchJob collection, so queued searches survive restarts
+ * - Within a user, jobs are claimed by priority (higher first), then by queue time
+ * - Round-robin between users for fairness
+ * - Claimed jobs are leased and kept alive with heartbeats; expired leases are re-queued
+ * - Any process can enqueue; only processes that call start() (worker.js) claim jobs
+ */
+export const searchQueue = {
+  workerId: `${os.hostname()}:${process.pid}`,
+  // Function(searchId, { signal }) that runs the search; passed to start()
+  processor: null,
+  // Whether this process claims jobs, and how many searches it runs at once
+  consuming: false,
+  concurrency: 1,
+  shuttingDown: false,
+  claiming: false,
+  // Searches this process is running: Map<searchId, AbortController>
+  active: new Map(),
+  // Last user served, for round-robin
+  lastUserKey: null,
+  // Don't start the next search before this time (rate-limit cooldown)
+  cooldownUntil: 0,
+  // Track active background fills: Map<searchId, {resume: Function, isPaused: boolean}>
+  backgroundFills: new Map(),
+  // Background fills still holding a lease: Map<searchId, Promise>, plus their abort controllers
+  backfills: new Map(),
+  backfillControllers: new Map(),
+  // Heartbeat timers for leased jobs: Map<searchId, Interval>
+  heartbeats: new Map(),
+  // Searches whose lease another worker has taken over: this process must not finish or fail them
+  lostLeases: new Set(),
+  reaper: null,
+
+  /**
+   * Start claiming jobs in this process
+   */
+  async start({ processor, concurrency = 1 }) {
+    this.processor = processor;
+    this.concurrency = Math.max(1, concurrency);
+    this.consuming = true;
+    this.shuttingDown = false;
+    console.log(`[QUEUE] Worker ${this.workerId} started (concurrency: ${this.concurrency})`);
+
+    await this.recover();
+    this.startReaper();
+    this.process();
+  },
+
+  /**
+   * Queue a search. `results` pre-seeds the checkpoint (imports), written in the same update
+   * so no worker can claim the job before its rows are there.
+   */
+  async add(searchId, userId = null, { results } = {}) {
+    // Get search to determine priority
+    let priority = 0;
+    try {
+      const search = await Search.findById(searchId);
+      if (search) {
+        priority = search.priority || 0;
+        userId = userId || search.userId || 'anonymous';
+      } else {
+        userId = userId || 'anonymous';
+      }
+    } catch (err) {
+      userId = userId || 'anonymous';
+    }
+
+    const userKey = userId ? String(userId) : 'anonymous';
+
+    await SearchJob.findOneAndUpdate(
+      { searchId },
+      {
+        $set: {
+          userKey,
+          priority,
+          status: 'queued',
+          phase: 'search',
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          queuedAt: new Date(),
+          ...(results ? { results: JSON.parse(JSON.stringify(results)), processedLinks: [] } : {})
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const totalQueued = await SearchJob.countDocuments({ status: 'queued' });
+    const userQueueLength = await SearchJob.countDocuments({ status: 'queued', userKey });
+    console.log(`[QUEUE] Added search ${searchId} to user ${userKey}'s queue (priority: ${priority}). User queue: ${userQueueLength}, Total queued: ${totalQueued}`);
+
+    // Update search status to queued if not the first one
+    const running = await SearchJob.countDocuments({ status: 'running', phase: 'search' });
+    if (running > 0 || totalQueued > 1) {
+      try {
+        await Search.updateOne({ _id: searchId, status: 'pending' }, { $set: { status: 'queued' } });
+      } catch (err) {
+        // Ignore errors updating status
+      }
+    }
+
+    this.process();
+  },
+
+  /**
+   * Atomically lease the next job: round-robin across users, priority within a user
+   */
+  async claimNext() {
+    const userKeys = (await SearchJob.distinct('userKey', { status: 'queued' })).sort();
+    if (userKeys.length === 0) {
+      return null;
+    }
+
+    // Start with the first user after the one served last
+    const nextIndex = this.lastUserKey ? userKeys.findIndex(key => key > this.lastUserKey) : 0;
+    const start = nextIndex === -1 ? 0 : nextIndex;
+    const ordered = [...userKeys.slice(start), ...userKeys.slice(0, start)];
+
+    for (const userKey of ordered) {
+      const now = new Date();
+      const job = await SearchJob.findOneAndUpdate(
+        { status: 'queued', userKey },
+        {
+          $set: {
+            status: 'running',
+            leaseOwner: this.workerId,
+            leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+            heartbeatAt: now,
+            startedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        { sort: { priority: -1, queuedAt: 1 }, new: true }
+      );
+      if (job) {
+        this.lastUserKey = userKey;
+        return job;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Claim jobs until this process runs `concurrency` searches
+   */
+  async process() {
+    if (!this.consuming || this.shuttingDown || !this.processor || this.claiming) {
+      return;
+    }
+
+    this.claiming = true;
+    try {
+      // Don't start the next search while cooling down between searches
+      while (this.active.size < this.concurrency && Date.now() >= this.cooldownUntil && !this.shuttingDown) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.runJob(job);
+      }
+    } catch (err) {
+      console.error('[QUEUE] Failed to claim next job:', err.message);
+    } finally {
+      this.claiming = false;
+    }
+  },
+
+  async runJob(job) {
+    const searchId = job.searchId;
+    const key = String(searchId);
+
+    if (job.attempts > MAX_ATTEMPTS) {
+      console.error(`[QUEUE] ❌ Search ${searchId} failed ${MAX_ATTEMPTS} times, giving up`);
+      await this.failJob(searchId, `Search gave up after ${MAX_ATTEMPTS} attempts${job.lastError ? `: ${job.lastError}` : ''}`);
+      return this.process();
+    }
+
+    // Pause any active background fills before starting new search
+    this.pauseBackgroundFills();
+
+    const controller = new AbortController();
+    this.active.set(key, controller);
+    this.startHeartbeat(searchId);
+
+    const remainingBefore = await SearchJob.countDocuments({ status: 'queued' }).catch(() => 0);
+    console.log(`[QUEUE] Processing search ${searchId} (user: ${job.userKey}, priority: ${job.priority}, attempt: ${job.attempts}). Active: ${this.active.size}/${this.concurrency}, Remaining: ${remainingBefore}`);
+
+    let handedOff = false;
+    try {
+      const outcome = await this.processor(searchId, { signal: controller.signal });
+
+      if (this.lostLeases.has(key)) {
+        // Whoever holds the lease now finishes it
+        console.warn(`[QUEUE] ⚠️  Search ${searchId} stopped after losing its lease`);
+      } else if (outcome?.interrupted) {
+        await this.releaseJob(searchId);
+      } else if (outcome?.backfill) {
+        // Initial batch is done - free the slot while the backfill keeps the lease
+        handedOff = true;
+        await SearchJob.updateOne({ searchId, leaseOwner: this.workerId }, { $set: { phase: 'backfill' } });
+        this.backfills.set(key, outcome.backfill);
+        outcome.backfill
+          .then(result => {
+            if (this.lostLeases.has(key)) return;
+            return result?.interrupted ? this.releaseJob(searchId) : this.finishJob(searchId);
+          })
+          .catch(err => {
+            console.error(`[QUEUE] Background fill error for search ${searchId}:`, err.message);
+            if (!this.lostLeases.has(key)) return this.finishJob(searchId);
+          })
+          .finally(() => {
+            this.backfills.delete(key);
+            this.backfillControllers.delete(key);
+            this.lostLeases.delete(key);
+          });
+      } else {
+        await this.finishJob(searchId);
+      }
+    } catch (error) {
+      console.error(`[QUEUE] Error processing search ${searchId}:`, error.message);
+      if (!this.lostLeases.has(key)) await this.failJob(searchId, error.message);
+    } finally {
+      this.active.delete(key);
+      if (!handedOff) this.lostLeases.delete(key);
+      // The backfill still needs the signal to stop on shutdown
+      if (handedOff) {
+        this.backfillControllers.set(key, controller);
+      }
+      console.log(`[QUEUE] Search ${searchId} completed. Processing next...`);
+
+      // Resume any paused background fills once no foreground search is running
+      if (this.active.size === 0) {
+        this.resumeBackgroundFills();
+      }
+
+      if (!this.shuttingDown) {
+        // Process next item in queue
+        const remaining = await SearchJob.countDocuments({ status: 'queued' }).catch(() => 0);
+        if (remaining > 0) {
+          this.cooldownUntil = Date.now() + DELAY_BETWEEN_SEARCHES_MS;
+          console.log(`[QUEUE] Waiting ${DELAY_BETWEEN_SEARCHES_MS / 1000}s before processing next search to avoid rate limits...`);
+          setTimeout(() => this.process(), DELAY_BETWEEN_SEARCHES_MS);
+        } else {
+          console.log(`[QUEUE] Queue empty. Waiting for new searches...`);
+        }
+      }
+    }
+  },
+
+  startHeartbeat(searchId) {
+    const key = String(searchId);
+    this.stopHeartbeat(key);
+
+    const timer = setInterval(async () => {
+      try {
+        const result = await SearchJob.updateOne(
+          { searchId, status: 'running', leaseOwner: this.workerId },
+          { $set: { heartbeatAt: new Date(), leaseExpiresAt: new Date(Date.now() + LEASE_MS) } }
+        );
+        if (result.matchedCount === 0) {
+          console.warn(`[QUEUE] ⚠️  Lost lease for search ${key}, stopping it here`);
+          this.stopHeartbeat(key);
+          this.lostLeases.add(key);
+          // The reaper re-queued it (or another worker has it) - stop between leads so two
+          // workers don't write to the same search
+          this.active.get(key)?.abort();
+          this.backfillControllers.get(key)?.abort();
+          // A paused background fill has to wake up to notice the abort
+          const bgFill = this.backgroundFills.get(key);
+          if (bgFill?.isPaused && bgFill.resume) {
+            bgFill.isPaused = false;
+            bgFill.resume();
+          }
+        }
+      } catch (err) {
+        console.error(`[QUEUE] Heartbeat failed for search ${key}:`, err.message);
+      }
+    }, HEARTBEAT_MS);
+    timer.unref?.();
+
+    this.heartbeats.set(key, timer);
+  },
+
+  stopHeartbeat(searchId) {
+    const key = String(searchId);
+    const timer = this.heartbeats.get(key);
+    if (timer) {
+      clearInterval(timer);
+      this.heartbeats.delete(key);
+    }
+  },
+
+  /**
+   * Mark a leased job finished, mirroring the final search status
+   */
+  async finishJob(searchId) {
+    this.stopHeartbeat(searchId);
+    try {
+      const search = await Search.findById(searchId).select('status');
+      if (!search) {
+        await SearchJob.deleteOne({ searchId });
+        return;
+      }
+      await SearchJob.updateOne(
+        { searchId, leaseOwner: this.workerId },
+        {
+          $set: {
+            status: search.status === 'failed' ? 'failed' : 'completed',
+            finishedAt: new Date(),
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            results: []
+          }
+        }
+      );
+      await finalizeSearch(searchId);
+    } catch (err) {
+      console.error(`[QUEUE] Failed to finish job for search ${searchId}:`, err.message);
+    }
+  },
+
+  async failJob(searchId, message) {
+    this.stopHeartbeat(searchId);
+    try {
+      await SearchJob.updateOne(
+        { searchId },
+        { $set: { status: 'failed', lastError: message, finishedAt: new Date(), leaseOwner: null, leaseExpiresAt: null } }
+      );
+      const search = await Search.findById(searchId);
+      if (search) {
+        search.status = 'failed';
+        search.error = message;
+        search.completedAt = new Date();
+        await search.save();
+        await finalizeSearch(searchId);
+      }
+    } catch (saveError) {
+      console.error(`[QUEUE] Failed to update search status:`, saveError.message);
+    }
+  },
+
+  /**
+   * Hand an interrupted job back to the queue without counting it as a failed attempt
+   */
+  async releaseJob(searchId) {
+    this.stopHeartbeat(searchId);
+    try {
+      // Give back the attempt counted when it was claimed - never below 0
+      const result = await SearchJob.updateOne(
+        { searchId, leaseOwner: this.workerId },
+        [{
+          $set: {
+            status: 'queued',
+            phase: 'search',
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            lastError: 'Released on worker shutdown',
+            attempts: { $max: [0, { $subtract: [{ $ifNull: ['$attempts', 0] }, 1] }] }
+          }
+        }]
+      );
+      if (result.modifiedCount > 0) {
+        await Search.updateOne(
+          { _id: searchId, status: { $in: ACTIVE_SEARCH_STATUSES } },
+          { $set: { status: 'queued' } }
+        );
+        console.log(`[QUEUE] ↩️  Released search ${searchId} back to the queue`);
+      }
+    } catch (err) {
+      console.error(`[QUEUE] Failed to release search ${searchId}:`, err.message);
+    }
+  },
+
+  /**
+   * Graceful shutdown: stop claiming, ask running searches to stop between leads,
+   * wait up to `timeoutMs` for them, then release whatever is still leased.
+   * Leads that were mid-flight are not checkpointed, so the next worker redoes them.
+   */
+  async shutdown(timeoutMs = 25000) {
+    this.shuttingDown = true;
+    this.stopReaper();
+
+    const running = [...this.active.values(), ...this.backfillControllers.values()];
+    if (running.length === 0 && this.backfills.size === 0) return;
+
+    console.log(`[QUEUE] Shutting down: stopping ${this.active.size} searches and ${this.backfills.size} background fills...`);
+    for (const controller of running) {
+      controller.abort();
+    }
+    // Paused background fills need to wake up to notice the abort
+    this.resumeBackgroundFills();
+
+    const deadline = Date.now() + timeoutMs;
+    while ((this.active.size > 0 || this.backfills.size > 0) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    const leftover = [...new Set([...this.active.keys(), ...this.backfills.keys()])];
+    if (leftover.length > 0) {
+      console.warn(`[QUEUE] ⚠️  ${leftover.length} searches didn't stop in time, releasing their leases`);
+      for (const key of leftover) {
+        await this.releaseJob(key);
+      }
+    }
+    this.stop();
+  },
+
+  /**
+   * Checkpoint helpers used by the search pipeline so a re-leased job can resume
+   */
+  async getCheckpoint(searchId) {
+    const job = await SearchJob.findOne({ searchId }).select('results processedLinks').lean();
+    return {
+      results: job?.results || [],
+      processedLinks: new Set(job?.processedLinks || [])
+    };
+  },
+
+  async saveResults(searchId, results) {
+    // Store plain objects only (results can carry class instances from providers)
+    const plain = JSON.parse(JSON.stringify(results));
+    await SearchJob.updateOne({ searchId }, { $set: { results: plain } });
+  },
+
+  async checkpoint(searchId, link) {
+    if (!link) return;
+    try {
+      await SearchJob.updateOne({ searchId }, { $addToSet: { processedLinks: link } });
+    } catch (err) {
+      console.error(`[QUEUE] Failed to checkpoint ${link} for search ${searchId}:`, err.message);
+    }
+  },
+
+  /**
+   * Remove leads a previous worker left half-processed (saved but never checkpointed),
+   * giving back their slot in the search's credit hold, so they can be processed again cleanly
+   */
+  async discardUnfinishedLeads(searchId, processedLinks) {
+    const stale = await Lead.find({
+      searchId,
+      rawLink: { $nin: Array.from(processedLinks) },
+      $or: [
+        { extractionStatus: { $in: ['pending', 'extracting'] } },
+        { enrichmentStatus: { $in: ['pending', 'enriching'] } }
+      ]
+    }).select('_id enrichmentStatus');
+
+    if (stale.length === 0) return 0;
+
+    for (const lead of stale) {
+      // Slots of the search's credit hold are taken right before enrichment starts
+      if (lead.enrichmentStatus === 'enriching') {
+        await releaseHoldCredit(searchId, lead._id);
+      }
+      await Lead.deleteOne({ _id: lead._id });
+    }
+    console.log(`[QUEUE] Discarded ${stale.length} unfinished leads from search ${searchId} before resuming`);
+    return stale.length;
+  },
+
+  /**
+   * Re-queue jobs whose lease expired (owner crashed or stalled)
+   */
+  async requeueExpired() {
+    const expired = await SearchJob.find({
+      status: 'running',
+      leaseExpiresAt: { $lt: new Date() }
+    }).select('searchId leaseOwner');
+
+    for (const job of expired) {
+      const result = await SearchJob.updateOne(
+        { _id: job._id, status: 'running', leaseOwner: job.leaseOwner },
+        { $set: { status: 'queued', leaseOwner: null, leaseExpiresAt: null, lastError: `Lease expired (owner: ${job.leaseOwner})` } }
+      );
+      if (result.modifiedCount > 0) {
+        await Search.updateOne(
+          { _id: job.searchId, status: { $in: ACTIVE_SEARCH_STATUSES } },
+          { $set: { status: 'queued' } }
+        );
+        console.log(`[QUEUE] ♻️  Re-queued search ${job.searchId} (lease held by ${job.leaseOwner} expired)`);
+      }
+    }
+
+    return expired.length;
+  },
+
+  /**
+   * Boot-time recovery: re-queue expired leases and any search left in an active
+   * state without a live job
+   */
+  async recover() {
+    try {
+      const expired = await this.requeueExpired();
+
+      const activeSearches = await Search.find({ status: { $in: ACTIVE_SEARCH_STATUSES } })
+        .select('_id userId status priority');
+      let orphaned = 0;
+      for (const search of activeSearches) {
+        const job = await SearchJob.findOne({ searchId: search._id }).select('status');
+        if (job && (job.status === 'queued' || job.status === 'running')) {
+          continue;
+        }
+        await SearchJob.findOneAndUpdate(
+          { searchId: search._id },
+          {
+            $set: {
+              userKey: search.userId ? String(search.userId) : 'anonymous',
+              status: 'queued',
+              phase: 'search',
+              leaseOwner: null,
+              leaseExpiresAt: null,
+              queuedAt: new Date()
+            },
+            $setOnInsert: { priority: search.priority || 0 }
+          },
+          { upsert: true, setDefaultsOnInsert: true }
+        );
+        await Search.updateOne({ _id: search._id }, { $set: { status: 'queued' } });
+        orphaned++;
+      }
+
+      console.log(`[QUEUE] Recovery complete: ${expired} expired leases, ${orphaned} orphaned searches re-queued`);
+    } catch (err) {
+      console.error('[QUEUE] Recovery failed:', err.message);
+    }
+  },
+
+  /**
+   * Periodically reclaim expired leases and pick up jobs queued by other instances
+   */
+  startReaper() {
+    if (this.reaper) return;
+    this.reaper = setInterval(async () => {
+      try {
+        await this.requeueExpired();
+      } catch (err) {
+        console.error('[QUEUE] Reaper error:', err.message);
+      }
+      this.process();
+    }, REAP_INTERVAL_MS);
+    this.reaper.unref?.();
+  },
+
+  stopReaper() {
+    if (this.reaper) {
+      clearInterval(this.reaper);
+      this.reaper = null;
+    }
+  },
+
+  stop() {
+    this.stopReaper();
+    for (const key of Array.from(this.heartbeats.keys())) {
+      this.stopHeartbeat(key);
+    }
+  },
+
+  async remove(searchId) {
+    this.stopHeartbeat(searchId);
+    await SearchJob.deleteOne({ searchId });
+  },
+
+  pauseBackgroundFills() {
+    // Pause all active background fills
+    for (const [searchId, bgFill] of this.backgroundFills.entries()) {
+      if (!bgFill.isPaused) {
+        bgFill.isPaused = true;
+        console.log(`[QUEUE] ⏸️  Paused background fill for search ${searchId}`);
+      }
+    }
+  },
+
+  resumeBackgroundFills() {
+    // Resume all paused background fills
+    for (const [searchId, bgFill] of this.backgroundFills.entries()) {
+      if (bgFill.isPaused && bgFill.resume) {
+        bgFill.isPaused = false;
+        console.log(`[QUEUE] ▶️  Resuming background fill for search ${searchId}`);
+        bgFill.resume();
+      }
+    }
+  },
+
+  async getStatus() {
+    const counts = await SearchJob.aggregate([
+      { $match: { status: 'queued' } },
+      { $group: { _id: '$userKey', count: { $sum: 1 } } }
+    ]);
+    const running = await SearchJob.countDocuments({ status: 'running', phase: 'search' });
+
+    const userQueueCounts = {};
+    let totalQueued = 0;
+    for (const entry of counts) {
+      userQueueCounts[entry._id] = entry.count;
+      totalQueued += entry.count;
+    }
+
+    return {
+      queueLength: totalQueued,
+      processing: this.active.size > 0 || running > 0,
+      currentSearches: Array.from(this.active.keys()),
+      userQueues: userQueueCounts,
+      activeUsers: counts.length
+    };
+  },
+
+  /**
+   * Estimated position of a search in the queue.
+   * Round-robin serves one search per user per round, so every other user
+   * contributes at most (userQueuePosition - 1) searches ahead of this one.
+   */
+  async getPosition(searchId) {
+    const job = await SearchJob.findOne({ searchId }).select('status userKey priority queuedAt').lean();
+    if (!job) return null;
+    if (job.status !== 'queued') {
+      return { status: job.status, queuePosition: 0, userQueuePosition: 0 };
+    }
+
+    const aheadInUserQueue = await SearchJob.countDocuments({
+      status: 'queued',
+      userKey: job.userKey,
+      $or: [
+        { priority: { $gt: job.priority } },
+        { priority: job.priority, queuedAt: { $lt: job.queuedAt } }
+      ]
+    });
+    const userQueuePosition = aheadInUserQueue + 1;
+
+    const otherUsers = await SearchJob.aggregate([
+      { $match: { status: 'queued', userKey: { $ne: job.userKey } } },
+      { $group: { _id: '$userKey', count: { $sum: 1 } } }
+    ]);
+    const aheadFromOthers = otherUsers.reduce((sum, u) => sum + Math.min(u.count, userQueuePosition - 1), 0);
+    const running = await SearchJob.countDocuments({ status: 'running', phase: 'search' });
+
+    return {
+      status: 'queued',
+      queuePosition: running + aheadFromOthers + userQueuePosition,
+      userQueuePosition
+    };
+  }
+};
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { isPrivateAddress, publicLookup } from '../utils/networkGuard.js';
+
+dotenv.config();
+
+export const WEBHOOK_EVENTS = Webhook.schema.path('events').caster.enumValues;
+// Events checked against a webhook's minQualityScore. lead.created isn't: it fires as soon as a lead
+// is extracted, before enrichment has filled in what the score is meant to reflect.
+export const SCORE_FILTERED_EVENTS = ['lead.enriched'];
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+// Wait before each retry; a delivery gives up after the last one
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+// How long an in-flight attempt holds its delivery before another process may retry it
+const ATTEMPT_LEASE_MS = WEBHOOK_TIMEOUT_MS + 30000;
+const RETRY_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS || '30000', 10);
+
+let timer = null;
+let retrying = false;
+
+/**
+ * Whether webhooks may target private or loopback addresses - only for local development against
+ * a receiver on this machine (WEBHOOK_ALLOW_PRIVATE_URLS=true)
+ */
+export function privateWebhookUrlsAllowed() {
+  return String(process.env.WEBHOOK_ALLOW_PRIVATE_URLS || 'false').toLowerCase() === 'true';
+}
+
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature sent as `X-Onalog-Signature: sha256=<hex>`
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and compare, and should
+ * reject timestamps older than a few minutes to stop replays.
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Compact lead shape used in lead.* payloads
+ */
+export function webhookLeadData(lead) {
+  return {
+    leadId: lead._id,
+    searchId: lead.searchId,
+    companyName: lead.companyName,
+    website: lead.website || null,
+    address: lead.address || null,
+    qualityScore: lead.qualityScore ?? null,
+    enrichmentStatus: lead.enrichmentStatus,
+    industry: lead.enrichment?.industry || null,
+    emails: (lead.emails || []).map(e => e.email).filter(Boolean),
+    phoneNumbers: (lead.phoneNumbers || []).map(p => p.formatted || p.phone).filter(Boolean),
+    decisionMakers: (lead.decisionMakers || []).map(d => ({ name: d.name, title: d.title || null, email: d.email || null }))
+  };
+}
+
+/**
+ * POST a webhook body; resolves with the response status (the body isn't read)
+ * The host's addresses are checked as the connection is made, not when the URL was saved.
+ */
+function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  const guarded = !privateWebhookUrlsAllowed();
+  if (guarded && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return Promise.reject(new Error(`${hostname} is a private address`));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guarded ? publicLookup : undefined,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Make one HTTP attempt for a delivery and record the outcome
+ * Failed attempts are rescheduled with backoff until RETRY_DELAYS_MS runs out (tests are never retried).
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // Redirects aren't followed - a 3xx counts as a failed attempt
+    responseStatus = await postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Onalog-Webhooks/1.0',
+      'X-Onalog-Event': delivery.event,
+      'X-Onalog-Delivery': String(delivery._id),
+      'X-Onalog-Timestamp': String(timestamp),
+      'X-Onalog-Signature': `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`
+    }, body);
+    if (responseStatus < 200 || responseStatus >= 300) error = `HTTP ${responseStatus}`;
+  } catch (err) {
+    error = err.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const succeeded = !error;
+  const canRetry = !delivery.isTest && attempts <= RETRY_DELAYS_MS.length;
+  const update = {
+    attempts,
+    responseStatus,
+    error,
+    durationMs: Date.now() - startedAt,
+    status: succeeded ? 'success' : (canRetry ? 'pending' : 'failed'),
+    nextAttemptAt: succeeded || !canRetry ? null : new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]),
+    deliveredAt: succeeded ? new Date() : null
+  };
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+
+  if (!delivery.isTest) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      succeeded
+        ? { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'success', consecutiveFailures: 0 } }
+        : { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }, $inc: { consecutiveFailures: 1 } }
+    );
+  }
+
+  if (succeeded) {
+    console.log(`[WEBHOOK] ✅ ${delivery.event} → ${webhook.url} (${responseStatus}, attempt ${attempts})`);
+  } else {
+    console.log(`[WEBHOOK] ⚠️  ${delivery.event} → ${webhook.url} failed (attempt ${attempts}): ${error}${update.status === 'pending' ? ', will retry' : ''}`);
+  }
+  return { ...delivery.toObject(), ...update };
+}
+
+/**
+ * Create a delivery for a webhook and try it right away
+ */
+async function createDelivery(webhook, event, data, { isTest = false } = {}) {
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    companyId: webhook.companyId,
+    event,
+    isTest,
+    // Leased while the first attempt runs, so the retry loop leaves it alone
+    nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS)
+  });
+  delivery.payload = {
+    id: String(delivery._id),
+    event,
+    createdAt: new Date().toISOString(),
+    companyId: String(webhook.companyId),
+    data
+  };
+  await delivery.save();
+  return attemptDelivery(delivery, webhook);
+}
+
+/**
+ * Send an event to every enabled webhook of a company that subscribes to it
+ * Never throws - event sources (search processing, billing) must not fail because of a webhook.
+ * @param {ObjectId} companyId
+ * @param {string} event - one of WEBHOOK_EVENTS
+ * @param {Object} data - event payload
+ * @param {Object} options - { qualityScore } for SCORE_FILTERED_EVENTS (checked against minQualityScore)
+ */
+export async function emitWebhookEvent(companyId, event, data, { qualityScore = null } = {}) {
+  if (!companyId) return;
+  try {
+    const webhooks = await Webhook.find({ companyId, enabled: true, events: event });
+    const targets = webhooks.filter(webhook =>
+      webhook.minQualityScore === null || webhook.minQualityScore === undefined ||
+      !SCORE_FILTERED_EVENTS.includes(event) || (qualityScore ?? 0) >= webhook.minQualityScore
+    );
+    await Promise.all(targets.map(webhook =>
+      createDelivery(webhook, event, data).catch(err => {
+        console.error(`[WEBHOOK] ❌ Could not queue ${event} for webhook ${webhook._id}:`, err.message);
+      })
+    ));
+  } catch (err) {
+    console.error(`[WEBHOOK] ❌ Failed to emit ${event} for company ${companyId}:`, err.message);
+  }
+}
+
+/**
+ * Send a webhook.test event to one webhook and wait for the result (not retried)
+ * @returns {Promise<Object>} the delivery
+ */
+export async function sendTestDelivery(webhook) {
+  return createDelivery(webhook, 'webhook.test', {
+    message: 'Test delivery from Onalog',
+    webhookId: String(webhook._id)
+  }, { isTest: true });
+}
+
+/**
+ * Retry pending deliveries whose backoff has passed
+ * Each one is claimed by pushing nextAttemptAt forward, so several processes can run this.
+ */
+export async function retryDueDeliveries() {
+  if (retrying) return;
+  retrying = true;
+  try {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(50);
+
+    for (const delivery of due) {
+      const claimed = await WebhookDelivery.findOneAndUpdate(
+        { _id: delivery._id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt },
+        { $set: { nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const webhook = await Webhook.findById(claimed.webhookId);
+      if (!webhook || !webhook.enabled) {
+        await WebhookDelivery.updateOne(
+          { _id: claimed._id },
+          { $set: { status: 'failed', nextAttemptAt: null, error: webhook ? 'Webhook disabled' : 'Webhook deleted' } }
+        );
+        continue;
+      }
+      await attemptDelivery(claimed, webhook);
+    }
+  } catch (err) {
+    console.error('[WEBHOOK] ❌ Retry check failed:', err.message);
+  } finally {
+    retrying = false;
+  }
+}
+
+export function startWebhookRetries() {
+  if (timer) return;
+  console.log(`[WEBHOOK] Retrying failed deliveries every ${RETRY_INTERVAL_MS / 1000}s`);
+  timer = setInterval(retryDueDeliveries, RETRY_INTERVAL_MS);
+  retryDueDeliveries();
+}
+
+export function stopWebhookRetries() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
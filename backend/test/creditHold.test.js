@@ -0,0 +1,164 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Company from '../models/Company.js';
+import CreditHold from '../models/CreditHold.js';
+import Lead from '../models/Lead.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Webhook from '../models/Webhook.js';
+import { placeSearchHold, claimHoldCredit, releaseHoldCredit, settleSearchHold } from '../services/billing.js';
+
+// No database here: the models are backed by the in-memory state below
+mongoose.set('bufferCommands', false);
+
+const companyId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+let state;
+
+function query(value) {
+  const q = {
+    select: () => q,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return q;
+}
+
+// Let parallel calls interleave the way round trips to the database would
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Enough of MongoDB's matching for the hold filters in services/billing.js
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (expression?.$size) return evaluate(doc, expression.$size).length;
+  if (expression?.$lt) return evaluate(doc, expression.$lt[0]) < evaluate(doc, expression.$lt[1]);
+  return expression;
+}
+
+function matchesHold(hold, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$expr') return evaluate(hold, condition);
+    if (field === 'leadIds') {
+      const holds = id => hold.leadIds.some(leadId => sameId(leadId, id));
+      return condition?.$ne ? !holds(condition.$ne) : holds(condition);
+    }
+    return sameId(hold[field], condition);
+  });
+}
+
+beforeEach(() => {
+  state = { balance: 0, entries: [], holds: [], enriched: [] };
+
+  LedgerEntry.create = async entry => {
+    await roundTrip();
+    if (state.entries.some(e => e.idempotencyKey === entry.idempotencyKey)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const doc = { _id: new mongoose.Types.ObjectId(), ...entry };
+    state.entries.push(doc);
+    return doc;
+  };
+  LedgerEntry.deleteOne = async ({ _id }) => {
+    state.entries = state.entries.filter(e => !e._id.equals(_id));
+  };
+  LedgerEntry.findOne = filter => query(state.entries.find(e => e.idempotencyKey === filter.idempotencyKey) || null);
+
+  Company.findById = () => query({ _id: companyId, creditBalance: state.balance, billing: { currency: 'ngn' } });
+  Company.findOneAndUpdate = (filter, update) => ({
+    lean: async () => {
+      await roundTrip();
+      if (filter.creditBalance && state.balance < filter.creditBalance.$gte) return null;
+      state.balance += update.$inc.creditBalance;
+      return { _id: companyId, creditBalance: state.balance, billing: { currency: 'ngn' } };
+    }
+  });
+  Company.exists = async () => ({ _id: companyId });
+
+  CreditHold.findOne = filter => query(state.holds.find(h => matchesHold(h, filter)) || null);
+  CreditHold.exists = async filter => state.holds.find(h => matchesHold(h, filter)) || null;
+  CreditHold.findOneAndUpdate = async (filter, update, options = {}) => {
+    await roundTrip();
+    // The match and the update happen in one step, as in MongoDB
+    let hold = state.holds.find(h => matchesHold(h, filter));
+    if (!hold && options.upsert) {
+      hold = { _id: new mongoose.Types.ObjectId(), leadIds: [], status: 'active', ...update.$setOnInsert };
+      state.holds.push(hold);
+    } else if (hold && update.$push) {
+      hold.leadIds.push(update.$push.leadIds);
+    }
+    return hold || null;
+  };
+  CreditHold.updateOne = async (filter, update) => {
+    await roundTrip();
+    const hold = state.holds.find(h => matchesHold(h, filter));
+    if (!hold) return { modifiedCount: 0 };
+    if (update.$pull) hold.leadIds = hold.leadIds.filter(id => !sameId(id, update.$pull.leadIds));
+    Object.assign(hold, update.$set);
+    return { modifiedCount: 1 };
+  };
+
+  Lead.countDocuments = async filter => filter._id.$in.filter(id => state.enriched.some(e => sameId(e, id))).length;
+  Webhook.find = async () => [];
+});
+
+function activeHold(amount) {
+  const hold = { _id: new mongoose.Types.ObjectId(), companyId, searchId: new mongoose.Types.ObjectId(), userId, amount, leadIds: [], status: 'active' };
+  state.holds.push(hold);
+  return hold;
+}
+
+test('parallel claims never take more slots than the hold has', async () => {
+  const hold = activeHold(3);
+  const leads = Array.from({ length: 10 }, () => new mongoose.Types.ObjectId());
+
+  const results = await Promise.all(leads.map(leadId => claimHoldCredit(hold.searchId, leadId)));
+
+  assert.equal(results.filter(r => r.ok).length, 3);
+  assert.equal(hold.leadIds.length, 3);
+});
+
+test('a lead claiming again keeps its one slot, and a released slot goes to the next lead', async () => {
+  const hold = activeHold(1);
+  const first = new mongoose.Types.ObjectId();
+  const second = new mongoose.Types.ObjectId();
+
+  const [claim, retry] = await Promise.all([claimHoldCredit(hold.searchId, first), claimHoldCredit(hold.searchId, first)]);
+  assert.equal(claim.ok, true);
+  assert.equal(retry.ok, true);
+  assert.equal(hold.leadIds.length, 1);
+  assert.equal((await claimHoldCredit(hold.searchId, second)).ok, false);
+
+  await releaseHoldCredit(hold.searchId, first);
+  assert.equal((await claimHoldCredit(hold.searchId, second)).ok, true);
+  assert.deepEqual(hold.leadIds.map(String), [String(second)]);
+});
+
+test('parallel searches only hold what the balance covers', async () => {
+  state.balance = 25;
+  const searches = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+
+  const holds = await Promise.all(searches.map(searchId => placeSearchHold(companyId, userId, searchId, 10)));
+
+  const held = holds.reduce((sum, h) => sum + h.amount, 0);
+  assert.ok(state.balance >= 0);
+  assert.equal(held + state.balance, 25);
+  assert.ok(holds.every(h => h.amount >= 0 && h.amount <= 10));
+});
+
+test('settling charges the delivered leads and releases the rest once', async () => {
+  state.balance = 5;
+  const hold = activeHold(5);
+  const delivered = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  hold.leadIds.push(...delivered, new mongoose.Types.ObjectId());
+  state.enriched.push(...delivered);
+
+  const [first] = await Promise.all([settleSearchHold(hold.searchId), settleSearchHold(hold.searchId)]);
+
+  assert.deepEqual(first, { settled: 2, released: 3 });
+  assert.equal(state.balance, 8);
+  assert.equal(state.entries.filter(e => e.reason === 'hold_release').length, 1);
+  assert.equal(hold.status, 'settled');
+  assert.equal((await claimHoldCredit(hold.searchId, new mongoose.Types.ObjectId())).ok, false);
+});
@@ -0,0 +1,89 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Company from '../models/Company.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { applyLedgerEntry } from '../services/billing.js';
+
+// No database here: the models are backed by the in-memory state below
+mongoose.set('bufferCommands', false);
+
+const companyId = new mongoose.Types.ObjectId();
+let state;
+
+function query(value) {
+  return { lean: async () => value, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+}
+
+// Let parallel calls interleave the way round trips to the database would
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  state = { balance: 0, entries: [] };
+
+  LedgerEntry.create = async entry => {
+    await roundTrip();
+    if (state.entries.some(e => e.idempotencyKey === entry.idempotencyKey)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const doc = { _id: new mongoose.Types.ObjectId(), ...entry };
+    state.entries.push(doc);
+    return doc;
+  };
+  LedgerEntry.deleteOne = async ({ _id }) => {
+    await roundTrip();
+    state.entries = state.entries.filter(e => !e._id.equals(_id));
+  };
+
+  Company.findOneAndUpdate = (filter, update) => ({
+    lean: async () => {
+      await roundTrip();
+      // The check and the increment happen in one step, as in MongoDB
+      if (filter.creditBalance && state.balance < filter.creditBalance.$gte) return null;
+      state.balance += update.$inc.creditBalance;
+      return { _id: companyId, creditBalance: state.balance, billing: { currency: 'ngn' } };
+    }
+  });
+  Company.exists = async () => ({ _id: companyId });
+});
+
+test('an entry retried with the same idempotency key is applied once', async () => {
+  const entry = { delta: 100, reason: 'purchase', idempotencyKey: 'purchase:onl_1' };
+
+  const first = await applyLedgerEntry(companyId, entry);
+  const retry = await applyLedgerEntry(companyId, entry);
+
+  assert.equal(first.applied, true);
+  assert.equal(first.creditBalance, 100);
+  assert.deepEqual(retry, { applied: false, duplicate: true });
+  assert.equal(state.balance, 100);
+  assert.equal(state.entries.length, 1);
+});
+
+test('parallel entries with the same idempotency key move the balance once', async () => {
+  const entry = { delta: 50, reason: 'grant', idempotencyKey: 'grant:signup' };
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => applyLedgerEntry(companyId, entry)));
+
+  assert.equal(results.filter(r => r.applied).length, 1);
+  assert.equal(results.filter(r => r.duplicate).length, 4);
+  assert.equal(state.balance, 50);
+  assert.equal(state.entries.length, 1);
+});
+
+test('parallel debits that require the balance never take it below zero', async () => {
+  state.balance = 10;
+
+  const results = await Promise.all(Array.from({ length: 5 }, (_, i) => applyLedgerEntry(
+    companyId,
+    { delta: -4, reason: 'hold', idempotencyKey: `hold:search-${i}` },
+    { requireBalance: true }
+  )));
+
+  assert.equal(results.filter(r => r.applied).length, 2);
+  assert.equal(results.filter(r => r.insufficient).length, 3);
+  assert.equal(state.balance, 2);
+  // Debits that didn't go through leave no entry behind
+  assert.equal(state.entries.length, 2);
+  assert.equal(state.entries.reduce((sum, e) => sum + e.delta, 0), -8);
+});
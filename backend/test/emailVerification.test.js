@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+
+// A fake SMTP server; which domain the RCPT is for decides its answer
+const rcptSeen = new Map(); // address -> times asked
+const server = net.createServer(socket => {
+  socket.write('220 fake.smtp.test ESMTP\r\n');
+  let buffer = '';
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      socket.write(reply(line));
+    }
+  });
+  socket.on('error', () => {});
+});
+
+function reply(line) {
+  if (/^EHLO /i.test(line)) return '250-fake.smtp.test\r\n250 OK\r\n';
+  if (/^MAIL FROM:/i.test(line)) return '250 OK\r\n';
+  if (/^QUIT/i.test(line)) return '221 Bye\r\n';
+  const match = /^RCPT TO:<(.+)@(.+)>$/i.exec(line);
+  if (!match) return '502 Not implemented\r\n';
+
+  const [, local, domain] = match;
+  const address = `${local}@${domain}`;
+  const seen = (rcptSeen.get(address) || 0) + 1;
+  rcptSeen.set(address, seen);
+  switch (domain) {
+    case 'valid.test': return local === 'jane' ? '250 OK\r\n' : '550 No such user\r\n';
+    case 'rejected.test': return '550 No such user\r\n';
+    case 'catchall.test': return '250 OK\r\n';
+    case 'greylist.test': return seen === 1 ? '451 Greylisted, try again later\r\n' : '250 OK\r\n';
+    default: return '550 Unknown domain\r\n';
+  }
+}
+
+let verifyEmailSMTP;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // Read when the module loads
+  process.env.SMTP_VERIFY_HOST = '127.0.0.1';
+  process.env.SMTP_VERIFY_PORT = String(server.address().port);
+  process.env.SMTP_VERIFY_CONCURRENCY = '1';
+  ({ verifyEmailSMTP } = await import('../utils/emailVerification.js'));
+});
+
+after(() => server.close());
+
+test('a mailbox the server accepts is valid', async () => {
+  const result = await verifyEmailSMTP('jane@valid.test');
+  assert.equal(result.status, 'valid');
+  assert.equal(result.catchAll, false);
+});
+
+test('a mailbox the server rejects is invalid', async () => {
+  const result = await verifyEmailSMTP('nobody@rejected.test');
+  assert.equal(result.status, 'invalid');
+  assert.equal(result.code, 550);
+});
+
+test('a domain that accepts a random address is catch-all', async () => {
+  const result = await verifyEmailSMTP('anyone@catchall.test');
+  assert.equal(result.status, 'catch_all');
+  assert.equal(result.catchAll, true);
+});
+
+test('a greylisted mailbox is retried once and does not hold up other domains meanwhile', async () => {
+  const greylisted = verifyEmailSMTP('jane@greylist.test', null, { greylistRetryMs: 300 });
+  let greylistDone = false;
+  greylisted.then(() => { greylistDone = true; });
+  // Only one probe slot: this only gets through if the greylist wait gave it back
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const other = await verifyEmailSMTP('john@valid.test');
+  assert.equal(other.status, 'invalid');
+  assert.equal(greylistDone, false);
+
+  const result = await greylisted;
+  assert.equal(result.status, 'valid');
+  assert.equal(result.greylisted, true);
+  assert.equal(rcptSeen.get('jane@greylist.test'), 2);
+});
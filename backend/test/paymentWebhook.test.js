@@ -0,0 +1,151 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Company from '../models/Company.js';
+import Invoice from '../models/Invoice.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payment from '../models/Payment.js';
+import { handlePaymentWebhook } from '../services/billing.js';
+
+// No database here: the models are backed by the in-memory state below
+mongoose.set('bufferCommands', false);
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_webhook';
+
+const companyId = new mongoose.Types.ObjectId();
+let state;
+
+function query(value) {
+  return { lean: async () => value, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+}
+
+beforeEach(() => {
+  state = {
+    balance: 0,
+    entries: [],
+    failBalanceUpdate: false,
+    payment: {
+      _id: new mongoose.Types.ObjectId(),
+      companyId,
+      provider: 'paystack',
+      reference: 'onl_test_1',
+      packId: 'starter',
+      credits: 100,
+      amount: 4640000,
+      currency: 'ngn',
+      status: 'pending',
+      processedEvents: [],
+      refunds: []
+    }
+  };
+
+  Payment.findOne = filter => query(filter.reference === state.payment.reference ? { ...state.payment } : null);
+  Payment.updateOne = async (filter, update) => {
+    if (filter.status && filter.status !== state.payment.status) return { modifiedCount: 0 };
+    Object.assign(state.payment, update.$set);
+    return { modifiedCount: 1 };
+  };
+
+  LedgerEntry.create = async entry => {
+    if (state.entries.some(e => e.idempotencyKey === entry.idempotencyKey)) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    const doc = { _id: new mongoose.Types.ObjectId(), ...entry };
+    state.entries.push(doc);
+    return doc;
+  };
+  LedgerEntry.deleteOne = async ({ _id }) => {
+    state.entries = state.entries.filter(e => !e._id.equals(_id));
+  };
+  LedgerEntry.exists = async filter => state.entries.find(e =>
+    e.reason === filter.reason && e.meta?.reference === filter['meta.reference']) || null;
+
+  Company.findOneAndUpdate = (filter, update) => {
+    if (state.failBalanceUpdate) throw new Error('connection reset');
+    state.balance += update.$inc.creditBalance;
+    return query({ _id: companyId, creditBalance: state.balance, billing: { currency: 'ngn' } });
+  };
+  Company.exists = async () => null;
+
+  Invoice.findOne = () => query({ _id: new mongoose.Types.ObjectId(), number: 'INV-2026-00001' });
+});
+
+function deliverChargeSuccess() {
+  const body = JSON.stringify({
+    event: 'charge.success',
+    data: { id: 4099260516, reference: state.payment.reference, amount: state.payment.amount, currency: 'NGN' }
+  });
+  const signature = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(body).digest('hex');
+  return handlePaymentWebhook('paystack', Buffer.from(body), { 'x-paystack-signature': signature });
+}
+
+test('credits a payment once however often the webhook is delivered', async () => {
+  assert.equal((await deliverChargeSuccess()).result, 'credited');
+  assert.equal((await deliverChargeSuccess()).result, 'duplicate');
+  assert.equal(state.balance, 100);
+  assert.equal(state.payment.status, 'paid');
+});
+
+test('a replay credits a payment whose first delivery failed before crediting', async () => {
+  state.failBalanceUpdate = true;
+  await assert.rejects(deliverChargeSuccess(), /connection reset/);
+  assert.equal(state.payment.status, 'pending');
+  assert.equal(state.balance, 0);
+  assert.equal(state.entries.length, 0);
+
+  state.failBalanceUpdate = false;
+  assert.equal((await deliverChargeSuccess()).result, 'credited');
+  assert.equal(state.balance, 100);
+  assert.equal(state.payment.status, 'paid');
+});
+
+test('a replay credits a payment marked paid without its ledger entry', async () => {
+  state.payment.status = 'paid';
+  assert.equal((await deliverChargeSuccess()).result, 'credited');
+  assert.equal(state.balance, 100);
+  assert.equal(state.entries.length, 1);
+});
+
+test('a replay after crediting but before the status update only marks the payment paid', async () => {
+  const originalUpdateOne = Payment.updateOne;
+  Payment.updateOne = async () => { throw new Error('process died'); };
+  await assert.rejects(deliverChargeSuccess(), /process died/);
+  assert.equal(state.balance, 100);
+  assert.equal(state.payment.status, 'pending');
+
+  Payment.updateOne = originalUpdateOne;
+  assert.equal((await deliverChargeSuccess()).result, 'duplicate');
+  assert.equal(state.balance, 100);
+  assert.equal(state.payment.status, 'paid');
+});
+
+test('refuses webhooks while the provider has no secret configured', async () => {
+  const secret = process.env.PAYSTACK_SECRET_KEY;
+  delete process.env.PAYSTACK_SECRET_KEY;
+  try {
+    const body = JSON.stringify({
+      event: 'charge.success',
+      data: { id: 4099260516, reference: state.payment.reference, amount: state.payment.amount, currency: 'NGN' }
+    });
+    // Signed with the empty key a missing secret used to fall back to
+    const signature = crypto.createHmac('sha512', '').update(body).digest('hex');
+    await assert.rejects(
+      handlePaymentWebhook('paystack', Buffer.from(body), { 'x-paystack-signature': signature }),
+      err => err.status === 503
+    );
+    assert.equal(state.balance, 0);
+    assert.equal(state.payment.status, 'pending');
+  } finally {
+    process.env.PAYSTACK_SECRET_KEY = secret;
+  }
+});
+
+test('rejects a webhook signed with the wrong key', async () => {
+  const body = JSON.stringify({ event: 'charge.success', data: { reference: state.payment.reference } });
+  const signature = crypto.createHmac('sha512', '').update(body).digest('hex');
+  await assert.rejects(
+    handlePaymentWebhook('paystack', Buffer.from(body), { 'x-paystack-signature': signature }),
+    err => err.status === 400
+  );
+  assert.equal(state.balance, 0);
+});
@@ -0,0 +1,217 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+// No database here: the models are backed by the in-memory state below
+mongoose.set('bufferCommands', false);
+// Read when the module loads
+process.env.SEARCH_JOB_HEARTBEAT_MS = '20';
+
+let Search, SearchJob, searchQueue;
+let state;
+
+function query(value) {
+  const q = {
+    select: () => q,
+    lean: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return q;
+}
+
+// Enough of MongoDB's matching for the filters the queue uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field] ?? null;
+    if (condition?.constructor === Object) {
+      if ('$lt' in condition) return value !== null && value < condition.$lt;
+      if ('$in' in condition) return condition.$in.includes(value);
+      throw new Error(`Unsupported condition on ${field}`);
+    }
+    return String(value) === String(condition ?? null);
+  });
+}
+
+function applyUpdate(doc, update) {
+  if (Array.isArray(update)) {
+    // releaseJob's pipeline: literal fields plus the attempt given back
+    const { attempts, ...fields } = update[0].$set;
+    Object.assign(doc, fields, { attempts: Math.max(0, (doc.attempts || 0) - 1) });
+    return;
+  }
+  Object.assign(doc, update.$set);
+  for (const [field, by] of Object.entries(update.$inc || {})) {
+    doc[field] = (doc[field] || 0) + by;
+  }
+}
+
+function jobFor(searchId) {
+  return state.jobs.find(j => String(j.searchId) === String(searchId));
+}
+
+function searchDoc(fields) {
+  const search = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), priority: 0, ...fields };
+  state.searches.push(search);
+  return search;
+}
+
+function jobDoc(search, fields) {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    searchId: search._id,
+    userKey: String(search.userId),
+    priority: 0,
+    phase: 'search',
+    attempts: 1,
+    leaseOwner: null,
+    leaseExpiresAt: null,
+    ...fields
+  };
+  state.jobs.push(job);
+  return job;
+}
+
+before(async () => {
+  ({ default: Search } = await import('../models/Search.js'));
+  ({ default: SearchJob } = await import('../models/SearchJob.js'));
+  ({ searchQueue } = await import('../services/searchQueue.js'));
+});
+
+after(() => searchQueue.stop());
+
+beforeEach(() => {
+  state = { jobs: [], searches: [] };
+  searchQueue.shuttingDown = false;
+
+  SearchJob.find = filter => query(state.jobs.filter(j => matches(j, filter)).map(j => ({ ...j })));
+  SearchJob.findOne = filter => query(state.jobs.find(j => matches(j, filter)) || null);
+  SearchJob.countDocuments = async filter => state.jobs.filter(j => matches(j, filter)).length;
+  SearchJob.updateOne = async (filter, update) => {
+    const job = state.jobs.find(j => matches(j, filter));
+    if (!job) return { matchedCount: 0, modifiedCount: 0 };
+    applyUpdate(job, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  };
+  SearchJob.findOneAndUpdate = async (filter, update, options = {}) => {
+    let job = state.jobs.find(j => matches(j, filter));
+    if (!job && options.upsert) {
+      job = { _id: new mongoose.Types.ObjectId(), attempts: 0, ...filter, ...update.$setOnInsert };
+      state.jobs.push(job);
+    }
+    if (job) applyUpdate(job, update);
+    return job || null;
+  };
+
+  Search.find = filter => query(state.searches.filter(s => matches(s, filter)));
+  Search.findById = id => query(state.searches.find(s => String(s._id) === String(id)) || null);
+  Search.updateOne = async (filter, update) => {
+    const search = state.searches.find(s => matches(s, filter));
+    if (search) Object.assign(search, update.$set);
+    return { matchedCount: search ? 1 : 0, modifiedCount: search ? 1 : 0 };
+  };
+});
+
+test('a search that loses its lease is stopped and left to the new owner', async () => {
+  const search = searchDoc({ status: 'searching' });
+  const job = jobDoc(search, {
+    status: 'running',
+    leaseOwner: searchQueue.workerId,
+    leaseExpiresAt: new Date(Date.now() + 60000)
+  });
+
+  let aborted = false;
+  const processor = (searchId, { signal }) => new Promise((resolve, reject) => {
+    // The reaper of another worker re-leases the job while this one is still running it
+    setTimeout(() => { job.leaseOwner = 'other-host:1'; }, 10);
+    const deadline = setTimeout(() => resolve({}), 2000);
+    signal.addEventListener('abort', () => {
+      clearTimeout(deadline);
+      aborted = true;
+      reject(new Error('Search aborted'));
+    });
+  });
+  searchQueue.processor = processor;
+  await searchQueue.runJob({ ...job });
+
+  assert.equal(aborted, true);
+  // Not failed (or finished) on top of the new owner's run
+  assert.equal(job.status, 'running');
+  assert.equal(job.leaseOwner, 'other-host:1');
+  assert.equal(search.status, 'searching');
+  assert.equal(searchQueue.heartbeats.size, 0);
+  assert.equal(searchQueue.lostLeases.size, 0);
+  assert.equal(searchQueue.active.size, 0);
+});
+
+test('an interrupted search is released back to the queue without using up an attempt', async () => {
+  const search = searchDoc({ status: 'searching' });
+  const job = jobDoc(search, {
+    status: 'running',
+    leaseOwner: searchQueue.workerId,
+    leaseExpiresAt: new Date(Date.now() + 60000)
+  });
+
+  // As on shutdown: the pipeline stops between leads and reports it
+  searchQueue.shuttingDown = true;
+  searchQueue.processor = async () => ({ interrupted: true });
+  await searchQueue.runJob({ ...job });
+
+  assert.equal(job.status, 'queued');
+  assert.equal(job.leaseOwner, null);
+  assert.equal(job.attempts, 0);
+  assert.equal(search.status, 'queued');
+  assert.equal(searchQueue.heartbeats.size, 0);
+});
+
+test('an expired lease is re-queued, a live one is left alone', async () => {
+  const crashed = searchDoc({ status: 'enriching' });
+  const crashedJob = jobDoc(crashed, {
+    status: 'running',
+    leaseOwner: 'crashed-host:1',
+    leaseExpiresAt: new Date(Date.now() - 1000)
+  });
+  const live = searchDoc({ status: 'searching' });
+  const liveJob = jobDoc(live, {
+    status: 'running',
+    leaseOwner: 'other-host:1',
+    leaseExpiresAt: new Date(Date.now() + 60000)
+  });
+
+  assert.equal(await searchQueue.requeueExpired(), 1);
+
+  assert.equal(crashedJob.status, 'queued');
+  assert.equal(crashedJob.leaseOwner, null);
+  assert.match(crashedJob.lastError, /crashed-host:1/);
+  assert.equal(crashed.status, 'queued');
+  assert.equal(liveJob.status, 'running');
+  assert.equal(liveJob.leaseOwner, 'other-host:1');
+  assert.equal(live.status, 'searching');
+});
+
+test('recovery at boot re-queues expired leases and searches left running without a job', async () => {
+  const expired = searchDoc({ status: 'searching' });
+  const expiredJob = jobDoc(expired, {
+    status: 'running',
+    leaseOwner: 'crashed-host:1',
+    leaseExpiresAt: new Date(Date.now() - 1000)
+  });
+  const orphaned = searchDoc({ status: 'extracting', priority: 5 });
+  const waiting = searchDoc({ status: 'queued' });
+  const waitingJob = jobDoc(waiting, { status: 'queued', attempts: 0 });
+  const done = searchDoc({ status: 'completed' });
+
+  await searchQueue.recover();
+
+  assert.equal(expiredJob.status, 'queued');
+  assert.equal(expired.status, 'queued');
+
+  const recovered = jobFor(orphaned._id);
+  assert.equal(recovered.status, 'queued');
+  assert.equal(recovered.userKey, String(orphaned.userId));
+  assert.equal(recovered.priority, 5);
+  assert.equal(orphaned.status, 'queued');
+
+  assert.equal(jobFor(waiting._id), waitingJob);
+  assert.equal(jobFor(done._id), undefined);
+  assert.equal(state.jobs.length, 3);
+});
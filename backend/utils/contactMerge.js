@@ -0,0 +1,61 @@
+/**
+ * Contact merge helpers
+ * Shared by duplicate-lead merging and Account records: lists of emails, phones and
+ * decision makers are merged item by item, keeping each item's source and confidence.
+ */
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+export const toPlain = (item) => (typeof item?.toObject === 'function' ? item.toObject() : { ...item });
+
+/**
+ * Identity of a contact item, so the same contact found twice merges into one
+ */
+export const contactKeys = {
+  email: (e) => String((typeof e === 'string' ? e : e?.email) || '').trim().toLowerCase(),
+  // Last 9 digits: '+234 803 123 4567' and '0803 123 4567' are the same number
+  phone: (p) => String(p?.phone || p?.formatted || '').replace(/\D/g, '').slice(-9),
+  decisionMaker: (d) => String(d?.name || '').trim().toLowerCase().replace(/\s+/g, ' ')
+};
+
+/**
+ * Merge `incoming` contact items into `existing` (mutated in place)
+ * New items are appended as-is; items already present only get their gaps filled,
+ * the higher confidence, and newer deliverability data.
+ * @param {Array} existing - Target list (plain array or Mongoose array)
+ * @param {Array} incoming - Items to merge in
+ * @param {Function} keyFn - One of contactKeys
+ * @param {Object} stamp - Extra fields set on every new or matched item (e.g. { lastSeenAt })
+ * @returns {Array} the items that were added
+ */
+export function mergeContactList(existing, incoming, keyFn, stamp = {}) {
+  const byKey = new Map(existing.map(item => [keyFn(item), item]));
+  const added = [];
+  for (const item of incoming || []) {
+    const key = keyFn(item);
+    if (!key) continue;
+    const plain = toPlain(item);
+    delete plain._id;
+    const current = byKey.get(key);
+    if (!current) {
+      existing.push({ ...plain, ...stamp });
+      byKey.set(key, existing[existing.length - 1]);
+      added.push(plain);
+      continue;
+    }
+    Object.assign(current, stamp);
+    for (const [field, value] of Object.entries(plain)) {
+      if (isEmpty(value)) continue;
+      if (field === 'confidence') {
+        if (value > (current.confidence || 0)) current.confidence = value;
+      } else if (field === 'deliverability') {
+        if (value.checkedAt && (!current.deliverability?.checkedAt || new Date(value.checkedAt) > new Date(current.deliverability.checkedAt))) {
+          current.deliverability = value;
+        }
+      } else if (isEmpty(current[field])) {
+        current[field] = value;
+      }
+    }
+  }
+  return added;
+}
@@ -0,0 +1,172 @@
+/**
+ * Minimal cron expression parser for scheduled searches
+ * Supports the standard 5 fields (minute hour day-of-month month day-of-week) in UTC:
+ * - `*`, single values, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `0-30/10`)
+ * - Day/month names (`mon`, `jan`)
+ * - Shortcuts: @hourly, @daily, @weekly, @monthly
+ * Like classic cron, when both day-of-month and day-of-week are restricted, either may match.
+ */
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 6 * * *',
+  '@weekly': '0 6 * * 1',
+  '@monthly': '0 6 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Scheduled searches are crawls - don't allow more than one run per hour
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(lower);
+    if (idx >= 0) return idx + field.offset;
+  }
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`Invalid ${field.name} value "${raw}"`);
+  }
+  const value = parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+function parseField(expr, field) {
+  const values = new Set();
+  for (const part of expr.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-');
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} "${part}"`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {String} expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, domRestricted, dowRestricted }
+ * @throws {Error} with a user-facing message when the expression is invalid
+ */
+export function parseCron(expression) {
+  if (!expression || typeof expression !== 'string') {
+    throw new Error('Cron expression is required');
+  }
+  const normalized = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  // 7 is also Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.daysOfMonth.has(date.getUTCDate());
+  const dow = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  if (cron.domRestricted) return dom;
+  if (cron.dowRestricted) return dow;
+  return true;
+}
+
+/**
+ * Next time (UTC) the expression fires strictly after `from`
+ * @param {String|Object} expression - Cron string or result of parseCron
+ * @param {Date} from
+ * @returns {Date|null} null if nothing matches within ~4 years (e.g. Feb 30)
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+/**
+ * Validate an expression for a scheduled search
+ * @returns {{ valid: boolean, error?: string, nextRunAt?: Date }}
+ */
+export function validateSchedule(expression, from = new Date()) {
+  try {
+    const cron = parseCron(expression);
+    const first = getNextRun(cron, from);
+    if (!first) {
+      return { valid: false, error: 'Cron expression never fires' };
+    }
+    const second = getNextRun(cron, first);
+    if (second && second.getTime() - first.getTime() < MIN_INTERVAL_MS) {
+      return { valid: false, error: 'Scheduled searches can run at most once per hour' };
+    }
+    return { valid: true, nextRunAt: first };
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+}
@@ -3,49 +3,309 @@
  * Uses multiple methods to verify email addresses
  */
 
+import net from 'net';
+import os from 'os';
+import crypto from 'crypto';
+import { promises as dns } from 'dns';
+
+// SMTP probe settings - point SMTP_VERIFY_HOST/PORT at a local fake server to test
+const SMTP_PORT = parseInt(process.env.SMTP_VERIFY_PORT || '25', 10);
+const SMTP_HOST_OVERRIDE = process.env.SMTP_VERIFY_HOST || null;
+const HELO_HOST = process.env.SMTP_VERIFY_HELO || os.hostname();
+const MAIL_FROM = process.env.SMTP_VERIFY_FROM || `verify@${HELO_HOST}`;
+const COMMAND_TIMEOUT_MS = parseInt(process.env.SMTP_VERIFY_TIMEOUT_MS || '10000', 10);
+// Greylisting servers reject the first attempt with a 4xx; we retry once after this delay
+const GREYLIST_RETRY_MS = parseInt(process.env.SMTP_GREYLIST_RETRY_MS || '30000', 10);
+const MAX_CONCURRENT_PROBES = parseInt(process.env.SMTP_VERIFY_CONCURRENCY || '5', 10);
+
+// Per-domain (MX host, catch-all) and per-address results
+const domainCache = new Map(); // domain -> { value, expiresAt }
+const resultCache = new Map(); // email -> { value, expiresAt }
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const UNREACHABLE_TTL_MS = 10 * 60 * 1000; // don't hammer a server we couldn't reach
+const MAX_CACHE_SIZE = 1000;
+
+function cacheGet(cache, key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() > hit.expiresAt) { cache.delete(key); return null; }
+  return hit.value;
+}
+
+function cacheSet(cache, key, value, ttl = CACHE_TTL_MS) {
+  if (cache.size >= MAX_CACHE_SIZE) {
+    // Maps keep insertion order - drop the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expiresAt: Date.now() + ttl });
+}
+
+/**
+ * Forget cached SMTP results (all, or one domain and its addresses)
+ */
+export function clearSmtpCache(domain = null) {
+  if (!domain) {
+    domainCache.clear();
+    resultCache.clear();
+    return;
+  }
+  domainCache.delete(domain);
+  for (const email of resultCache.keys()) {
+    if (email.endsWith(`@${domain}`)) resultCache.delete(email);
+  }
+}
+
+// Concurrency: at most MAX_CONCURRENT_PROBES connections overall, one at a time per domain
+let activeProbes = 0;
+const probeQueue = [];
+const domainLocks = new Map(); // domain -> promise of the probe in flight
+
+async function acquireProbeSlot() {
+  if (activeProbes < MAX_CONCURRENT_PROBES) {
+    activeProbes++;
+    return;
+  }
+  await new Promise(resolve => probeQueue.push(resolve));
+}
+
+function releaseProbeSlot() {
+  const next = probeQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activeProbes--;
+  }
+}
+
+async function withProbeLimits(domain, fn) {
+  const previous = domainLocks.get(domain) || Promise.resolve();
+  const run = previous.catch(() => {}).then(async () => {
+    await acquireProbeSlot();
+    try {
+      return await fn();
+    } finally {
+      releaseProbeSlot();
+    }
+  });
+  domainLocks.set(domain, run);
+  try {
+    return await run;
+  } finally {
+    if (domainLocks.get(domain) === run) domainLocks.delete(domain);
+  }
+}
+
+/**
+ * Minimal SMTP client session: send a command, wait for its (possibly multi-line) reply
+ */
+function openSmtpSession(host, port, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+
+    const fail = (err) => {
+      if (waiting) {
+        const { reject: rejectReply } = waiting;
+        waiting = null;
+        rejectReply(err);
+      }
+      socket.destroy();
+    };
+
+    const nextReply = () => new Promise((resolveReply, rejectReply) => {
+      waiting = { resolve: resolveReply, reject: rejectReply };
+    });
+
+    socket.setTimeout(timeout, () => fail(new Error('SMTP timeout')));
+    socket.on('error', (err) => {
+      fail(err);
+      reject(err);
+    });
+    socket.on('close', () => fail(new Error('SMTP connection closed')));
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        // "250-..." continues a reply, "250 ..." ends it
+        if (/^\d{3}(?: |$)/.test(line) && waiting) {
+          const { resolve: resolveReply } = waiting;
+          waiting = null;
+          resolveReply({ code: parseInt(line.slice(0, 3), 10), message: lines.join(' ') });
+          lines = [];
+        }
+      }
+    });
+
+    const greeting = nextReply();
+    greeting.catch(() => {}); // surfaced when awaited; avoids an unhandled rejection if connect fails
+    socket.once('connect', () => {
+      resolve({
+        greeting,
+        command(text) {
+          const reply = nextReply();
+          socket.write(`${text}\r\n`);
+          return reply;
+        },
+        close() {
+          if (!socket.destroyed) {
+            socket.end('QUIT\r\n');
+          }
+        }
+      });
+    });
+  });
+}
+
+/**
+ * One SMTP conversation: EHLO, MAIL FROM, RCPT TO for the address and, when the domain's
+ * catch-all status isn't known yet, RCPT TO for a random address on the same domain
+ * @returns {Promise<Object>} { code, message, catchAll } - catchAll is null when not probed
+ */
+async function probeMailbox(mxHost, port, email, domain, checkCatchAll, timeout) {
+  const session = await openSmtpSession(mxHost, port, timeout);
+  try {
+    const greeting = await session.greeting;
+    if (greeting.code !== 220) {
+      return { code: greeting.code, message: greeting.message, catchAll: null, stage: 'connect' };
+    }
+
+    let hello = await session.command(`EHLO ${HELO_HOST}`);
+    if (hello.code >= 500) {
+      hello = await session.command(`HELO ${HELO_HOST}`);
+    }
+    if (hello.code !== 250) {
+      return { code: hello.code, message: hello.message, catchAll: null, stage: 'helo' };
+    }
+
+    const from = await session.command(`MAIL FROM:<${MAIL_FROM}>`);
+    if (from.code !== 250) {
+      return { code: from.code, message: from.message, catchAll: null, stage: 'mail' };
+    }
+
+    const rcpt = await session.command(`RCPT TO:<${email}>`);
+    let catchAll = null;
+    if (checkCatchAll && rcpt.code >= 200 && rcpt.code < 300) {
+      const randomAddress = `${crypto.randomBytes(8).toString('hex')}@${domain}`;
+      const random = await session.command(`RCPT TO:<${randomAddress}>`);
+      if (random.code >= 200 && random.code < 300) catchAll = true;
+      else if (random.code >= 500) catchAll = false;
+    }
+    return { code: rcpt.code, message: rcpt.message, catchAll, stage: 'rcpt' };
+  } finally {
+    session.close();
+  }
+}
+
+async function resolveMxHost(domain) {
+  if (SMTP_HOST_OVERRIDE) return SMTP_HOST_OVERRIDE;
+  const mxRecords = await dns.resolveMx(domain).catch(() => []);
+  if (!mxRecords || mxRecords.length === 0) return null;
+  // Sort by priority
+  mxRecords.sort((a, b) => a.priority - b.priority);
+  return mxRecords[0].exchange;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
- * Verify email using SMTP check (free, unlimited)
+ * Verify a mailbox with an SMTP RCPT TO probe (free, no message is sent)
+ * Detects catch-all domains (a random address is accepted too) and retries once when the
+ * server greylists us. Results are cached per address and per domain; probes are limited to
+ * SMTP_VERIFY_CONCURRENCY connections and one at a time per domain.
  * @param {String} email - Email address to verify
- * @param {String} domain - Domain to check
- * @returns {Promise<Object>} Verification result
+ * @param {String} domain - Domain to check (defaults to the email's)
+ * @param {Object} options - { mxHost, port, timeout, greylistRetryMs } overrides, mainly for tests
+ * @returns {Promise<Object>} { valid, status: 'valid'|'invalid'|'catch_all'|'unknown', reason, method, mxHost, code, catchAll, greylisted }
  */
-export async function verifyEmailSMTP(email, domain) {
+export async function verifyEmailSMTP(email, domain, options = {}) {
   if (!email || !email.includes('@')) {
-    return { valid: false, reason: 'Invalid email format' };
+    return { valid: false, status: 'invalid', reason: 'Invalid email format', method: 'smtp' };
   }
-  
+
+  const address = email.toLowerCase().trim();
+  // Extract domain from email if not provided
+  const emailDomain = (domain || address.split('@')[1]).toLowerCase();
+  const cached = cacheGet(resultCache, address);
+  if (cached) return { ...cached, cached: true };
+
+  const greylistRetryMs = options.greylistRetryMs ?? GREYLIST_RETRY_MS;
+  const probe = (isRetry) => withProbeLimits(emailDomain, async () => {
+    // Another probe may have answered while we waited for the domain lock
+    const answered = cacheGet(resultCache, address);
+    if (answered) return { ...answered, cached: true };
+
+    const result = await runProbe(address, emailDomain, options, isRetry);
+    if (!result.deferred && result.status !== 'unknown') {
+      cacheSet(resultCache, address, result);
+    }
+    return result;
+  });
+
+  const first = await probe(false);
+  if (!first.deferred) return first;
+  // Wait out the greylisting without holding a probe slot or the domain lock
+  console.log(`[SMTP] ⏳ ${first.mxHost} deferred ${address} (${first.code}), retrying in ${Math.round(greylistRetryMs / 1000)}s`);
+  await sleep(greylistRetryMs);
+  return probe(true);
+}
+
+/**
+ * One probe of an address (run inside withProbeLimits)
+ * A 4xx on the first attempt returns { deferred: true } - the caller waits and calls again with
+ * isRetry, which reports a second 4xx as still greylisted.
+ */
+async function runProbe(email, domain, options, isRetry = false) {
+  const port = options.port || SMTP_PORT;
+  const timeout = options.timeout || COMMAND_TIMEOUT_MS;
+  const unknown = (reason, extra = {}) => ({ valid: false, status: 'unknown', reason, method: 'smtp', ...extra });
+
+  let domainInfo = cacheGet(domainCache, domain);
+  if (domainInfo?.unreachable) {
+    return unknown(domainInfo.reason, { mxHost: domainInfo.mxHost });
+  }
+
   try {
-    // Extract domain from email if not provided
-    const emailDomain = domain || email.split('@')[1];
-    
-    // Get MX records for domain
-    const dns = await import('dns').then(m => m.promises);
-    const mxRecords = await dns.resolveMx(emailDomain).catch(() => []);
-    
-    if (!mxRecords || mxRecords.length === 0) {
-      return { valid: false, reason: 'No MX records found' };
+    const mxHost = options.mxHost || domainInfo?.mxHost || await resolveMxHost(domain);
+    if (!mxHost) {
+      return { valid: false, status: 'invalid', reason: 'No MX records found', method: 'smtp' };
     }
-    
-    // Sort by priority
-    mxRecords.sort((a, b) => a.priority - b.priority);
-    const mxHost = mxRecords[0].exchange;
-    
-    // Note: Full SMTP verification requires connecting to mail server
-    // This is a simplified check - full implementation would use net.Socket
-    // For now, we'll just check if MX records exist (domain is valid)
-    
-    return {
-      valid: true,
-      reason: 'MX records found',
-      method: 'smtp',
-      mxHost: mxHost
-    };
+    domainInfo = { mxHost, catchAll: domainInfo?.catchAll ?? null };
+
+    const probe = await probeMailbox(mxHost, port, email, domain, domainInfo.catchAll === null, timeout);
+    if (probe.catchAll !== null) {
+      domainInfo.catchAll = probe.catchAll;
+    }
+    cacheSet(domainCache, domain, domainInfo);
+
+    const temporary = probe.code >= 400 && probe.code < 500;
+    if (temporary && !isRetry) {
+      return { deferred: true, mxHost, code: probe.code };
+    }
+
+    const base = { method: 'smtp', mxHost, code: probe.code, catchAll: domainInfo.catchAll, greylisted: isRetry };
+    if (probe.stage !== 'rcpt') {
+      return unknown(`Server refused the probe at ${probe.stage.toUpperCase()} (${probe.code})`, base);
+    }
+    if (probe.code >= 200 && probe.code < 300) {
+      if (domainInfo.catchAll) {
+        return { ...base, valid: true, status: 'catch_all', reason: 'Domain accepts any address (catch-all)' };
+      }
+      return { ...base, valid: true, status: 'valid', reason: 'Mailbox accepted by mail server' };
+    }
+    if (probe.code >= 500) {
+      return { ...base, valid: false, status: 'invalid', reason: `Mailbox rejected (${probe.code})` };
+    }
+    return unknown(`Still greylisted after retry (${probe.code})`, base);
   } catch (error) {
-    return {
-      valid: false,
-      reason: error.message,
-      method: 'smtp'
-    };
+    // Port 25 is often blocked outbound - remember that for the domain for a while
+    const mxHost = options.mxHost || domainInfo?.mxHost || null;
+    cacheSet(domainCache, domain, { mxHost, unreachable: true, reason: `SMTP probe failed: ${error.message}` }, UNREACHABLE_TTL_MS);
+    return unknown(`SMTP probe failed: ${error.message}`, { mxHost });
   }
 }
 
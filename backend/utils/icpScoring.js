@@ -0,0 +1,166 @@
+/**
+ * ICP fit scoring utility for leads
+ * Scores a lead 0-100 against a company's ideal customer profile (Company.icp)
+ *
+ * Criteria (only those the ICP sets count, weights are rescaled to 100):
+ * 1. Industry (25) - enrichment.industry or category signals contain one of the industries
+ * 2. Employees (20) - enrichment.employeeCountRange (or employeeCount) is one of the ranges
+ * 3. Country (20) - location or phone country is one of the countries
+ * 4. Revenue (15) - enrichment.revenueBracket is one of the brackets
+ * 5. Hiring (10) - hiring signals match 'hiring' / 'not_hiring'
+ * 6. Keywords (10) - any keyword appears in the name, about text, summary or category signals
+ *
+ * Missing lead data counts as unmatched.
+ */
+
+import { getEmployeeCountRange } from './employeeCountExtractor.js';
+
+export const EMPLOYEE_RANGES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+export const REVENUE_BRACKETS = ['0-50k', '50k-200k', '200k-1m', '1m+'];
+
+const WEIGHTS = {
+  industry: 25,
+  employees: 20,
+  country: 20,
+  revenue: 15,
+  hiring: 10,
+  keywords: 10
+};
+
+function lower(value) {
+  return String(value || '').toLowerCase().trim();
+}
+
+/**
+ * Whether an ICP has any criteria to score against
+ */
+export function hasIcpCriteria(icp) {
+  if (!icp) return false;
+  return ['industries', 'employeeRanges', 'revenueBrackets', 'countries', 'keywords']
+    .some(key => Array.isArray(icp[key]) && icp[key].length > 0) ||
+    (icp.hiring && icp.hiring !== 'any');
+}
+
+/**
+ * Calculate a lead's fit against an ICP
+ * @param {Object} lead - Lead object (enriched or not)
+ * @param {Object} icp - Company.icp
+ * @returns {{ score: Number|null, matched: Array, unmatched: Array }} score is null when the ICP is empty
+ */
+export function calculateIcpFit(lead, icp) {
+  const matched = [];
+  const unmatched = [];
+  if (!hasIcpCriteria(icp)) {
+    return { score: null, matched, unmatched };
+  }
+
+  const enrichment = lead.enrichment || {};
+  let possible = 0;
+  let earned = 0;
+  const check = (criterion, isMatch, detail) => {
+    possible += WEIGHTS[criterion];
+    if (isMatch) {
+      earned += WEIGHTS[criterion];
+      matched.push({ criterion, detail });
+    } else {
+      unmatched.push({ criterion, detail });
+    }
+  };
+
+  // 1. Industry
+  if (icp.industries?.length) {
+    const haystack = [enrichment.industry, ...(lead.categorySignals || [])].map(lower).filter(Boolean);
+    const industry = icp.industries.find(i => haystack.some(h => h.includes(lower(i))));
+    if (industry) {
+      check('industry', true, `Industry matches "${industry}"`);
+    } else {
+      check('industry', false, enrichment.industry
+        ? `Industry "${enrichment.industry}" is not one of ${icp.industries.join(', ')}`
+        : 'Industry unknown');
+    }
+  }
+
+  // 2. Employees
+  if (icp.employeeRanges?.length) {
+    const range = enrichment.employeeCountRange || getEmployeeCountRange(enrichment.employeeCount);
+    if (!range) {
+      check('employees', false, 'Employee count unknown');
+    } else {
+      const isMatch = icp.employeeRanges.includes(range);
+      check('employees', isMatch, isMatch
+        ? `${range} employees`
+        : `${range} employees is outside ${icp.employeeRanges.join(', ')}`);
+    }
+  }
+
+  // 3. Country
+  if (icp.countries?.length) {
+    const leadCountries = [enrichment.location?.country, ...(lead.phoneNumbers || []).map(p => p.country)]
+      .map(lower)
+      .filter(Boolean);
+    const country = icp.countries.find(c => leadCountries.includes(lower(c)));
+    if (country) {
+      check('country', true, `Located in ${country}`);
+    } else {
+      check('country', false, leadCountries.length
+        ? `Located in ${[...new Set(leadCountries)].join(', ').toUpperCase()}, not ${icp.countries.join(', ')}`
+        : 'Country unknown');
+    }
+  }
+
+  // 4. Revenue
+  if (icp.revenueBrackets?.length) {
+    const bracket = enrichment.revenueBracket;
+    if (!bracket) {
+      check('revenue', false, 'Revenue unknown');
+    } else {
+      const isMatch = icp.revenueBrackets.includes(bracket);
+      check('revenue', isMatch, isMatch
+        ? `Revenue ${bracket}`
+        : `Revenue ${bracket} is outside ${icp.revenueBrackets.join(', ')}`);
+    }
+  }
+
+  // 5. Hiring
+  if (icp.hiring && icp.hiring !== 'any') {
+    const isHiring = !!enrichment.hiringSignals?.isHiring;
+    const wantsHiring = icp.hiring === 'hiring';
+    check('hiring', isHiring === wantsHiring, isHiring ? 'Currently hiring' : 'No hiring signals');
+  }
+
+  // 6. Keywords
+  if (icp.keywords?.length) {
+    const text = [lead.companyName, lead.aboutText, enrichment.businessSummary, ...(lead.categorySignals || [])]
+      .map(lower)
+      .join(' ');
+    const found = icp.keywords.filter(k => lower(k) && text.includes(lower(k)));
+    check('keywords', found.length > 0, found.length
+      ? `Mentions ${found.join(', ')}`
+      : `No mention of ${icp.keywords.join(', ')}`);
+  }
+
+  return {
+    score: Math.round((earned / possible) * 100),
+    matched,
+    unmatched
+  };
+}
+
+/**
+ * Plain-text ICP summary for prompts: the description when set, otherwise built from the criteria
+ */
+export function describeIcp(icp) {
+  if (!icp) return null;
+  if (icp.description) return icp.description;
+  if (!hasIcpCriteria(icp)) return null;
+
+  const parts = [];
+  if (icp.industries?.length) parts.push(`industries: ${icp.industries.join(', ')}`);
+  if (icp.employeeRanges?.length) parts.push(`employees: ${icp.employeeRanges.join(', ')}`);
+  if (icp.revenueBrackets?.length) parts.push(`revenue: ${icp.revenueBrackets.join(', ')}`);
+  if (icp.countries?.length) parts.push(`countries: ${icp.countries.join(', ')}`);
+  if (icp.hiring === 'hiring') parts.push('currently hiring');
+  if (icp.hiring === 'not_hiring') parts.push('not hiring');
+  if (icp.keywords?.length) parts.push(`keywords: ${icp.keywords.join(', ')}`);
+  return parts.join('; ');
+}
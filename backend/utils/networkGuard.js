@@ -0,0 +1,87 @@
+/**
+ * Network Guard
+ * Keeps outbound requests to customer-supplied URLs (webhooks) off private networks: loopback,
+ * RFC 1918, carrier-grade NAT, link-local (cloud metadata), IPv6 unique-local and the like.
+ * Checked against the addresses a host actually resolves to, at connect time, so DNS names
+ * pointing inside (or re-pointed after the URL was saved) are refused too.
+ */
+
+import { promises as dnsPromises, lookup as dnsLookup } from 'dns';
+import net from 'net';
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['64:ff9b::', 96], // NAT64 - embeds an IPv4 address
+  ['2002::', 16], // 6to4 - embeds an IPv4 address
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is outside the public internet (IPv4-mapped IPv6 included)
+ * @param {string} address - IPv4 or IPv6 literal
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function privateAddressError(hostname, address) {
+  const error = new Error(`${hostname} resolves to a private address (${address})`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+/**
+ * Drop-in `lookup` for http(s).request / net.connect that refuses private addresses
+ * The connection uses exactly the addresses checked here, so a DNS answer can't change in between.
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Throw unless a URL's host is public: IP literals are checked directly, names by resolving them
+ * (for early feedback - requests still need publicLookup, the answer may change later)
+ * @param {string|URL} url
+ */
+export async function assertPublicUrl(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (isPrivateAddress(hostname)) throw privateAddressError(hostname, hostname);
+    return;
+  }
+  const addresses = await dnsPromises.lookup(hostname, { all: true });
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) throw privateAddressError(hostname, blocked.address);
+}
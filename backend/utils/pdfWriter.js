@@ -0,0 +1,58 @@
+/**
+ * Minimal single-page PDF writer for plain documents (invoices)
+ * Text uses the built-in Helvetica fonts, so only Latin-1 characters print; others become "?".
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, ch => `\\${ch}`);
+}
+
+/**
+ * Build a PDF from positioned items (coordinates from the top-left, in points)
+ * @param {Array} items - { text, x, y, size?, bold?, align?: 'right' } or { line: [x1, y1, x2, y2] }
+ * @returns {Buffer}
+ */
+export function buildPdf(items) {
+  const ops = [];
+  for (const item of items) {
+    if (item.line) {
+      const [x1, y1, x2, y2] = item.line;
+      ops.push(`0.5 w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+      continue;
+    }
+    const size = item.size || 10;
+    let x = item.x;
+    if (item.align === 'right') {
+      // Helvetica averages about half an em per character - close enough for short figures
+      x -= String(item.text ?? '').length * size * 0.5;
+    }
+    ops.push(`BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(1)} ${PAGE_HEIGHT - item.y} Td (${pdfText(item.text)}) Tj ET`);
+  }
+  const content = ops.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
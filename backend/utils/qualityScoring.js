@@ -1,79 +1,157 @@
 /**
  * Quality scoring utility for leads
  * Calculates a 5-point quality score based on data completeness
- * 
- * Scoring criteria (1 point each):
+ *
+ * Scoring criteria (1 point each by default - companies can re-weight them, see Company.scoring):
  * 1. Company name (required)
  * 2. Website URL (required)
  * 3. Contact info (email OR phone)
  * 4. Decision maker name (at least one)
  * 5. Additional data (address OR socials OR aboutText)
+ *
+ * The score is the weighted share of criteria met, scaled to 0-5. A lead missing one of the
+ * company's required fields scores 0.
  */
 
+export const QUALITY_CRITERIA = [
+  { key: 'companyName', label: 'Company name' },
+  { key: 'website', label: 'Website' },
+  { key: 'contact', label: 'Email or phone' },
+  { key: 'decisionMaker', label: 'Decision maker' },
+  { key: 'additional', label: 'Address, socials or about text' }
+];
+
+// Fields a company can require (see hasRequiredField)
+export const QUALITY_REQUIRED_FIELDS = ['companyName', 'website', 'email', 'phone', 'decisionMaker', 'address', 'socials', 'aboutText'];
+
+const GENERIC_NAMES = ['business', 'company', 'enterprise', 'corporation', 'inc', 'llc'];
+
+function hasValidCompanyName(lead) {
+  if (!lead.companyName || lead.companyName.trim().length === 0) return false;
+  // Reject generic names
+  const nameLower = lead.companyName.toLowerCase().trim();
+  return !GENERIC_NAMES.some(generic => nameLower.includes(generic) && nameLower.length < 20);
+}
+
+function hasValidWebsite(lead) {
+  if (!lead.website || lead.website.trim().length === 0) return false;
+  try {
+    const url = new URL(lead.website);
+    return !!url.hostname && url.hostname !== 'localhost' && !url.hostname.includes('example.com');
+  } catch (e) {
+    // Invalid URL, no point
+    return false;
+  }
+}
+
+function hasEmail(lead) {
+  return Array.isArray(lead.emails) && lead.emails.length > 0;
+}
+
+function hasPhone(lead) {
+  return Array.isArray(lead.phoneNumbers) && lead.phoneNumbers.length > 0;
+}
+
+function hasDecisionMaker(lead) {
+  return Array.isArray(lead.decisionMakers) && lead.decisionMakers.some(dm =>
+    dm.name && dm.name.trim().length > 0 && dm.name.trim().length < 100
+  );
+}
+
+function hasAddress(lead) {
+  return !!(lead.address && lead.address.trim().length > 0);
+}
+
+function hasSocials(lead) {
+  return !!(lead.socials && (
+    lead.socials.linkedin ||
+    lead.socials.twitter ||
+    lead.socials.facebook ||
+    lead.socials.instagram
+  ));
+}
+
+function hasAboutText(lead) {
+  return !!(lead.aboutText && lead.aboutText.trim().length > 20); // At least 20 chars
+}
+
+const REQUIRED_FIELD_CHECKS = {
+  companyName: hasValidCompanyName,
+  website: hasValidWebsite,
+  email: hasEmail,
+  phone: hasPhone,
+  decisionMaker: hasDecisionMaker,
+  address: hasAddress,
+  socials: hasSocials,
+  aboutText: hasAboutText
+};
+
+/**
+ * Whether each quality criterion is met, with a short reason
+ */
+function checkCriteria(lead) {
+  const email = hasEmail(lead);
+  const phone = hasPhone(lead);
+  const extras = [hasAddress(lead) && 'address', hasSocials(lead) && 'socials', hasAboutText(lead) && 'about text'].filter(Boolean);
+  return {
+    companyName: hasValidCompanyName(lead)
+      ? { met: true, detail: lead.companyName.trim() }
+      : { met: false, detail: lead.companyName ? 'Generic company name' : 'No company name' },
+    website: hasValidWebsite(lead)
+      ? { met: true, detail: lead.website }
+      : { met: false, detail: lead.website ? 'Invalid website' : 'No website' },
+    contact: email || phone
+      ? { met: true, detail: [email && `${lead.emails.length} email(s)`, phone && `${lead.phoneNumbers.length} phone(s)`].filter(Boolean).join(', ') }
+      : { met: false, detail: 'No email or phone' },
+    decisionMaker: hasDecisionMaker(lead)
+      ? { met: true, detail: `${lead.decisionMakers.length} decision maker(s)` }
+      : { met: false, detail: 'No decision makers' },
+    additional: extras.length > 0
+      ? { met: true, detail: `Has ${extras.join(', ')}` }
+      : { met: false, detail: 'No address, socials or about text' }
+  };
+}
+
+/**
+ * Weighted 0-5 score from criteria credits (0-1 each)
+ * @param {Array} criteria - [{ weight, credit }]
+ */
+export function weightedFivePointScore(criteria) {
+  const totalWeight = criteria.reduce((sum, c) => sum + c.weight, 0);
+  if (totalWeight <= 0) return 0;
+  const earned = criteria.reduce((sum, c) => sum + c.weight * c.credit, 0);
+  return Math.min(5, Math.max(0, Math.round((earned / totalWeight) * 5)));
+}
+
+/**
+ * Quality score for a lead with the reasons behind it
+ * @param {Object} lead - Lead object with extracted data
+ * @param {Object} rules - Company.scoring ({ qualityWeights, requiredFields }); defaults when omitted
+ * @returns {{ score: Number, criteria: Array, missingRequired: string[] }}
+ */
+export function explainQualityScore(lead, rules = {}) {
+  const checks = checkCriteria(lead);
+  const criteria = QUALITY_CRITERIA.map(({ key, label }) => {
+    const weight = rules?.qualityWeights?.[key] ?? 1;
+    return { key, label, weight, credit: checks[key].met ? 1 : 0, detail: checks[key].detail };
+  });
+  const missingRequired = (rules?.requiredFields || []).filter(field => !REQUIRED_FIELD_CHECKS[field]?.(lead));
+
+  return {
+    score: missingRequired.length > 0 ? 0 : weightedFivePointScore(criteria),
+    criteria,
+    missingRequired
+  };
+}
+
 /**
  * Calculate quality score for a lead (0-5)
  * @param {Object} lead - Lead object with extracted data
+ * @param {Object} rules - Company.scoring (optional)
  * @returns {Number} Quality score from 0 to 5
  */
-export function calculateQualityScore(lead) {
-  let score = 0;
-  
-  // 1. Company name (required - 1 point)
-  if (lead.companyName && lead.companyName.trim().length > 0) {
-    // Reject generic names
-    const genericNames = ['business', 'company', 'enterprise', 'corporation', 'inc', 'llc'];
-    const nameLower = lead.companyName.toLowerCase().trim();
-    const isGeneric = genericNames.some(generic => nameLower.includes(generic) && nameLower.length < 20);
-    
-    if (!isGeneric) {
-      score += 1;
-    }
-  }
-  
-  // 2. Website URL (required - 1 point)
-  if (lead.website && lead.website.trim().length > 0) {
-    try {
-      const url = new URL(lead.website);
-      if (url.hostname && url.hostname !== 'localhost' && !url.hostname.includes('example.com')) {
-        score += 1;
-      }
-    } catch (e) {
-      // Invalid URL, no point
-    }
-  }
-  
-  // 3. Contact info - email OR phone (1 point)
-  const hasEmail = lead.emails && Array.isArray(lead.emails) && lead.emails.length > 0;
-  const hasPhone = lead.phoneNumbers && Array.isArray(lead.phoneNumbers) && lead.phoneNumbers.length > 0;
-  if (hasEmail || hasPhone) {
-    score += 1;
-  }
-  
-  // 4. Decision maker name (at least one - 1 point)
-  if (lead.decisionMakers && Array.isArray(lead.decisionMakers) && lead.decisionMakers.length > 0) {
-    const hasValidName = lead.decisionMakers.some(dm => 
-      dm.name && dm.name.trim().length > 0 && dm.name.trim().length < 100
-    );
-    if (hasValidName) {
-      score += 1;
-    }
-  }
-  
-  // 5. Additional data - address OR socials OR aboutText (1 point)
-  const hasAddress = lead.address && lead.address.trim().length > 0;
-  const hasSocials = lead.socials && (
-    lead.socials.linkedin || 
-    lead.socials.twitter || 
-    lead.socials.facebook || 
-    lead.socials.instagram
-  );
-  const hasAboutText = lead.aboutText && lead.aboutText.trim().length > 20; // At least 20 chars
-  
-  if (hasAddress || hasSocials || hasAboutText) {
-    score += 1;
-  }
-  
-  return Math.min(5, Math.max(0, score));
+export function calculateQualityScore(lead, rules = {}) {
+  return explainQualityScore(lead, rules).score;
 }
 
 /**
@@ -87,4 +165,3 @@ export function getQualityLabel(score) {
   if (score >= 1) return 'low';
   return 'very_low';
 }
-
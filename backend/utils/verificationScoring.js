@@ -8,15 +8,29 @@
  * 3. Decision maker names found on website match LinkedIn suggestions
  * 4. Email pattern verified (domain matches website)
  * 5. Additional signals (employee count, location, industry consistency)
+ *
+ * Companies can re-weight the criteria (Company.scoring.verificationWeights); the score is the
+ * weighted share of credit earned, scaled to 0-5.
  */
 
+import { weightedFivePointScore } from './qualityScoring.js';
+
+export const VERIFICATION_CRITERIA = [
+  { key: 'nameMatch', label: 'Company name matches website or LinkedIn' },
+  { key: 'linkedin', label: 'LinkedIn company page' },
+  { key: 'decisionMakerMatch', label: 'Decision makers confirmed' },
+  { key: 'emailVerified', label: 'Email domain matches website' },
+  { key: 'additionalSignals', label: 'Industry, size, address and socials' }
+];
+
 /**
  * Calculate verification score for an enriched lead (0-5)
  * @param {Object} lead - Lead object with extraction and enrichment data
- * @returns {Object} { score: Number (0-5), sources: Array<String> }
+ * @param {Object} rules - Company.scoring ({ verificationWeights }); equal weights when omitted
+ * @returns {Object} { score: Number (0-5), sources: Array<String>, criteria: Array }
  */
-export function calculateVerificationScore(lead) {
-  let score = 0;
+export function calculateVerificationScore(lead, rules = {}) {
+  const credits = {};
   const sources = [];
   
   // 1. Company name consistency (1 point)
@@ -30,7 +44,7 @@ export function calculateVerificationScore(lead) {
     // Basic check: LinkedIn URL typically contains company name or slug
     const nameSlug = companyName.toLowerCase().replace(/[^a-z0-9]/g, '');
     if (linkedinCompanyUrl.toLowerCase().includes(nameSlug.substring(0, 10))) {
-      score += 1;
+      credits.nameMatch = 1;
       sources.push('company_name_match');
     }
   } else if (companyName && lead.website) {
@@ -43,7 +57,7 @@ export function calculateVerificationScore(lead) {
         word.length > 3 && domain.includes(word)
       );
       if (hasMatch) {
-        score += 1;
+        credits.nameMatch = 1;
         sources.push('website_name_match');
       }
     } catch (e) {
@@ -53,11 +67,11 @@ export function calculateVerificationScore(lead) {
   
   // 2. LinkedIn company page exists (1 point)
   if (linkedinCompanyUrl) {
-    score += 1;
+    credits.linkedin = 1;
     sources.push('linkedin_company_page');
   } else if (lead.socials?.linkedin) {
     // We have LinkedIn URL from extraction
-    score += 1;
+    credits.linkedin = 1;
     sources.push('linkedin_social_link');
   }
   
@@ -101,12 +115,12 @@ export function calculateVerificationScore(lead) {
     }
     
     if (hasMatch) {
-      score += 1;
+      credits.decisionMakerMatch = 1;
       sources.push('decision_maker_match');
     }
   } else if (websiteDecisionMakers.length > 0) {
     // We have decision makers from website (even without LinkedIn match)
-    score += 0.5; // Half point for having decision makers
+    credits.decisionMakerMatch = 0.5; // Half credit for having decision makers
     sources.push('website_decision_makers');
   }
   
@@ -120,7 +134,7 @@ export function calculateVerificationScore(lead) {
       if (emailPattern.includes('@')) {
         const patternDomain = emailPattern.split('@')[1];
         if (patternDomain === websiteDomain) {
-          score += 1;
+          credits.emailVerified = 1;
           sources.push('email_pattern_verified');
         }
       } else if (lead.emails && lead.emails.length > 0) {
@@ -134,7 +148,7 @@ export function calculateVerificationScore(lead) {
           return false;
         });
         if (hasMatchingEmail) {
-          score += 1;
+          credits.emailVerified = 1;
           sources.push('email_domain_verified');
         }
       }
@@ -180,13 +194,21 @@ export function calculateVerificationScore(lead) {
   }
   
   if (additionalSignals >= 0.7) {
-    score += 1;
+    credits.additionalSignals = 1;
     sources.push('additional_signals');
   }
   
+  const criteria = VERIFICATION_CRITERIA.map(({ key, label }) => ({
+    key,
+    label,
+    weight: rules?.verificationWeights?.[key] ?? 1,
+    credit: credits[key] || 0
+  }));
+  
   return {
-    score: Math.min(5, Math.max(0, Math.round(score))),
-    sources: sources
+    score: weightedFivePointScore(criteria),
+    sources: sources,
+    criteria
   };
 }
 
@@ -0,0 +1,76 @@
+import dotenv from 'dotenv';
+import { connectDB, disconnectDB } from './config/database.js';
+import { searchQueue } from './services/searchQueue.js';
+import { processSearch } from './services/searchProcessor.js';
+import { startScheduler, stopScheduler } from './services/scheduler.js';
+import { startWebhookRetries, stopWebhookRetries } from './services/webhooks.js';
+import { startCreditReconciliation, stopCreditReconciliation } from './services/creditReconciliation.js';
+import { startCrmSyncs, stopCrmSyncs } from './services/crmSync.js';
+
+dotenv.config();
+
+// Search worker: claims jobs from the persistent queue and runs the search pipeline.
+// The API server (server.js) only enqueues, so heavy crawls never block requests.
+const CONCURRENCY = parseInt(process.env.SEARCH_WORKER_CONCURRENCY || '1', 10);
+// How long running searches get to finish their current leads on shutdown
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SEARCH_WORKER_SHUTDOWN_GRACE_MS || '25000', 10);
+
+const startWorker = async () => {
+  console.log(`🛠️  Search worker starting (pid ${process.pid}, concurrency ${CONCURRENCY})...`);
+
+  const connected = await connectDB();
+  if (!connected) {
+    console.error('❌ Search worker cannot run without MongoDB');
+    process.exit(1);
+  }
+
+  await searchQueue.start({ processor: processSearch, concurrency: CONCURRENCY });
+  // Scheduled template runs are enqueued from the worker too (safe with several workers)
+  startScheduler();
+  // Failed webhook deliveries are retried with backoff (also safe with several workers)
+  startWebhookRetries();
+  // Credit balances are checked against the ledger (and legacy embedded ledgers moved over)
+  startCreditReconciliation();
+  // CRM pushes queued by the API (claimed per push, safe with several workers)
+  startCrmSyncs();
+
+  let isShuttingDown = false;
+
+  const gracefulShutdown = async (signal) => {
+    if (isShuttingDown) {
+      console.log(`⚠️  ${signal} received but shutdown already in progress, ignoring...`);
+      return;
+    }
+
+    isShuttingDown = true;
+    console.log(`\n${signal} received. Handing unfinished searches back to the queue...`);
+
+    // Force exit if MongoDB hangs; expired leases are re-queued by other workers anyway
+    const shutdownTimeout = setTimeout(() => {
+      console.error('❌ Forced shutdown after timeout');
+      process.exit(1);
+    }, SHUTDOWN_GRACE_MS + 10000);
+
+    try {
+      stopScheduler();
+      stopWebhookRetries();
+      stopCreditReconciliation();
+      stopCrmSyncs();
+      await searchQueue.shutdown(SHUTDOWN_GRACE_MS);
+      await disconnectDB();
+      clearTimeout(shutdownTimeout);
+      process.exit(0);
+    } catch (err) {
+      console.error('❌ Error during shutdown:', err);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+};
+
+startWorker().catch(err => {
+  console.error('❌ Search worker failed to start:', err.message);
+  process.exit(1);
+});
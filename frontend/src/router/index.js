@@ -54,9 +54,6 @@ const router = createRouter({
   routes
 });
 
-// Allowed admin usernames (case-insensitive)
-const ALLOWED_ADMIN_USERS = ['chuks', 'olamide', 'ola'];
-
 // Navigation guard for protected routes
 router.beforeEach(async (to, from, next) => {
   const authStore = useAuthStore();
@@ -70,17 +67,10 @@ router.beforeEach(async (to, from, next) => {
     return;
   }
   
-  // Check admin access - username-only authentication
-  if (to.meta.requiresAdmin) {
-    // Check if admin username is stored in session
-    const adminUsername = sessionStorage.getItem('admin_username');
-    const isAuthorized = adminUsername && ALLOWED_ADMIN_USERS.includes(adminUsername.toLowerCase().trim());
-    
-    if (!isAuthorized) {
-      // Redirect to admin login
-      next('/admin/login');
-      return;
-    }
+  // Check admin access - platform admins only (the API enforces this too)
+  if (to.meta.requiresAdmin && !(authStore.isAuthenticated && authStore.user?.platformRole === 'admin')) {
+    next('/admin/login');
+    return;
   }
   
   next();
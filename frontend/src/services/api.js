@@ -27,12 +27,6 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
     
-    // Add admin username header for admin endpoints (username-only auth)
-    const adminUsername = sessionStorage.getItem('admin_username');
-    if (adminUsername && config.url?.includes('/admin')) {
-      config.headers['x-admin-username'] = adminUsername;
-    }
-    
     return config;
   },
   error => {
@@ -45,7 +39,7 @@ api.interceptors.response.use(
   response => response,
   error => {
     // Don't redirect on login/signup pages - let them handle the error
-    const isAuthPage = window.location.pathname === '/login' || window.location.pathname === '/signin';
+    const isAuthPage = ['/login', '/signin', '/admin/login'].includes(window.location.pathname);
     
     // Handle 401 (unauthorized) - redirect to login (but not on auth pages)
     if (error.response?.status === 401 && !isAuthPage) {
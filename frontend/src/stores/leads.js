@@ -10,6 +10,13 @@ export const useLeadsStore = defineStore('leads', () => {
   const loading = ref(false);
   const error = ref(null);
   
+  // Live progress (Server-Sent Events) for the current search
+  const streaming = ref(false);
+  const streamStats = ref({ extracted: 0, enriched: 0, duplicate: 0, rejected: 0 });
+  const recentLeadIds = ref([]); // Leads that just arrived, for highlighting
+  let eventSource = null;
+  let streamAttempt = 0;
+  
   const filteredLeads = computed(() => {
     return leads.value.filter(lead => !lead.isDuplicate);
   });
@@ -57,22 +64,85 @@ export const useLeadsStore = defineStore('leads', () => {
         maxDistance: maxDistance ? parseInt(maxDistance) : null
       });
       
-      // If there's already a current search, move it to background
-      if (currentSearch.value && currentSearch.value._id) {
-        const oldSearch = {
-          ...currentSearch.value,
-          _id: currentSearch.value._id || currentSearch.value.searchId
-        };
-        // Only add to background if it's still processing
-        if (oldSearch.status === 'processing' || oldSearch.status === 'queued' || oldSearch.status === 'searching' || oldSearch.status === 'extracting' || oldSearch.status === 'enriching') {
-          backgroundSearches.value.push(oldSearch);
-        }
+      moveCurrentToBackground();
+      
+      currentSearch.value = response.data;
+      return response.data;
+    } catch (err) {
+      error.value = err.response?.data?.error || err.message;
+      throw err;
+    } finally {
+      loading.value = false;
+    }
+  }
+  
+  // If there's already a current search, move it to background
+  function moveCurrentToBackground() {
+    if (currentSearch.value && currentSearch.value._id) {
+      const oldSearch = {
+        ...currentSearch.value,
+        _id: currentSearch.value._id || currentSearch.value.searchId
+      };
+      // Only add to background if it's still processing
+      if (oldSearch.status === 'processing' || oldSearch.status === 'queued' || oldSearch.status === 'searching' || oldSearch.status === 'extracting' || oldSearch.status === 'enriching') {
+        backgroundSearches.value.push(oldSearch);
       }
+    }
+  }
+  
+  /**
+   * Upload a CSV/XLSX company list for extraction + enrichment only (no search)
+   * Resolves with { searchId, acceptedRows, errorCount, errors, ... }
+   */
+  async function importCompanies(file, { country, location, industry } = {}) {
+    loading.value = true;
+    error.value = null;
+    
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      if (country) form.append('country', country);
+      if (location) form.append('location', location);
+      if (industry) form.append('industry', industry);
+      
+      const response = await api.post('/search/import', form, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      
+      moveCurrentToBackground();
       
       currentSearch.value = response.data;
       return response.data;
     } catch (err) {
-      error.value = err.message;
+      error.value = err.response?.data?.error || err.message;
+      throw err;
+    } finally {
+      loading.value = false;
+    }
+  }
+  
+  /**
+   * Start a lookalike search from seed company websites
+   * Resolves with { searchId, seeds, ... }
+   */
+  async function createLookalikeSearch(seeds, { country, location, resultCount } = {}) {
+    loading.value = true;
+    error.value = null;
+    
+    try {
+      const response = await api.post('/search/lookalike', {
+        seeds,
+        country: country || undefined,
+        location: location || undefined,
+        resultCount: resultCount ? Number(resultCount) : undefined
+      });
+      
+      moveCurrentToBackground();
+      
+      currentSearch.value = response.data;
+      return response.data;
+    } catch (err) {
+      error.value = err.response?.data?.error || err.message;
       throw err;
     } finally {
       loading.value = false;
@@ -183,6 +253,148 @@ export const useLeadsStore = defineStore('leads', () => {
     // Don't clear leads here - let fetchSearch update them when new data arrives
   }
   
+  /**
+   * Insert or update a lead in place so the list doesn't re-render from scratch
+   */
+  function upsertLead(lead) {
+    if (!lead || lead.isDuplicate) return;
+    const id = String(lead._id);
+    const index = leads.value.findIndex(l => String(l._id || l.id || '') === id);
+    if (index >= 0) {
+      leads.value[index] = { ...leads.value[index], ...lead };
+    } else {
+      leads.value.push(lead);
+      recentLeadIds.value = [...recentLeadIds.value, id];
+      setTimeout(() => {
+        recentLeadIds.value = recentLeadIds.value.filter(r => r !== id);
+      }, 4000);
+    }
+  }
+  
+  /**
+   * Subscribe to live progress for a search
+   * Returns false if the browser has no EventSource, so callers can fall back to polling
+   * @param {string} searchId
+   * @param {Object} handlers - { onStatus, onLead, onQueue, onProviders, onEnd, onError }
+   */
+  function streamSearch(searchId, handlers = {}) {
+    stopStream();
+    if (typeof window === 'undefined' || !window.EventSource) {
+      return false;
+    }
+    
+    streamStats.value = { extracted: 0, enriched: 0, duplicate: 0, rejected: 0 };
+    recentLeadIds.value = [];
+    streaming.value = true;
+    
+    // The session token never goes in the URL - the stream gets a short-lived one of its own
+    const attempt = streamAttempt;
+    const request = localStorage.getItem('onalog_token')
+      ? api.post(`/search/${searchId}/stream-token`).then(response => response.data.token)
+      : Promise.resolve(null);
+    request
+      .then(token => {
+        if (attempt === streamAttempt) openStream(searchId, token, handlers);
+      })
+      .catch(() => {
+        if (attempt !== streamAttempt) return;
+        stopStream();
+        handlers.onError?.();
+      });
+    return true;
+  }
+  
+  function openStream(searchId, token, handlers) {
+    const base = api.defaults.baseURL.replace(/\/$/, '');
+    const url = `${base}/search/${searchId}/stream${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+    
+    const source = new EventSource(url, { withCredentials: true });
+    eventSource = source;
+    const isCurrent = () => eventSource === source;
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch (e) {
+        return null;
+      }
+    };
+    
+    source.addEventListener('status', (event) => {
+      const status = parse(event);
+      if (!status || !isCurrent()) return;
+      const previous = currentSearch.value?.status;
+      if (currentSearch.value && String(currentSearch.value._id || currentSearch.value.searchId) === String(searchId)) {
+        currentSearch.value = { ...currentSearch.value, ...status };
+      }
+      handlers.onStatus?.(status, previous);
+    });
+    
+    source.addEventListener('lead', (event) => {
+      const data = parse(event);
+      if (!data || !isCurrent()) return;
+      if (streamStats.value[data.action] !== undefined) {
+        streamStats.value[data.action]++;
+      }
+      if (data.lead && data.action !== 'duplicate') {
+        upsertLead(data.lead);
+      }
+      handlers.onLead?.(data);
+    });
+    
+    source.addEventListener('queue', (event) => {
+      const position = parse(event);
+      if (!position || !isCurrent()) return;
+      if (currentSearch.value) {
+        currentSearch.value = {
+          ...currentSearch.value,
+          queuePosition: position.queuePosition,
+          userQueuePosition: position.userQueuePosition
+        };
+      }
+      handlers.onQueue?.(position);
+    });
+    
+    source.addEventListener('providers', (event) => {
+      const data = parse(event);
+      if (!data || !isCurrent()) return;
+      if (currentSearch.value) {
+        currentSearch.value = {
+          ...currentSearch.value,
+          providers: data.telemetry,
+          reasonShortfall: data.reasonShortfall
+        };
+      }
+      handlers.onProviders?.(data);
+    });
+    
+    source.addEventListener('end', (event) => {
+      const data = parse(event);
+      if (!isCurrent()) return;
+      stopStream();
+      handlers.onEnd?.(data || {});
+    });
+    
+    source.onerror = () => {
+      // EventSource retries on its own while the connection is CONNECTING;
+      // CLOSED means the server refused the stream (e.g. 403/404)
+      if (!isCurrent()) return;
+      if (source.readyState === EventSource.CLOSED) {
+        stopStream();
+        handlers.onError?.();
+      }
+    };
+  }
+  
+  function stopStream() {
+    // Drops a stream still waiting for its token
+    streamAttempt++;
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+    streaming.value = false;
+  }
+  
   function removeBackgroundSearch(searchId) {
     backgroundSearches.value = backgroundSearches.value.filter(s => 
       s._id !== searchId && s.searchId !== searchId
@@ -244,13 +456,21 @@ export const useLeadsStore = defineStore('leads', () => {
     filteredLeads,
     enrichedCount,
     createSearch,
+    importCompanies,
+    createLookalikeSearch,
     fetchSearch,
     fetchLeads,
     fetchLeadDetail,
     toggleLeadSelection,
     clearSelection,
     switchToSearch,
-    removeBackgroundSearch
+    removeBackgroundSearch,
+    streaming,
+    streamStats,
+    recentLeadIds,
+    upsertLead,
+    streamSearch,
+    stopStream
   };
 });
 
@@ -0,0 +1,15 @@
+/**
+ * Lead pipeline stages (mirrors Lead.pipelineStage on the backend)
+ */
+export const pipelineStages = [
+  { key: 'new', label: 'New' },
+  { key: 'contacted', label: 'Contacted' },
+  { key: 'replied', label: 'Replied' },
+  { key: 'meeting', label: 'Meeting' },
+  { key: 'won', label: 'Won' },
+  { key: 'lost', label: 'Lost' }
+];
+
+export function getStageLabel(key) {
+  return pipelineStages.find(s => s.key === (key || 'new'))?.label || key;
+}